@@ -8,6 +8,7 @@ import { LightBar } from './light-bar.js';
 import { TerminalManager } from './terminal.js';
 import { VoiceInput } from './voice-input.js';
 import { ProjectDrawer } from './project-drawer.js';
+import { PipelinePanel } from './pipelines.js';
 
 // ── Event Bus ─────────────────────────────────────────────────────────────
 const listeners = new Map();
@@ -125,6 +126,8 @@ function playSynthChime() {
 
 // ── App State ─────────────────────────────────────────────────────────────
 export const sessions = new Map();   // id → session object
+export const pipelineRuns = new Map(); // run id → pipeline run (server/pipeline-runner.js)
+export let scheduleState = { schedules: [], runs: [] }; // server/scheduler.js snapshot
 export let activeSessionId = null;
 export let config = {};
 export let themes = [];
@@ -133,7 +136,10 @@ let ws = null;
 let wsReconnectDelay = 1000;
 let wsReconnectTimer = null;
 let currentToken = null;
+let permissions = new Set(); // What this user's role allows (server/permissions.js)
 let hasCheckedRecovery = false;
+// Session to focus once connected (opened from a push notification)
+let pendingFocusSessionId = new URLSearchParams(location.search).get('session');
 
 // ── Session Helpers ───────────────────────────────────────────────────────
 export function setActiveSession(id) {
@@ -151,18 +157,35 @@ export function setActiveSession(id) {
   }
 }
 
+// Whether the logged-in user's role allows `permission`, e.g. 'session.input'
+export function can(permission) {
+  return permissions.has(permission);
+}
+
+// Hide controls marked data-requires="<permission>" that the role can't use
+function applyPermissions() {
+  document.querySelectorAll('[data-requires]').forEach(el => {
+    el.classList.toggle('role-hidden', !can(el.dataset.requires));
+  });
+  emit('permissions:updated', permissions);
+}
+
 export function send(msg) {
   if (ws && ws.readyState === WebSocket.OPEN) {
     ws.send(JSON.stringify(msg));
   }
 }
 
-// ── PIN Login ─────────────────────────────────────────────────────────────
+// ── Login (PIN keypad or username/password) ──────────────────────────────
 const loginScreen = document.getElementById('login-screen');
 const appEl = document.getElementById('app');
 const loginError = document.getElementById('login-error');
+const passwordForm = document.getElementById('password-login');
 
 let pinBuffer = [];
+let pinLength = 4; // 6 while asking for a two-factor code
+// PIN or username/password already accepted, waiting for the two-factor code
+let pendingCredentials = null;
 
 function setupPinKeypad() {
   document.querySelectorAll('.pin-key').forEach(btn => {
@@ -172,9 +195,9 @@ function setupPinKeypad() {
         pinBuffer.pop();
       } else if (digit === 'clear') {
         pinBuffer = [];
-      } else if (pinBuffer.length < 4) {
+      } else if (pinBuffer.length < pinLength) {
         pinBuffer.push(digit);
-        if (pinBuffer.length === 4) submitPin();
+        if (pinBuffer.length === pinLength) submitPin();
       }
       updatePinDots();
     });
@@ -183,9 +206,11 @@ function setupPinKeypad() {
   // Keyboard support for PIN entry
   document.addEventListener('keydown', (e) => {
     if (loginScreen.classList.contains('hidden')) return;
-    if (e.key >= '0' && e.key <= '9' && pinBuffer.length < 4) {
+    if (!passwordForm.classList.contains('hidden')) return; // typing a username/password
+    if (e.target instanceof HTMLInputElement) return; // typing a recovery code
+    if (e.key >= '0' && e.key <= '9' && pinBuffer.length < pinLength) {
       pinBuffer.push(e.key);
-      if (pinBuffer.length === 4) submitPin();
+      if (pinBuffer.length === pinLength) submitPin();
       updatePinDots();
     } else if (e.key === 'Backspace') {
       pinBuffer.pop();
@@ -198,37 +223,127 @@ function setupPinKeypad() {
 }
 
 function updatePinDots() {
-  for (let i = 0; i < 4; i++) {
+  for (let i = 0; i < 6; i++) {
     const dot = document.getElementById(`pin-dot-${i}`);
-    if (dot) dot.classList.toggle('filled', i < pinBuffer.length);
+    if (!dot) continue;
+    dot.classList.toggle('hidden', i >= pinLength);
+    dot.classList.toggle('filled', i < pinBuffer.length);
   }
 }
 
 async function submitPin() {
-  const pin = pinBuffer.join('');
+  const digits = pinBuffer.join('');
   pinBuffer = [];
   updatePinDots();
-  loginError.textContent = '';
+  if (pendingCredentials) {
+    await submitLogin({ ...pendingCredentials, totpCode: digits }, 'Invalid code');
+  } else {
+    await submitLogin({ pin: digits }, 'Invalid PIN');
+  }
+}
 
+// Second login step: the keypad takes the 6-digit code from the
+// authenticator app (or a recovery code), sent along with the credentials
+// the server already accepted
+function showTotpStep(credentials) {
+  pendingCredentials = credentials;
+  pinLength = 6;
+  pinBuffer = [];
+  updatePinDots();
+  passwordForm.classList.add('hidden');
+  document.getElementById('pin-login').classList.remove('hidden');
+  document.getElementById('totp-login-extra').classList.remove('hidden');
+  document.getElementById('login-subtitle').textContent = 'Enter the code from your authenticator app';
+}
+
+function resetTotpStep() {
+  pendingCredentials = null;
+  pinLength = 4;
+  pinBuffer = [];
+  updatePinDots();
+  document.getElementById('totp-login-extra').classList.add('hidden');
+  document.getElementById('recovery-login').classList.add('hidden');
+}
+
+function setupTotpLogin() {
+  const recoveryForm = document.getElementById('recovery-login');
+  const recoveryInput = document.getElementById('login-recovery-code');
+  document.getElementById('recovery-login-btn').addEventListener('click', () => {
+    recoveryForm.classList.remove('hidden');
+    recoveryInput.focus();
+  });
+  recoveryForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const code = recoveryInput.value.trim();
+    recoveryInput.value = '';
+    if (code && pendingCredentials) submitLogin({ ...pendingCredentials, totpCode: code }, 'Invalid code');
+  });
+  document.getElementById('totp-login-cancel').addEventListener('click', () => showLogin());
+}
+
+function setupPasswordForm() {
+  passwordForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const username = document.getElementById('login-username').value.trim();
+    const passwordInput = document.getElementById('login-password');
+    const password = passwordInput.value;
+    passwordInput.value = '';
+    submitLogin({ username, password }, 'Invalid username or password');
+  });
+}
+
+async function submitLogin(credentials, fallbackError) {
+  loginError.textContent = '';
   try {
     const res = await fetch('/api/auth', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ pin }),
+      body: JSON.stringify(credentials),
     });
     const data = await res.json();
     if (!res.ok) {
-      loginError.textContent = data.error || 'Invalid PIN';
+      if (data.totpRequired) {
+        const { totpCode, ...accepted } = credentials;
+        showTotpStep(accepted);
+        // The first time round this is just the prompt, not an error
+        loginError.textContent = totpCode ? data.error || fallbackError : '';
+        return;
+      }
+      loginError.textContent = data.error || fallbackError;
       return;
     }
+    resetTotpStep();
     currentToken = data.token;
-    sessionStorage.setItem('clit.token', currentToken);
+    localStorage.setItem('clit.token', currentToken);
     showApp();
   } catch (err) {
     loginError.textContent = 'Connection error. Is the server running?';
   }
 }
 
+// 'users' | 'pin' | 'open' — see GET /api/auth/mode
+async function fetchAuthMode() {
+  try {
+    const res = await fetch('/api/auth/mode');
+    if (res.ok) return (await res.json()).mode;
+  } catch { /* fall through */ }
+  return 'pin';
+}
+
+// Show the keypad (PIN mode) or the username/password form (user accounts)
+async function showLogin(message = '') {
+  resetTotpStep();
+  const mode = await fetchAuthMode();
+  const usersMode = mode === 'users';
+  passwordForm.classList.toggle('hidden', !usersMode);
+  document.getElementById('pin-login').classList.toggle('hidden', usersMode);
+  document.getElementById('login-subtitle').textContent = usersMode ? 'Log in to connect' : 'Enter PIN to connect';
+  appEl.classList.add('hidden');
+  loginScreen.classList.remove('hidden');
+  loginError.textContent = message;
+  if (usersMode) document.getElementById('login-username').focus();
+}
+
 function showApp() {
   loginScreen.classList.add('hidden');
   appEl.classList.remove('hidden');
@@ -239,15 +354,17 @@ function showApp() {
 // ── Auth check on load ────────────────────────────────────────────────────
 async function init() {
   setupPinKeypad();
+  setupPasswordForm();
+  setupTotpLogin();
   applyLayout();
 
-  const stored = sessionStorage.getItem('clit.token');
+  const stored = localStorage.getItem('clit.token');
   if (stored) {
     // Try to connect with stored token; if it fails, show login
     currentToken = stored;
     connectWebSocket();
   } else {
-    // Try no-auth first (server with no PIN)
+    // Try no-auth first (server with no PIN or users)
     try {
       const res = await fetch('/api/auth', {
         method: 'POST',
@@ -257,13 +374,13 @@ async function init() {
       if (res.ok) {
         const data = await res.json();
         currentToken = data.token;
-        sessionStorage.setItem('clit.token', currentToken);
+        localStorage.setItem('clit.token', currentToken);
         showApp();
         return;
       }
     } catch { /* ignore */ }
     // Show login screen
-    loginScreen.classList.remove('hidden');
+    showLogin();
   }
 }
 
@@ -293,11 +410,9 @@ function connectWebSocket() {
     console.log('[WS] Closed', event.code, event.reason);
     if (event.code === 4001) {
       // Auth failure — show login
-      sessionStorage.removeItem('clit.token');
+      localStorage.removeItem('clit.token');
       currentToken = null;
-      appEl.classList.add('hidden');
-      loginScreen.classList.remove('hidden');
-      loginError.textContent = 'Session expired. Please re-enter PIN.';
+      showLogin('Session expired. Please log in again.');
       return;
     }
     scheduleReconnect();
@@ -342,15 +457,38 @@ setInterval(() => {
 function handleMessage(msg) {
   switch (msg.type) {
     case 'sessions_list': {
+      // Keep read-only views of recovered scrollback across reconnects
+      const recoveredViews = Array.from(sessions.values()).filter(s => s.recovered);
       sessions.clear();
       for (const s of msg.sessions) sessions.set(s.id, s);
+      for (const s of recoveredViews) if (!sessions.has(s.id)) sessions.set(s.id, s);
       if (msg.config) {
         config = msg.config;
         document.title = 'CLAUDE CLIT';
       }
       if (msg.themes) themes = msg.themes;
+      if (msg.permissions) {
+        permissions = new Set(msg.permissions);
+        applyPermissions();
+      }
       emit('sessions:updated', Array.from(sessions.values()));
       emit('themes:updated', themes);
+      if (msg.pipelineRuns) {
+        pipelineRuns.clear();
+        for (const run of msg.pipelineRuns) pipelineRuns.set(run.id, run);
+        emit('pipelines:updated', Array.from(pipelineRuns.values()));
+      }
+      if (msg.schedules) {
+        scheduleState = msg.schedules;
+        emit('schedules:updated', scheduleState);
+      }
+
+      // Focus the session a notification was tapped for
+      if (pendingFocusSessionId && sessions.has(pendingFocusSessionId)) {
+        setActiveSession(pendingFocusSessionId);
+        pendingFocusSessionId = null;
+        history.replaceState(null, '', '/');
+      }
 
       // Auto-select first session if none active
       if (!activeSessionId && sessions.size > 0) {
@@ -372,6 +510,17 @@ function handleMessage(msg) {
 
     case 'session_buffer': {
       emit(`buffer:${msg.sessionId}`, msg.data);
+      if (msg.readOnly) emit('session:readonly', msg.sessionId);
+      break;
+    }
+
+    case 'session_prompt': {
+      // Prompt options parsed after the session entered waiting_input
+      const s = sessions.get(msg.sessionId);
+      if (s) {
+        s.prompt = msg.prompt;
+        emit('sessions:updated', Array.from(sessions.values()));
+      }
       break;
     }
 
@@ -380,6 +529,8 @@ function handleMessage(msg) {
       if (s) {
         const prevState = s.state;
         s.state = msg.state;
+        s.prompt = msg.prompt || null;
+        if ('exitCode' in msg) s.exitCode = msg.exitCode;
         // Gentle beep when a session finishes work (working → ready)
         if (prevState === 'working' && msg.state === 'ready') {
           playCompletionBeep();
@@ -398,6 +549,17 @@ function handleMessage(msg) {
       break;
     }
 
+    case 'session_restarted': {
+      // Restarted or resumed in place; the separator line arrives as output
+      const previous = sessions.get(msg.session.id);
+      if (previous) {
+        sessions.set(msg.session.id, { ...previous, ...msg.session });
+        emit('session:state', { sessionId: msg.session.id, state: msg.session.state });
+        emit('sessions:updated', Array.from(sessions.values()));
+      }
+      break;
+    }
+
     case 'session_killed': {
       sessions.delete(msg.sessionId);
       emit('session:removed', msg.sessionId);
@@ -410,6 +572,51 @@ function handleMessage(msg) {
       break;
     }
 
+    case 'pipeline_run': {
+      const previous = pipelineRuns.get(msg.run.id);
+      pipelineRuns.set(msg.run.id, msg.run);
+      if (previous?.status === 'running' && msg.run.status !== 'running') {
+        showToast(`Pipeline "${msg.run.label}" ${msg.run.status}`, msg.run.status === 'succeeded' ? 'success' : 'error');
+      }
+      emit('pipelines:updated', Array.from(pipelineRuns.values()));
+      break;
+    }
+
+    case 'session_restarts': {
+      // A crashed session is being (or was) restarted by its project's restartPolicy
+      const s = sessions.get(msg.sessionId);
+      if (s) {
+        s.exitCode = msg.exitCode;
+        s.restartCount = msg.restartCount;
+        s.restartAt = msg.restartAt;
+        emit('sessions:updated', Array.from(sessions.values()));
+      }
+      if (msg.message) showToast(msg.message, 'error');
+      break;
+    }
+
+    case 'session_policy': {
+      // A policy warned about, killed or removed a session (server/session-policy.js)
+      showToast(msg.message, msg.action === 'reap' ? 'info' : 'error');
+      break;
+    }
+
+    case 'schedules_updated': {
+      scheduleState = msg.schedules;
+      emit('schedules:updated', scheduleState);
+      break;
+    }
+
+    case 'session_queue': {
+      // Queued prompts changed (added, edited, reordered or sent)
+      const s = sessions.get(msg.sessionId);
+      if (s) {
+        s.queue = msg.queue;
+        emit('sessions:updated', Array.from(sessions.values()));
+      }
+      break;
+    }
+
     case 'session_updated': {
       const s = sessions.get(msg.sessionId);
       if (s && msg.label !== undefined) s.label = msg.label;
@@ -417,6 +624,11 @@ function handleMessage(msg) {
       break;
     }
 
+    case 'session_share_created': {
+      emit('share:created', msg);
+      break;
+    }
+
     case 'config_updated': {
       if (msg.config) {
         config = { ...config, ...msg.config };
@@ -428,6 +640,11 @@ function handleMessage(msg) {
       break;
     }
 
+    case 'worktree_result': {
+      showToast(msg.message, msg.ok ? 'success' : 'error');
+      break;
+    }
+
     case 'error': {
       console.error('[Server error]', msg.message);
       showToast(msg.message, 'error');
@@ -590,6 +807,7 @@ if (settingsBtn) {
   settingsBtn.addEventListener('click', () => {
     settingsPanel.classList.toggle('open');
     panelOverlay.classList.toggle('hidden', !settingsPanel.classList.contains('open'));
+    if (settingsPanel.classList.contains('open')) emit('settings:opened');
   });
 }
 if (settingsClose) {
@@ -688,6 +906,8 @@ function toggleDeck() {
 deckBtn?.addEventListener('click', toggleDeck);
 drawerBtn?.addEventListener('click', toggleDeck);
 deckClose?.addEventListener('click', toggleDeck);
+on('deck:open', () => { if (!deckOverlay?.classList.contains('open')) toggleDeck(); });
+on('deck:close', () => { if (deckOverlay?.classList.contains('open')) toggleDeck(); });
 
 // ── Glass Bridge: Swipe Gestures on Terminal View ─────────────────────────
 (function setupSwipeGestures() {
@@ -741,24 +961,488 @@ deckClose?.addEventListener('click', toggleDeck);
 // ── Service Worker ────────────────────────────────────────────────────────
 if ('serviceWorker' in navigator) {
   navigator.serviceWorker.register('/static/sw.js').catch(() => {});
+  // Notification tapped while the app was already open
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    const { type, sessionId } = event.data || {};
+    if (type === 'focus-session' && sessionId && sessions.has(sessionId)) {
+      setActiveSession(sessionId);
+    }
+  });
+}
+
+// ── Push notifications ───────────────────────────────────────────────────
+function urlBase64ToUint8Array(base64) {
+  const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(padded);
+  return Uint8Array.from(raw, c => c.charCodeAt(0));
+}
+
+async function getPushSubscription() {
+  const reg = await navigator.serviceWorker.ready;
+  return reg.pushManager.getSubscription();
+}
+
+function setupPushToggle() {
+  const btn = document.getElementById('push-toggle-btn');
+  const status = document.getElementById('push-status');
+  if (!btn) return;
+
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
+    btn.disabled = true;
+    btn.classList.add('opacity-50');
+    if (status) status.innerHTML = window.isSecureContext
+      ? 'Push is not supported in this browser.'
+      : 'Push needs HTTPS (or localhost) — see <a href="/https-setup" class="underline">HTTPS setup</a>.';
+    return;
+  }
+
+  async function render() {
+    const sub = await getPushSubscription().catch(() => null);
+    btn.textContent = sub ? 'Disable on this device' : 'Enable on this device';
+    if (status) status.textContent = sub ? 'This device receives notifications.' : '';
+  }
+
+  btn.addEventListener('click', async () => {
+    try {
+      const existing = await getPushSubscription();
+      if (existing) {
+        await fetch('/api/push/subscribe', {
+          method: 'DELETE',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${currentToken}` },
+          body: JSON.stringify({ endpoint: existing.endpoint }),
+        });
+        await existing.unsubscribe();
+      } else {
+        if (await Notification.requestPermission() !== 'granted') {
+          showToast('Notification permission denied', 'error');
+          return;
+        }
+        const keyRes = await fetch('/api/push/key', { headers: { Authorization: `Bearer ${currentToken}` } });
+        const { publicKey } = await keyRes.json();
+        const reg = await navigator.serviceWorker.ready;
+        const sub = await reg.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: urlBase64ToUint8Array(publicKey),
+        });
+        const res = await fetch('/api/push/subscribe', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${currentToken}` },
+          body: JSON.stringify({ subscription: sub.toJSON() }),
+        });
+        if (!res.ok) throw new Error('Subscribe failed');
+        showToast('Push notifications enabled', 'success');
+      }
+    } catch (err) {
+      showToast('Push error: ' + err.message, 'error');
+    }
+    render();
+  });
+
+  render();
+}
+
+// ── Two-factor authentication ────────────────────────────────────────────
+function setupTotpSettings() {
+  const section = document.getElementById('totp-section');
+  if (!section) return;
+  const statusEl = document.getElementById('totp-status');
+  const setupEl = document.getElementById('totp-setup');
+  const codesEl = document.getElementById('totp-codes');
+  const codeForm = document.getElementById('totp-code-form');
+  const codeInput = document.getElementById('totp-code');
+  const actionBtn = document.getElementById('totp-action-btn');
+  const regenBtn = document.getElementById('totp-regen-btn');
+  // What the code form confirms: 'enable' | 'disable' | 'recovery-codes'
+  let pendingAction = null;
+
+  async function api(path, body) {
+    const res = await fetch(`/api/totp${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${currentToken}` },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+  }
+
+  function askForCode(action) {
+    pendingAction = action;
+    codeForm.classList.remove('hidden');
+    codeInput.value = '';
+    codeInput.placeholder = action === 'enable' ? '6-digit code' : 'Code or recovery code';
+    codeInput.focus();
+  }
+
+  function showRecoveryCodes(codes) {
+    const list = document.getElementById('totp-codes-list');
+    list.innerHTML = '';
+    codes.forEach(c => {
+      const el = document.createElement('div');
+      el.textContent = c;
+      list.appendChild(el);
+    });
+    codesEl.classList.remove('hidden');
+  }
+
+  async function render() {
+    let status;
+    try {
+      status = await api('');
+    } catch {
+      section.classList.add('hidden');
+      return;
+    }
+    section.classList.toggle('hidden', !status.available);
+    pendingAction = null;
+    codeForm.classList.add('hidden');
+    setupEl.classList.add('hidden');
+    regenBtn.classList.toggle('hidden', !status.enabled);
+    if (status.enabled) {
+      statusEl.textContent = `On · ${status.recoveryCodesLeft} recovery code${status.recoveryCodesLeft === 1 ? '' : 's'} left`;
+      actionBtn.textContent = 'Turn off';
+    } else {
+      statusEl.textContent = 'Off — logins need only your PIN or password.';
+      actionBtn.textContent = 'Set up';
+    }
+    actionBtn.dataset.enabled = status.enabled ? '1' : '';
+  }
+
+  actionBtn.addEventListener('click', async () => {
+    codesEl.classList.add('hidden');
+    if (actionBtn.dataset.enabled) {
+      askForCode('disable');
+      return;
+    }
+    try {
+      const { secret, qrSvg } = await api('/setup', {});
+      document.getElementById('totp-qr').innerHTML = qrSvg;
+      document.getElementById('totp-secret').textContent = secret.replace(/(.{4})/g, '$1 ').trim();
+      setupEl.classList.remove('hidden');
+      askForCode('enable');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
+  regenBtn.addEventListener('click', () => {
+    codesEl.classList.add('hidden');
+    askForCode('recovery-codes');
+  });
+
+  codeForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const code = codeInput.value.trim();
+    if (!code || !pendingAction) return;
+    try {
+      const data = await api(`/${pendingAction}`, { code });
+      if (pendingAction === 'disable') showToast('Two-factor authentication turned off', 'success');
+      await render();
+      if (data.recoveryCodes) showRecoveryCodes(data.recoveryCodes);
+    } catch (err) {
+      showToast(err.message, 'error');
+      codeInput.select();
+    }
+  });
+
+  on('settings:opened', () => {
+    codesEl.classList.add('hidden');
+    render();
+  });
+}
+
+// ── Signed-in devices ────────────────────────────────────────────────────
+// Short "Chrome on Android" style label from a user-agent string
+function describeUserAgent(ua = '') {
+  const os = /iPhone|iPad/.test(ua) ? 'iOS'
+    : /Android/.test(ua) ? 'Android'
+    : /Windows/.test(ua) ? 'Windows'
+    : /Mac OS X/.test(ua) ? 'macOS'
+    : /Linux/.test(ua) ? 'Linux' : '';
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /Firefox\//.test(ua) ? 'Firefox'
+    : /Chrome\//.test(ua) ? 'Chrome'
+    : /Safari\//.test(ua) ? 'Safari' : '';
+  if (!os && !browser) return ua ? ua.slice(0, 40) : 'Unknown device';
+  return [browser, os].filter(Boolean).join(' on ');
+}
+
+function setupDeviceList() {
+  const list = document.getElementById('device-list');
+  if (!list) return;
+
+  async function render() {
+    let devices;
+    try {
+      const res = await fetch('/api/devices', { headers: { Authorization: `Bearer ${currentToken}` } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      devices = await res.json();
+    } catch (err) {
+      list.textContent = 'Could not load devices.';
+      return;
+    }
+
+    list.innerHTML = '';
+    const showUser = devices.some(d => d.username !== devices[0].username);
+    devices.forEach(d => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center gap-2.5 px-3 py-2 rounded-lg border border-border bg-bg-deep';
+
+      const info = document.createElement('div');
+      info.className = 'flex-1 min-w-0';
+      const name = document.createElement('div');
+      name.className = 'text-[13px] overflow-hidden text-ellipsis whitespace-nowrap';
+      name.textContent = describeUserAgent(d.userAgent) + (showUser ? ` · ${d.username}` : '');
+      const meta = document.createElement('div');
+      meta.className = 'text-[11px] text-text-muted';
+      meta.textContent = d.current
+        ? `This device · ${d.ip}`
+        : `Last seen ${new Date(d.lastSeenAt).toLocaleString()} · ${d.ip}`;
+      meta.title = `Signed in ${new Date(d.issuedAt).toLocaleString()}, expires ${new Date(d.expiresAt).toLocaleString()}`;
+      info.appendChild(name);
+      info.appendChild(meta);
+
+      const btn = document.createElement('button');
+      btn.className = 'px-2 py-1 text-[11px] border border-border rounded text-error hover:bg-surface-hover transition-all duration-150 cursor-pointer shrink-0';
+      btn.textContent = 'Sign out';
+      btn.addEventListener('click', async () => {
+        if (d.current && !confirm('Sign out this device?')) return;
+        const res = await fetch(`/api/devices/${encodeURIComponent(d.id)}`, {
+          method: 'DELETE',
+          headers: { Authorization: `Bearer ${currentToken}` },
+        }).catch(() => null);
+        if (!res || !res.ok) {
+          showToast('Could not sign out device', 'error');
+          return;
+        }
+        // Signing out this device closes its WebSocket → login screen
+        if (!d.current) render();
+      });
+
+      row.appendChild(info);
+      row.appendChild(btn);
+      list.appendChild(row);
+    });
+  }
+
+  on('settings:opened', render);
+}
+
+// ── Schedules ────────────────────────────────────────────────────────────
+// Upcoming scheduled launches and the recent runs (config "schedules" on
+// projects and templates); tap a running one to open its session
+const SCHEDULE_RUNS_SHOWN = 10;
+
+function setupSchedulePanel() {
+  const section = document.getElementById('schedule-section');
+  const list = document.getElementById('schedule-list');
+  const runsEl = document.getElementById('schedule-runs');
+  if (!section || !list || !runsEl) return;
+
+  function render({ schedules, runs }) {
+    section.classList.toggle('hidden', schedules.length === 0 && runs.length === 0);
+
+    list.innerHTML = '';
+    [...schedules]
+      .sort((a, b) => (a.nextRunAt || '\uffff').localeCompare(b.nextRunAt || '\uffff'))
+      .forEach(s => {
+        const row = document.createElement('div');
+        row.className = 'px-3 py-2 rounded-lg border border-border bg-bg-deep';
+        row.title = s.id;
+        const name = document.createElement('div');
+        name.className = 'text-[13px] text-text overflow-hidden text-ellipsis whitespace-nowrap';
+        name.textContent = `${s.label} · ${s.when}`;
+        const meta = document.createElement('div');
+        if (s.error) {
+          meta.className = 'text-error';
+          meta.textContent = s.error;
+        } else {
+          meta.textContent = [
+            s.nextRunAt ? `Next ${new Date(s.nextRunAt).toLocaleString()}` : (s.enabled ? 'No upcoming run' : 'Disabled'),
+            s.lastRunAt ? `last ${new Date(s.lastRunAt).toLocaleString()}` : null,
+          ].filter(Boolean).join(' · ');
+        }
+        row.append(name, meta);
+        list.appendChild(row);
+      });
+
+    runsEl.innerHTML = '';
+    runs.slice(0, SCHEDULE_RUNS_SHOWN).forEach(run => {
+      const row = document.createElement('div');
+      row.className = 'flex gap-2 px-2 py-1.5 rounded border border-border bg-bg-deep';
+      row.title = run.message || '';
+      const status = document.createElement('span');
+      status.className = run.status === 'failed' ? 'text-error' : run.status === 'running' ? 'text-accent' : 'text-text';
+      status.textContent = run.status;
+      const label = document.createElement('span');
+      label.className = 'flex-1 overflow-hidden text-ellipsis whitespace-nowrap';
+      label.textContent = run.message ? `${run.label} — ${run.message}` : run.label;
+      const when = document.createElement('span');
+      when.className = 'shrink-0';
+      when.textContent = new Date(run.startedAt).toLocaleString();
+      row.append(status, label, when);
+      if (run.status === 'running' && sessions.has(run.sessionId)) {
+        row.classList.add('cursor-pointer', 'hover:border-accent');
+        row.addEventListener('click', () => {
+          setActiveSession(run.sessionId);
+          settingsPanel.classList.remove('open');
+          panelOverlay.classList.add('hidden');
+        });
+      }
+      runsEl.appendChild(row);
+    });
+  }
+
+  on('schedules:updated', render);
+  render(scheduleState);
+}
+
+// ── Audit log (admins) ───────────────────────────────────────────────────
+// One-line summary of an audit entry's action-specific fields
+function describeAuditEntry(e) {
+  switch (e.action) {
+    case 'session.input': return `$ ${e.input}${e.partial ? ' (not submitted)' : ''}`;
+    case 'session.create': return `${e.project} · ${e.sessionType}${e.template ? ` · template ${e.template}` : ''}${e.dangerous ? ' · DANGEROUS' : ''}`;
+    case 'session.exit': return `${e.project} · exit code ${e.exitCode}`;
+    case 'session.rename': return `${e.from} → ${e.to}`;
+    case 'session.prompt_respond': return `${e.option}${e.question ? ` — ${e.question}` : ''}`;
+    case 'config.update': return `Changed ${(e.changed || []).join(', ') || 'nothing'}`;
+    case 'auth.failure': return `${e.reason} · ${e.ip}`;
+    case 'auth.login':
+    case 'auth.locked': return `${describeUserAgent(e.userAgent)} · ${e.ip}`;
+    case 'device.revoke': return `${e.owner}'s device ${e.deviceId}`;
+    case 'secret.create':
+    case 'secret.update':
+    case 'secret.delete': return e.name;
+    case 'worktree.merge':
+    case 'worktree.delete': return `${e.project} · ${e.branch}`;
+    case 'pipeline.start':
+    case 'pipeline.cancel': return e.pipeline;
+    case 'pipeline.finish': return `${e.pipeline} · ${e.status}${e.message ? ` — ${e.message}` : ''}`;
+    case 'schedule.run': return `${e.schedule} · ${e.project}`;
+    case 'session.restart': return e.automatic
+      ? `${e.project} · exit code ${e.exitCode} · attempt ${e.attempt}`
+      : `${e.project} · ${e.sessionType}`;
+    case 'session.policy': return `${e.project} · ${e.policy} (${e.reason})`;
+    default: return e.project || e.ip || '';
+  }
+}
+
+function setupAuditPanel() {
+  const list = document.getElementById('audit-list');
+  if (!list) return;
+  const actionSelect = document.getElementById('audit-action');
+  const userInput = document.getElementById('audit-user');
+  const searchInput = document.getElementById('audit-search');
+
+  function filterParams() {
+    const params = new URLSearchParams();
+    if (actionSelect.value) params.set('action', actionSelect.value);
+    if (userInput.value.trim()) params.set('user', userInput.value.trim());
+    if (searchInput.value.trim()) params.set('q', searchInput.value.trim());
+    return params;
+  }
+
+  async function render() {
+    if (!can('audit.view')) return;
+    let entries;
+    try {
+      const res = await fetch(`/api/audit?${filterParams()}`, { headers: { Authorization: `Bearer ${currentToken}` } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      entries = await res.json();
+    } catch (err) {
+      list.textContent = 'Could not load the audit log.';
+      return;
+    }
+
+    list.innerHTML = '';
+    if (entries.length === 0) list.textContent = 'No matching entries.';
+    entries.forEach(e => {
+      const row = document.createElement('div');
+      row.className = 'px-2 py-1.5 rounded border border-border bg-bg-deep';
+      row.title = JSON.stringify(e, null, 2);
+
+      const head = document.createElement('div');
+      head.className = 'flex gap-2';
+      const action = document.createElement('span');
+      action.className = e.action === 'auth.failure' || e.dangerous ? 'text-error' : 'text-text';
+      action.textContent = e.action;
+      const who = document.createElement('span');
+      who.className = 'flex-1 overflow-hidden text-ellipsis whitespace-nowrap';
+      who.textContent = e.user;
+      const when = document.createElement('span');
+      when.className = 'shrink-0';
+      when.textContent = new Date(e.ts).toLocaleString();
+      head.append(action, who, when);
+
+      const detail = document.createElement('div');
+      detail.className = 'font-mono overflow-hidden text-ellipsis whitespace-nowrap';
+      detail.textContent = describeAuditEntry(e);
+
+      row.append(head, detail);
+      list.appendChild(row);
+    });
+  }
+
+  async function download(format) {
+    const params = filterParams();
+    params.set('format', format);
+    const res = await fetch(`/api/audit/export?${params}`, { headers: { Authorization: `Bearer ${currentToken}` } }).catch(() => null);
+    if (!res || !res.ok) {
+      showToast('Could not export the audit log', 'error');
+      return;
+    }
+    const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = match ? match[1] : `audit.${format}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  let searchTimer = null;
+  const renderSoon = () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(render, 300);
+  };
+  actionSelect.addEventListener('change', render);
+  userInput.addEventListener('input', renderSoon);
+  searchInput.addEventListener('input', renderSoon);
+  document.getElementById('audit-export-jsonl').addEventListener('click', () => download('jsonl'));
+  document.getElementById('audit-export-csv').addEventListener('click', () => download('csv'));
+
+  on('settings:opened', render);
 }
 
 // ── Export event bus and public API ──────────────────────────────────────
 export { emit, on, off };
 
 // ── Initialize sub-modules ────────────────────────────────────────────────
-const lightBar = new LightBar({ emit, on, sessions, setActiveSession, send });
-const terminalMgr = new TerminalManager({ emit, on, sessions, send, showToast });
+const lightBar = new LightBar({ emit, on, sessions, setActiveSession, send, showToast, can });
+const terminalMgr = new TerminalManager({ emit, on, sessions, send, showToast, can });
 const voiceInput = new VoiceInput({ emit, on });
-const projectDrawer = new ProjectDrawer({ emit, on, sessions, getConfig: () => config, send, showToast, setActiveSession, currentToken: () => currentToken });
+const projectDrawer = new ProjectDrawer({ emit, on, sessions, getConfig: () => config, send, showToast, setActiveSession, currentToken: () => currentToken, can });
+const pipelinePanel = new PipelinePanel({
+  emit, on, send, showToast, setActiveSession, can,
+  getConfig: () => config,
+  setConfig: (c) => { config = c; emit('config:updated', config); },
+  currentToken: () => currentToken,
+});
 
 lightBar.init();
 terminalMgr.init();
 voiceInput.init();
 projectDrawer.init();
+pipelinePanel.init();
 
 // ── Sound picker ─────────────────────────────────────────────────────────
 setupSoundPicker();
+setupPushToggle();
+setupTotpSettings();
+setupDeviceList();
+setupSchedulePanel();
+setupAuditPanel();
 
 // ── Config panel (desktop) ────────────────────────────────────────────────
 setupConfigPanel();
@@ -771,6 +1455,9 @@ function setupConfigPanel() {
   const saveProjectBtn = document.getElementById('save-project-btn');
   const deleteProjectBtn = document.getElementById('delete-project-btn');
   const configStatus = document.getElementById('config-status');
+  const envList = document.getElementById('proj-env-list');
+  const envAddBtn = document.getElementById('proj-env-add');
+  let secretNames = new Set(); // Secrets the server has (values never come back)
 
   function renderProjectList() {
     if (!projectList) return;
@@ -787,7 +1474,7 @@ function setupConfigPanel() {
           <div class="text-[11px] text-text-muted overflow-hidden text-ellipsis whitespace-nowrap">${p.path}</div>
         </div>
         <div class="flex gap-1">
-          <button data-edit="${idx}" class="px-2 py-1 text-[11px] border border-border rounded hover:bg-surface-hover transition-all duration-150 cursor-pointer">Edit</button>
+          <button data-edit="${idx}" class="${can('config.edit') ? '' : 'role-hidden '}px-2 py-1 text-[11px] border border-border rounded hover:bg-surface-hover transition-all duration-150 cursor-pointer">Edit</button>
         </div>
       `;
       card.querySelector('[data-edit]').addEventListener('click', () => openEditForm(idx));
@@ -803,6 +1490,10 @@ function setupConfigPanel() {
     document.getElementById('proj-edit-index').value = idx;
     document.getElementById('delete-project-btn').style.display = isNew ? 'none' : '';
 
+    renderAutoStartTypes(isNew ? [] : ((config.projects || [])[idx] || {}).profiles);
+    renderEnvRows(isNew ? {} : ((config.projects || [])[idx] || {}).env);
+    loadSecretNames();
+
     if (!isNew) {
       const p = (config.projects || [])[idx] || {};
       document.getElementById('proj-name').value = p.name || '';
@@ -812,6 +1503,7 @@ function setupConfigPanel() {
       document.getElementById('proj-autostart').checked = !!p.autoStart;
       document.getElementById('proj-autostart-type').value = p.autoStartType || 'new-claude';
       document.getElementById('proj-autostart-dangerous').checked = !!p.autoStartDangerous;
+      document.getElementById('proj-push').checked = !!p.pushNotifications;
     } else {
       document.getElementById('proj-name').value = '';
       document.getElementById('proj-path').value = '';
@@ -820,6 +1512,130 @@ function setupConfigPanel() {
       document.getElementById('proj-autostart').checked = false;
       document.getElementById('proj-autostart-type').value = 'new-claude';
       document.getElementById('proj-autostart-dangerous').checked = false;
+      document.getElementById('proj-push').checked = false;
+    }
+  }
+
+  // Built-in session types, then the project's own launch profiles
+  function renderAutoStartTypes(profiles) {
+    const select = document.getElementById('proj-autostart-type');
+    select.querySelectorAll('[data-profile]').forEach(el => el.remove());
+    (Array.isArray(profiles) ? profiles : []).forEach(profile => {
+      if (!profile?.name || select.querySelector(`option[value="${CSS.escape(profile.name)}"]`)) return;
+      const option = document.createElement('option');
+      option.dataset.profile = '';
+      option.value = profile.name;
+      option.textContent = profile.label || profile.name;
+      select.appendChild(option);
+    });
+  }
+
+  // ── Environment variables ──
+  // Plain values live in config.json; secret ones are written to the
+  // server's encrypted secrets file and config.json only names them
+  async function loadSecretNames() {
+    if (!can('config.edit')) return;
+    try {
+      const res = await fetch('/api/secrets', { headers: { Authorization: `Bearer ${currentToken}` } });
+      if (!res.ok) return;
+      secretNames = new Set((await res.json()).names);
+      envList.querySelectorAll('[data-secret-name]').forEach(updateSecretPlaceholder);
+    } catch { /* placeholders just stay generic */ }
+  }
+
+  function renderEnvRows(env) {
+    envList.innerHTML = '';
+    Object.entries(env && typeof env === 'object' ? env : {}).forEach(([key, value]) => addEnvRow(key, value));
+  }
+
+  function addEnvRow(key = '', value = '') {
+    const isSecret = !!value && typeof value === 'object';
+    const row = document.createElement('div');
+    row.className = 'flex items-center gap-1.5';
+    row.innerHTML = `
+      <input type="text" data-env-key placeholder="NAME" spellcheck="false"
+             class="w-2/5 min-w-0 text-text bg-bg-surface border border-border rounded-md px-2 py-1.5 text-[12px] font-mono focus:border-accent focus:outline-none">
+      <input type="text" data-env-value placeholder="value" spellcheck="false" autocomplete="off"
+             class="flex-1 min-w-0 text-text bg-bg-surface border border-border rounded-md px-2 py-1.5 text-[12px] font-mono focus:border-accent focus:outline-none">
+      <label class="flex items-center gap-1 text-[11px] text-text-muted cursor-pointer shrink-0" title="Store encrypted on the server; never shown again">
+        <input type="checkbox" data-env-secret class="accent-accent">Secret
+      </label>
+      <button type="button" data-env-remove class="px-1.5 text-text-muted hover:text-error cursor-pointer shrink-0" aria-label="Remove">\u00D7</button>
+    `;
+    const keyInput = row.querySelector('[data-env-key]');
+    const valueInput = row.querySelector('[data-env-value]');
+    const secretCheck = row.querySelector('[data-env-secret]');
+    keyInput.value = key;
+    if (isSecret) {
+      row.dataset.secretName = value.secret || '';
+      secretCheck.checked = true;
+    } else {
+      valueInput.value = value == null ? '' : String(value);
+    }
+    secretCheck.addEventListener('change', () => {
+      valueInput.value = '';
+      updateSecretPlaceholder(row);
+    });
+    row.querySelector('[data-env-remove]').addEventListener('click', () => row.remove());
+    updateSecretPlaceholder(row);
+    envList.appendChild(row);
+    return row;
+  }
+
+  // Secret values are masked, and left blank to keep the stored one
+  function updateSecretPlaceholder(row) {
+    const valueInput = row.querySelector('[data-env-value]');
+    const secret = row.querySelector('[data-env-secret]').checked;
+    valueInput.type = secret ? 'password' : 'text';
+    valueInput.placeholder = !secret ? 'value'
+      : secretNames.has(row.dataset.secretName) ? '\u2022\u2022\u2022\u2022\u2022\u2022 (unchanged)' : 'secret value';
+  }
+
+  if (envAddBtn) envAddBtn.addEventListener('click', () => addEnvRow().querySelector('[data-env-key]').focus());
+
+  async function secretRequest(method, body) {
+    const res = await fetch('/api/secrets', {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${currentToken}` },
+      body: JSON.stringify(body),
+    });
+    if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || 'Secret not saved');
+  }
+
+  // Read the rows into an "env" object, saving new secret values on the way.
+  // Throws (nothing saved to config) if a row is incomplete.
+  async function collectEnv(projectName) {
+    const env = {};
+    const pending = [];
+    for (const row of envList.children) {
+      const key = row.querySelector('[data-env-key]').value.trim();
+      const value = row.querySelector('[data-env-value]').value;
+      if (!key && !value) continue;
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) throw new Error(`Invalid variable name "${key}"`);
+      if (!row.querySelector('[data-env-secret]').checked) {
+        env[key] = value;
+        continue;
+      }
+      const name = row.dataset.secretName || `${projectName}/${key}`;
+      if (!value && !secretNames.has(name)) throw new Error(`Enter a value for secret ${key}`);
+      if (value) pending.push({ name, value });
+      env[key] = { secret: name };
+    }
+    for (const secret of pending) {
+      await secretRequest('PUT', secret);
+      secretNames.add(secret.name);
+    }
+    return env;
+  }
+
+  // Secrets this form created ("<project>/<KEY>") that no longer have a row
+  async function deleteDroppedSecrets(oldEnv, newEnv, projectName) {
+    const kept = new Set(Object.values(newEnv).filter(v => v && typeof v === 'object').map(v => v.secret));
+    for (const [key, value] of Object.entries(oldEnv || {})) {
+      if (!value || typeof value !== 'object' || kept.has(value.secret)) continue;
+      if (value.secret !== `${projectName}/${key}`) continue;
+      await secretRequest('DELETE', { name: value.secret }).catch(() => {});
+      secretNames.delete(value.secret);
     }
   }
 
@@ -865,7 +1681,10 @@ function setupConfigPanel() {
     saveProjectBtn.addEventListener('click', async () => {
       const idx = parseInt(document.getElementById('proj-edit-index').value, 10);
       const updated = [...(config.projects || [])];
+      const existing = idx === -1 ? {} : (config.projects || [])[idx] || {};
       const proj = {
+        // Keep fields the form doesn't edit (e.g. stateDetector)
+        ...existing,
         name: document.getElementById('proj-name').value.trim(),
         path: document.getElementById('proj-path').value.trim(),
         icon: document.getElementById('proj-icon').value.trim(),
@@ -873,11 +1692,21 @@ function setupConfigPanel() {
         autoStart: document.getElementById('proj-autostart').checked,
         autoStartType: document.getElementById('proj-autostart-type').value,
         autoStartDangerous: document.getElementById('proj-autostart-dangerous').checked,
+        pushNotifications: document.getElementById('proj-push').checked,
       };
       if (!proj.name || !proj.path) { showToast('Name and path required', 'error'); return; }
+      try {
+        const env = await collectEnv(proj.name);
+        if (Object.keys(env).length) proj.env = env;
+        else delete proj.env;
+      } catch (err) {
+        showToast(err.message, 'error');
+        return;
+      }
       if (idx === -1) updated.push(proj);
       else updated[idx] = proj;
       await saveConfig(updated);
+      await deleteDroppedSecrets(existing.env, proj.env || {}, existing.name || proj.name);
       closeEditForm();
     });
   }
@@ -914,9 +1743,18 @@ on('recovery:available', (recovered) => {
     item.className = 'flex items-center gap-1.5 min-w-0 p-2 border border-border rounded-md text-[13px] cursor-pointer hover:bg-surface-hover transition-colors duration-150';
     item.innerHTML = `
       <input type="checkbox" checked data-idx="${idx}" class="shrink-0 accent-accent">
-      <span class="overflow-hidden text-ellipsis whitespace-nowrap min-w-0">${s.projectIcon || '\uD83D\uDCC1'} ${s.projectName}</span>
-      <span class="text-[11px] text-text-muted shrink-0">${s.sessionType === 'plain-shell' ? 'SH' : (s.dangerouslySkipPermissions ? 'CD' : 'C')}</span>
+      <span class="flex-1 overflow-hidden text-ellipsis whitespace-nowrap min-w-0">${s.projectIcon || '\uD83D\uDCC1'} ${s.label || s.projectName}</span>
+      <span class="text-[11px] text-text-muted shrink-0">${sessionTypeTag(s)}</span>
+      ${s.hasScrollback ? `<button data-view="${idx}" class="px-2 py-0.5 text-[11px] border border-border rounded hover:bg-surface-hover transition-all duration-150 cursor-pointer shrink-0">Log</button>` : ''}
     `;
+    const viewBtn = item.querySelector('[data-view]');
+    if (viewBtn) {
+      viewBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        modal.classList.add('hidden');
+        viewRecoveredScrollback(s);
+      });
+    }
     list.appendChild(item);
   });
 
@@ -934,10 +1772,30 @@ on('recovery:available', (recovered) => {
         projectName: s.projectName,
         sessionType: s.sessionType || 'new-claude',
         dangerouslySkipPermissions: !!s.dangerouslySkipPermissions,
+        label: s.label,
+        worktreeFrom: s.worktree ? s.id : undefined,
       });
     });
   };
 });
 
+// Short tag for the recovery list: SH, C / CD (dangerous), or the profile name
+function sessionTypeTag(s) {
+  if (s.sessionType === 'plain-shell') return 'SH';
+  if (!s.sessionType || s.sessionType === 'new-claude' || s.sessionType === 'resume-claude') {
+    return s.dangerouslySkipPermissions ? 'CD' : 'C';
+  }
+  return s.sessionType;
+}
+
+// Open a recovered session's on-disk scrollback as a read-only, dead session
+function viewRecoveredScrollback(s) {
+  if (!sessions.has(s.id)) {
+    sessions.set(s.id, { ...s, state: 'dead', recovered: true });
+    emit('sessions:updated', Array.from(sessions.values()));
+  }
+  setActiveSession(s.id);
+}
+
 // ── Start ─────────────────────────────────────────────────────────────────
 init();
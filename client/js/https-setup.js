@@ -0,0 +1,39 @@
+/**
+ * CLI Cockpit — HTTPS Setup
+ * Shows the local CA's fingerprint and the host names its server certificate
+ * covers. Over the plain-HTTP setup port, "continue" to / is redirected to
+ * HTTPS by the server.
+ */
+
+const summaryEl = document.getElementById('setup-summary');
+
+async function init() {
+  let info;
+  try {
+    const res = await fetch('/api/tls');
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    info = await res.json();
+  } catch {
+    summaryEl.textContent = 'Could not load the certificate details.';
+    return;
+  }
+
+  if (!info.enabled) {
+    summaryEl.textContent = 'HTTPS is not enabled on this server. Set "https": true in config.json and restart it.';
+    return;
+  }
+
+  if (!info.caAvailable) {
+    summaryEl.textContent = 'This server uses its own certificate, so there is nothing to install — it should already be trusted if it comes from a public CA.';
+  } else {
+    summaryEl.textContent = info.mode === 'generated'
+      ? 'This server uses a certificate from its own local certificate authority. Install the CA once on each device and the browser will trust the cockpit — which Web Push, the microphone and offline mode need.'
+      : 'Install this CA certificate on each device so the browser trusts the cockpit.';
+    document.getElementById('setup-fingerprint').textContent = info.caFingerprint;
+    document.getElementById('setup-hosts').textContent = info.hosts.join(', ');
+    document.getElementById('setup-ca').classList.remove('hidden');
+    document.getElementById('setup-steps').classList.remove('hidden');
+  }
+}
+
+init();
@@ -5,12 +5,14 @@
  */
 
 export class LightBar {
-  constructor({ emit, on, sessions, setActiveSession, send }) {
+  constructor({ emit, on, sessions, setActiveSession, send, showToast, can }) {
     this.emit = emit;
     this.on = on;
     this.sessions = sessions;
     this.setActiveSession = setActiveSession;
     this.send = send;
+    this.showToast = showToast || (() => {});
+    this.can = can || (() => true);
 
     this._container = document.getElementById('dot-container');
     this._activeId = null;
@@ -20,10 +22,15 @@ export class LightBar {
     this._touchStartY = null;
     this._isSliding = false;
     this._quickMenuSessionId = null;
+    this._pipelineRuns = [];
   }
 
   init() {
     this.on('sessions:updated', (sessions) => this._render(sessions));
+    this.on('pipelines:updated', (runs) => {
+      this._pipelineRuns = runs;
+      this._render(this.sessions);
+    });
     this.on('session:active', (id) => {
       this._activeId = id;
       this._updateActivePill(id);
@@ -53,6 +60,57 @@ export class LightBar {
       });
     }
 
+    // Share modal wiring
+    const shareModal = document.getElementById('share-modal');
+    const shareExpiry = document.getElementById('share-expiry');
+    const shareUrl = document.getElementById('share-url');
+    const shareCreate = document.getElementById('share-create');
+    const shareCancel = document.getElementById('share-cancel');
+
+    if (shareCancel) {
+      shareCancel.addEventListener('click', () => {
+        shareModal.classList.add('hidden');
+      });
+    }
+    if (shareCreate) {
+      shareCreate.addEventListener('click', () => {
+        if (!this._quickMenuSessionId) return;
+        shareCreate.disabled = true;
+        this.send({
+          type: 'session_share',
+          sessionId: this._quickMenuSessionId,
+          ttlMinutes: Number(shareExpiry.value),
+        });
+      });
+    }
+    this.on('share:created', (msg) => {
+      if (!shareModal || shareModal.classList.contains('hidden')) return;
+      shareCreate.disabled = false;
+      shareUrl.value = location.origin + msg.url;
+      shareUrl.classList.remove('hidden');
+      shareUrl.select();
+      if (navigator.clipboard) {
+        navigator.clipboard.writeText(shareUrl.value)
+          .then(() => this.showToast('Link copied — expires ' + new Date(msg.expiresAt).toLocaleString(), 'success'))
+          .catch(() => {});
+      }
+    });
+
+    // Worktree kill modal wiring
+    const worktreeModal = document.getElementById('worktree-kill-modal');
+    if (worktreeModal) {
+      document.getElementById('worktree-kill-cancel').addEventListener('click', () => {
+        worktreeModal.classList.add('hidden');
+      });
+      worktreeModal.querySelectorAll('[data-worktree-action]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          worktreeModal.classList.add('hidden');
+          if (!this._quickMenuSessionId) return;
+          this.send({ type: 'session_kill', sessionId: this._quickMenuSessionId, worktreeAction: btn.dataset.worktreeAction });
+        });
+      });
+    }
+
     // Quick menu wiring
     const quickMenu = document.getElementById('quick-menu');
     if (quickMenu) {
@@ -103,6 +161,15 @@ export class LightBar {
       pill.appendChild(icon);
       pill.appendChild(stateDot);
 
+      // Branch of a worktree session
+      if (session.worktree) {
+        const branch = document.createElement('span');
+        branch.className = 'session-pill-branch';
+        branch.textContent = session.worktree.branch.replace(/^clit\//, '');
+        branch.title = session.worktree.branch;
+        pill.appendChild(branch);
+      }
+
       // Pointer events for tap, slide, long-press
       pill.addEventListener('pointerdown', (e) => this._onPointerDown(e, session));
       pill.addEventListener('pointermove', (e) => this._onPointerMove(e, session));
@@ -112,6 +179,27 @@ export class LightBar {
 
       container.appendChild(pill);
     });
+
+    this._renderPipelinePills(container);
+  }
+
+  // One pill per running pipeline: its label, the step it's on and how many
+  // it has taken. Tapping opens the deck, where its status is listed.
+  _renderPipelinePills(container) {
+    this._pipelineRuns.filter(run => run.status === 'running').forEach(run => {
+      const pill = document.createElement('button');
+      pill.className = 'session-pill pipeline-pill';
+      pill.title = `Pipeline ${run.label} — started by ${run.startedBy}`;
+      const dot = document.createElement('span');
+      dot.className = 'state-dot state-working';
+      const text = document.createElement('span');
+      text.className = 'session-pill-branch';
+      text.textContent = `\u26D3 ${run.currentStep || run.label} ${run.history.length}/${run.totalSteps}`;
+      pill.appendChild(dot);
+      pill.appendChild(text);
+      pill.addEventListener('click', () => this.emit('deck:open'));
+      container.appendChild(pill);
+    });
   }
 
   // ── State class mapping ─────────────────────────────────────────────────
@@ -234,12 +322,20 @@ export class LightBar {
 
     this._quickMenuSessionId = session.id;
 
-    // Show/hide "Resume Claude" button based on session type
+    // "Resume Claude" only makes sense for Claude Code sessions
     const resumeBtn = quickMenu.querySelector('[data-action="resume"]');
     if (resumeBtn) {
-      resumeBtn.style.display = session.sessionType === 'plain-shell' ? 'none' : '';
+      const isClaude = session.sessionType === 'new-claude' || session.sessionType === 'resume-claude';
+      resumeBtn.style.display = isClaude ? '' : 'none';
     }
 
+    this._renderPromptOptions(session);
+
+    // Nothing this role can do from here (e.g. viewers)
+    const hasActions = Array.from(quickMenu.querySelectorAll('button'))
+      .some(btn => !btn.classList.contains('role-hidden') && btn.style.display !== 'none');
+    if (!hasActions) return;
+
     quickMenu.classList.remove('hidden');
 
     // Position near the pill
@@ -259,6 +355,36 @@ export class LightBar {
     quickMenu.style.top = `${top}px`;
   }
 
+  // Answer buttons for a pending permission prompt, above the usual actions
+  _renderPromptOptions(session) {
+    const container = document.getElementById('quick-menu-prompt');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const prompt = session.state === 'waiting_input' && this.can('session.input') ? session.prompt : null;
+    container.classList.toggle('hidden', !prompt);
+    if (!prompt) return;
+
+    if (prompt.question) {
+      const question = document.createElement('div');
+      question.className = 'px-4 pt-2.5 pb-1 text-[11px] text-text-muted';
+      question.textContent = prompt.question;
+      container.appendChild(question);
+    }
+
+    prompt.options.forEach(option => {
+      const btn = document.createElement('button');
+      btn.className = 'block w-full px-4 py-2.5 text-sm text-left hover:bg-surface-hover transition-colors duration-150 cursor-pointer'
+        + (option.kind === 'deny' ? ' text-error' : option.kind === 'approve' ? ' text-ready' : '');
+      btn.textContent = option.label;
+      btn.addEventListener('click', () => {
+        this.send({ type: 'session_prompt_respond', sessionId: session.id, optionId: option.id });
+        document.getElementById('quick-menu').classList.add('hidden');
+      });
+      container.appendChild(btn);
+    });
+  }
+
   // ── Quick actions ───────────────────────────────────────────────────────
 
   _handleQuickAction(action) {
@@ -268,32 +394,34 @@ export class LightBar {
     const session = this.sessions.get(sessionId);
 
     switch (action) {
-      case 'restart': {
-        if (session) {
-          this.send({ type: 'session_kill', sessionId });
-          setTimeout(() => {
-            this.send({
-              type: 'session_create',
-              projectName: session.projectName,
-              sessionType: session.sessionType,
-              dangerouslySkipPermissions: session.dangerouslySkipPermissions,
-            });
-          }, 500);
-        }
-        break;
-      }
+      case 'restart':
       case 'resume': {
-        if (session) {
-          this.send({
-            type: 'session_create',
-            projectName: session.projectName,
-            sessionType: 'resume-claude',
-            dangerouslySkipPermissions: session.dangerouslySkipPermissions,
-          });
+        if (!session) break;
+        if (!session.recovered) {
+          // Restarted in place on the server: same session, every device stays on it
+          this.send({ type: action === 'restart' ? 'session_restart' : 'session_resume', sessionId });
+          break;
         }
+        // A recovered log has no server session left; start a new one, in
+        // its worktree if it had one
+        this.send({
+          type: 'session_create',
+          projectName: session.projectName,
+          sessionType: action === 'resume' ? 'resume-claude' : session.sessionType,
+          dangerouslySkipPermissions: session.dangerouslySkipPermissions,
+          label: session.label,
+          worktreeFrom: session.worktree ? sessionId : undefined,
+        });
         break;
       }
       case 'kill': {
+        const worktreeModal = document.getElementById('worktree-kill-modal');
+        if (session?.worktree && worktreeModal) {
+          document.getElementById('worktree-kill-branch').textContent = session.worktree.branch;
+          document.getElementById('worktree-kill-base').textContent = session.worktree.baseBranch;
+          worktreeModal.classList.remove('hidden');
+          break;
+        }
         this.send({ type: 'session_kill', sessionId });
         break;
       }
@@ -308,6 +436,17 @@ export class LightBar {
         }
         break;
       }
+      case 'share': {
+        const shareModal = document.getElementById('share-modal');
+        const shareUrl = document.getElementById('share-url');
+        if (shareModal && shareUrl) {
+          shareUrl.value = '';
+          shareUrl.classList.add('hidden');
+          document.getElementById('share-create').disabled = false;
+          shareModal.classList.remove('hidden');
+        }
+        break;
+      }
       default:
         break;
     }
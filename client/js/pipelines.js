@@ -0,0 +1,226 @@
+/**
+ * CLI Cockpit — Pipelines
+ * Deck section listing the configured pipelines (run / edit) and the status
+ * of current and recent runs, plus the JSON editor modal for a pipeline.
+ */
+
+const RUNS_SHOWN = 5;
+
+const STEP_STATUS_CLASS = {
+  running: 'state-working',
+  succeeded: 'state-ready',
+  failed: 'state-error',
+  cancelled: 'state-dead',
+};
+
+const EXAMPLE_PIPELINE = {
+  name: 'implement-test-fix',
+  label: 'Implement, test, fix',
+  project: '',
+  sessions: {
+    agent: { sessionType: 'new-claude' },
+    tests: { sessionType: 'plain-shell' },
+  },
+  steps: [
+    { id: 'implement', session: 'agent', input: 'Implement the TODOs in this project' },
+    { id: 'test', session: 'tests', input: 'npm test', expect: 'passing', onFailure: 'fix', onSuccess: 'end' },
+    { id: 'fix', session: 'agent', input: 'The tests failed:\n{{test.output}}\nFix them.', next: 'test' },
+  ],
+  maxSteps: 10,
+};
+
+export class PipelinePanel {
+  constructor({ emit, on, send, getConfig, setConfig, showToast, setActiveSession, currentToken, can }) {
+    this.emit = emit;
+    this.on = on;
+    this.send = send;
+    this.getConfig = getConfig || (() => ({}));
+    this.setConfig = setConfig || (() => {});
+    this.showToast = showToast;
+    this.setActiveSession = setActiveSession || (() => {});
+    this.currentToken = currentToken;
+    this.can = can || (() => true);
+
+    this._section = document.getElementById('pipeline-section');
+    this._list = document.getElementById('pipeline-list');
+    this._runsEl = document.getElementById('pipeline-runs');
+    this._newBtn = document.getElementById('pipeline-new-btn');
+    this._modal = document.getElementById('pipeline-modal');
+    this._editor = document.getElementById('pipeline-editor');
+    this._editorError = document.getElementById('pipeline-editor-error');
+    this._deleteBtn = document.getElementById('pipeline-delete');
+
+    this._runs = [];
+    this._editingName = null; // name of the pipeline in the editor (null = new)
+  }
+
+  init() {
+    this.on('pipelines:updated', (runs) => {
+      this._runs = runs;
+      this._render();
+    });
+    this.on('config:updated', () => this._render());
+
+    this._newBtn?.addEventListener('click', () => this._openEditor(null));
+    document.getElementById('pipeline-cancel')?.addEventListener('click', () => this._closeEditor());
+    document.getElementById('pipeline-save')?.addEventListener('click', () => this._save());
+    this._deleteBtn?.addEventListener('click', () => {
+      if (this._editingName && confirm(`Delete pipeline "${this._editingName}"?`)) this._save(true);
+    });
+  }
+
+  _pipelines() {
+    return ((this.getConfig() || {}).pipelines || []).filter(p => p?.name);
+  }
+
+  // ── Render ──────────────────────────────────────────────────────────────
+
+  _render() {
+    if (!this._section) return;
+    const pipelines = this._pipelines();
+    const show = pipelines.length > 0 || this._runs.length > 0 || this.can('config.edit');
+    this._section.classList.toggle('hidden', !show);
+    this._renderPipelines(pipelines);
+    this._renderRuns();
+  }
+
+  _renderPipelines(pipelines) {
+    if (!this._list) return;
+    this._list.innerHTML = '';
+    pipelines.forEach(p => {
+      const row = document.createElement('div');
+      row.className = 'pipeline-row';
+      const name = document.createElement('span');
+      name.className = 'pipeline-name';
+      name.textContent = p.label || p.name;
+      name.title = `${p.name} · ${(p.steps || []).map(s => s.id).join(' → ')}`;
+      row.appendChild(name);
+
+      if (this.can('config.edit')) {
+        const edit = document.createElement('button');
+        edit.textContent = 'Edit';
+        edit.addEventListener('click', () => this._openEditor(p.name));
+        row.appendChild(edit);
+      }
+      if (this.can('session.create')) {
+        const run = document.createElement('button');
+        run.className = 'primary';
+        run.textContent = 'Run';
+        run.addEventListener('click', () => this.send({ type: 'pipeline_start', name: p.name }));
+        row.appendChild(run);
+      }
+      this._list.appendChild(row);
+    });
+  }
+
+  // Newest first; each run shows a dot per step taken so far
+  _renderRuns() {
+    if (!this._runsEl) return;
+    this._runsEl.innerHTML = '';
+    const runs = [...this._runs].sort((a, b) => b.startedAt.localeCompare(a.startedAt)).slice(0, RUNS_SHOWN);
+    runs.forEach(run => {
+      const row = document.createElement('div');
+      row.className = `pipeline-run ${run.status}`;
+
+      const head = document.createElement('div');
+      head.className = 'pipeline-run-head';
+      const title = document.createElement('span');
+      title.className = 'pipeline-name';
+      title.textContent = run.label;
+      const status = document.createElement('span');
+      status.className = 'pipeline-run-status';
+      status.textContent = run.status === 'running' ? `${run.currentStep || 'starting'}…` : run.status;
+      status.title = run.message || `Started by ${run.startedBy} at ${new Date(run.startedAt).toLocaleString()}`;
+      head.appendChild(title);
+      head.appendChild(status);
+      if (run.status === 'running' && this.can('session.create')) {
+        const cancel = document.createElement('button');
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', () => this.send({ type: 'pipeline_cancel', runId: run.id }));
+        head.appendChild(cancel);
+      }
+      row.appendChild(head);
+
+      // Step trail — tap a step to open the session it ran in
+      const trail = document.createElement('div');
+      trail.className = 'pipeline-trail';
+      run.history.forEach(entry => {
+        const step = document.createElement('button');
+        step.className = 'pipeline-step';
+        const dot = document.createElement('span');
+        dot.className = 'state-dot ' + (STEP_STATUS_CLASS[entry.status] || 'state-dead');
+        step.appendChild(dot);
+        step.appendChild(document.createTextNode(entry.step));
+        step.title = [entry.status, entry.message].filter(Boolean).join(' — ');
+        step.disabled = !entry.sessionId;
+        step.addEventListener('click', () => {
+          this.setActiveSession(entry.sessionId);
+          this.emit('deck:close');
+        });
+        trail.appendChild(step);
+      });
+      row.appendChild(trail);
+      if (run.message && run.status !== 'running') {
+        const message = document.createElement('div');
+        message.className = 'pipeline-run-message';
+        message.textContent = run.message;
+        row.appendChild(message);
+      }
+      this._runsEl.appendChild(row);
+    });
+  }
+
+  // ── Editor ──────────────────────────────────────────────────────────────
+
+  _openEditor(name) {
+    if (!this._modal || !this._editor) return;
+    this._editingName = name;
+    const existing = name ? this._pipelines().find(p => p.name === name) : null;
+    const example = { ...EXAMPLE_PIPELINE, project: ((this.getConfig() || {}).projects || [])[0]?.name || '' };
+    this._editor.value = JSON.stringify(existing || example, null, 2);
+    this._editorError.textContent = '';
+    this._deleteBtn?.classList.toggle('hidden', !existing);
+    this._modal.classList.remove('hidden');
+  }
+
+  _closeEditor() {
+    this._modal?.classList.add('hidden');
+    this._editingName = null;
+  }
+
+  // Save the edited pipeline (or remove it) in config.json; the server checks
+  // the definition and answers 400 with what's wrong
+  async _save(remove = false) {
+    let pipelines = this._pipelines().filter(p => p.name !== this._editingName);
+    if (!remove) {
+      let def;
+      try {
+        def = JSON.parse(this._editor.value);
+      } catch (err) {
+        this._editorError.textContent = `Not valid JSON: ${err.message}`;
+        return;
+      }
+      if (pipelines.some(p => p.name === def?.name)) {
+        this._editorError.textContent = `There is already a pipeline named "${def.name}"`;
+        return;
+      }
+      // Keep its place in the list when editing
+      const index = this._pipelines().findIndex(p => p.name === this._editingName);
+      pipelines = [...pipelines];
+      pipelines.splice(index === -1 ? pipelines.length : index, 0, def);
+    }
+    try {
+      const res = await fetch('/api/config', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.currentToken()}` },
+        body: JSON.stringify({ pipelines }),
+      });
+      if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || 'Save failed');
+      this.setConfig({ ...this.getConfig(), pipelines });
+      this.showToast(remove ? 'Pipeline deleted' : 'Pipeline saved', 'success');
+      this._closeEditor();
+    } catch (err) {
+      this._editorError.textContent = err.message;
+    }
+  }
+}
@@ -4,7 +4,7 @@
  */
 
 export class ProjectDrawer {
-  constructor({ emit, on, sessions, getConfig, send, showToast, setActiveSession, currentToken }) {
+  constructor({ emit, on, sessions, getConfig, send, showToast, setActiveSession, currentToken, can }) {
     this.emit = emit;
     this.on = on;
     this.sessions = sessions;
@@ -13,19 +13,29 @@ export class ProjectDrawer {
     this.showToast = showToast;
     this.setActiveSession = setActiveSession || (() => {});
     this.currentToken = currentToken;
+    this.can = can || (() => true);
 
     this._deckOverlay = document.getElementById('deck-overlay');
     this._deckGrid = document.getElementById('deck-grid');
     this._createModal = document.getElementById('session-create-modal');
     this._projectSelectList = document.getElementById('project-select-list');
+    this._sessionTypeList = document.getElementById('session-type-list');
     this._cancelCreateBtn = document.getElementById('cancel-create-btn');
     this._confirmCreateBtn = document.getElementById('confirm-create-btn');
     this._dangerousFlag = document.getElementById('dangerous-flag-label');
     this._dangerousCheck = document.getElementById('dangerous-skip');
+    this._worktreeCheck = document.getElementById('worktree-check');
+    this._labelInput = document.getElementById('session-label-input');
+    this._templateSelect = document.getElementById('template-select');
+    this._templatePreview = document.getElementById('template-preview');
 
     this._selectedProject = null;
+    this._selectedTemplate = null;
     this._selectedSessionType = 'new-claude';
     this._activeSessionId = null;
+    // Deck cards are rebuilt on every update, so a half-typed queued prompt
+    // (and which item it edits) is kept here: sessionId -> { text, itemId }
+    this._queueDrafts = new Map();
   }
 
   init() {
@@ -46,19 +56,26 @@ export class ProjectDrawer {
     // Theme picker
     this.on('themes:updated', (themes) => this._renderThemePicker(themes));
 
-    // Wire session type radios
-    document.querySelectorAll('input[name="session-type"]').forEach(radio => {
-      radio.addEventListener('change', () => {
-        this._selectedSessionType = radio.value;
-        this._updateDangerousVisibility();
-      });
+    // Wire session type radios (delegated — profile radios come and go)
+    this._sessionTypeList?.addEventListener('change', (e) => {
+      if (e.target.name !== 'session-type') return;
+      this._selectedSessionType = e.target.value;
+      this._updateDangerousVisibility();
     });
 
+    // A template fills in the rest of the dialog
+    this._templateSelect?.addEventListener('change', () => this._applyTemplate(this._templateSelect.value));
+
     // Cancel create modal
     if (this._cancelCreateBtn) {
       this._cancelCreateBtn.addEventListener('click', () => this._hideCreateModal());
     }
 
+    // The label names the worktree's branch, so only ask for it then
+    this._worktreeCheck?.addEventListener('change', () => {
+      this._labelInput?.classList.toggle('hidden', !this._worktreeCheck.checked);
+    });
+
     // Confirm create session
     if (this._confirmCreateBtn) {
       this._confirmCreateBtn.addEventListener('click', () => this._createSession());
@@ -70,6 +87,7 @@ export class ProjectDrawer {
   _renderDeckGrid(sessions) {
     const grid = this._deckGrid;
     if (!grid) return;
+    const focused = document.activeElement?.closest?.('.deck-card-queue input')?.dataset.sessionId;
     grid.innerHTML = '';
     const sessionArr = Array.isArray(sessions) ? sessions : Array.from(sessions.values());
 
@@ -90,10 +108,25 @@ export class ProjectDrawer {
       // Preview area (shows session type or status)
       const preview = document.createElement('div');
       preview.className = 'deck-card-preview';
-      preview.textContent = session.sessionType + (session.state === 'dead' ? ' [exited]' : '');
+      preview.textContent = session.sessionType
+        + (session.worktree ? ` · \u2387 ${session.worktree.branch}` : '')
+        + (session.createdBy ? ` · ${session.createdBy}` : '')
+        + (session.restartCount ? ` · restarted ${session.restartCount}\u00d7` : '')
+        + (session.recovered ? ' [recovered log]'
+          : session.restartAt ? ` [exit ${session.exitCode} · restarting]`
+            : session.state === 'dead' ? ` [exited${session.exitCode !== null && session.exitCode !== undefined ? ` ${session.exitCode}` : ''}]`
+              : session.state === 'detached' ? ' [reconnecting to session host]' : '');
+      if (session.restartAt) preview.title = `Restarting at ${new Date(session.restartAt).toLocaleTimeString()}`;
 
       card.appendChild(header);
       card.appendChild(preview);
+      if (session.state === 'waiting_input' && session.prompt && this.can('session.input')) {
+        card.appendChild(this._buildPromptRow(session));
+      }
+      if (session.state !== 'dead' && !session.recovered
+        && ((session.queue || []).length || this.can('session.input'))) {
+        card.appendChild(this._buildQueue(session, focused === session.id));
+      }
 
       // Click → switch to session and close deck
       card.addEventListener('click', () => {
@@ -105,6 +138,7 @@ export class ProjectDrawer {
     });
 
     // "New Session" card
+    if (!this.can('session.create')) return;
     const newCard = document.createElement('div');
     newCard.className = 'deck-new-card';
     newCard.innerHTML = '<span style="font-size:22px;font-weight:300">+</span><span style="font-size:10px;font-weight:600;letter-spacing:0.08em;text-transform:uppercase">New Session</span>';
@@ -115,6 +149,109 @@ export class ProjectDrawer {
     grid.appendChild(newCard);
   }
 
+  // Answer buttons for a session waiting on a permission prompt
+  _buildPromptRow(session) {
+    const row = document.createElement('div');
+    row.className = 'deck-card-prompt';
+    row.title = session.prompt.question || '';
+    session.prompt.options.forEach(option => {
+      const btn = document.createElement('button');
+      btn.className = option.kind;
+      btn.textContent = { approve: 'Approve', always: 'Always', deny: 'Deny' }[option.kind] || option.label;
+      btn.title = option.label;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation(); // don't open the session
+        this.send({ type: 'session_prompt_respond', sessionId: session.id, optionId: option.id });
+      });
+      row.appendChild(btn);
+    });
+    return row;
+  }
+
+  // ── Prompt Queue ─────────────────────────────────────────────────────────
+
+  // Prompts waiting to be sent the next time the session is ready, with
+  // reorder / edit / remove buttons and an input to queue another
+  _buildQueue(session, focusInput) {
+    const queue = session.queue || [];
+    const editable = this.can('session.input');
+    const draft = this._queueDrafts.get(session.id) || { text: '', itemId: null };
+    if (draft.itemId && !queue.some(q => q.id === draft.itemId)) draft.itemId = null; // already sent
+
+    const box = document.createElement('div');
+    box.className = 'deck-card-queue';
+    box.addEventListener('click', (e) => e.stopPropagation()); // don't open the session
+
+    queue.forEach((item, index) => {
+      const row = document.createElement('div');
+      row.className = 'deck-card-queue-item' + (item.id === draft.itemId ? ' editing' : '');
+      const text = document.createElement('span');
+      text.textContent = `${index + 1}. ${item.text}`;
+      text.title = item.text + (item.addedBy ? `\n— ${item.addedBy}` : '');
+      row.appendChild(text);
+      if (editable) {
+        const button = (label, title, disabled, onClick) => {
+          const btn = document.createElement('button');
+          btn.textContent = label;
+          btn.title = title;
+          btn.disabled = disabled;
+          btn.addEventListener('click', onClick);
+          row.appendChild(btn);
+        };
+        const move = (to) => this.send({ type: 'queue_move', sessionId: session.id, itemId: item.id, index: to });
+        button('\u2191', 'Move up', index === 0, () => move(index - 1));
+        button('\u2193', 'Move down', index === queue.length - 1, () => move(index + 1));
+        button('\u270E', 'Edit', false, () => {
+          this._queueDrafts.set(session.id, { text: item.text, itemId: item.id });
+          this._renderDeckGrid(this.sessions);
+          this._deckGrid?.querySelector(`.deck-card-queue input[data-session-id="${CSS.escape(session.id)}"]`)?.focus();
+        });
+        button('\u2715', 'Remove', false, () => {
+          this.send({ type: 'queue_remove', sessionId: session.id, itemId: item.id });
+        });
+      }
+      box.appendChild(row);
+    });
+
+    if (!editable) return box;
+    const form = document.createElement('form');
+    form.className = 'deck-card-queue-add';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = 10000;
+    input.placeholder = session.state === 'ready' ? 'Send when ready…' : 'Queue a prompt…';
+    input.value = draft.text;
+    input.dataset.sessionId = session.id;
+    input.addEventListener('input', () => {
+      this._queueDrafts.set(session.id, { text: input.value, itemId: draft.itemId });
+    });
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = draft.itemId ? 'Save' : 'Queue';
+    form.appendChild(input);
+    form.appendChild(submit);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const text = input.value.trim();
+      if (!text) return;
+      this.send(draft.itemId
+        ? { type: 'queue_update', sessionId: session.id, itemId: draft.itemId, text }
+        : { type: 'queue_add', sessionId: session.id, text });
+      this._queueDrafts.delete(session.id);
+      input.value = '';
+      submit.textContent = 'Queue';
+      draft.itemId = null;
+    });
+    box.appendChild(form);
+    if (focusInput) {
+      requestAnimationFrame(() => {
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+      });
+    }
+    return box;
+  }
+
   // ── Telemetry Update ─────────────────────────────────────────────────────
 
   _updateTelemetry(sessions) {
@@ -157,14 +294,67 @@ export class ProjectDrawer {
     this._updateProjectList();
     this._selectedProject = null;
     this._selectedSessionType = 'new-claude';
-    const defaultRadio = document.querySelector('input[name="session-type"][value="new-claude"]');
-    if (defaultRadio) defaultRadio.checked = true;
-    this._updateDangerousVisibility();
+    this._renderProfileRadios();
+    this._setWorktreeDefault(false);
+    this._renderTemplateOptions();
+  }
+
+  // Projects with "worktree": true start with the box ticked
+  _setWorktreeDefault(checked) {
+    if (this._worktreeCheck) this._worktreeCheck.checked = checked;
+    if (this._labelInput) {
+      this._labelInput.value = '';
+      this._labelInput.classList.toggle('hidden', !checked);
+    }
   }
 
   _hideCreateModal() {
     if (this._createModal) this._createModal.classList.add('hidden');
     this._selectedProject = null;
+    this._selectedTemplate = null;
+  }
+
+  // ── Templates ────────────────────────────────────────────────────────────
+
+  _renderTemplateOptions() {
+    const select = this._templateSelect;
+    if (!select) return;
+    const templates = ((this.getConfig() || {}).templates || []).filter(t => t?.name);
+    select.querySelectorAll('option:not([value=""])').forEach(el => el.remove());
+    templates.forEach(t => {
+      const opt = document.createElement('option');
+      opt.value = t.name;
+      opt.textContent = t.label || t.name;
+      select.appendChild(opt);
+    });
+    select.value = '';
+    select.classList.toggle('hidden', templates.length === 0);
+    this._applyTemplate('');
+  }
+
+  // Pre-fill project, type, flags and label from the template; the user can
+  // still change them (what they pick overrides the template server-side)
+  _applyTemplate(name) {
+    const template = ((this.getConfig() || {}).templates || []).find(t => t?.name === name) || null;
+    this._selectedTemplate = template;
+    if (this._templatePreview) {
+      const followUps = Array.isArray(template?.followUps) ? template.followUps.length : 0;
+      this._templatePreview.textContent = template?.prompt
+        ? template.prompt + (followUps ? `\n+ ${followUps} follow-up${followUps === 1 ? '' : 's'}` : '')
+        : '';
+      this._templatePreview.classList.toggle('hidden', !template?.prompt);
+    }
+    if (!template) return;
+
+    if (template.project) {
+      const item = Array.from(this._projectSelectList?.children || []).find(el => el.dataset.project === template.project);
+      item?.click();
+    }
+    this._selectedSessionType = template.sessionType || 'new-claude';
+    this._renderProfileRadios();
+    if (this._dangerousCheck) this._dangerousCheck.checked = !!template.dangerouslySkipPermissions;
+    if (typeof template.worktree === 'boolean') this._setWorktreeDefault(template.worktree);
+    if (template.label && this._labelInput) this._labelInput.value = template.label;
   }
 
   // ── Project List ─────────────────────────────────────────────────────────
@@ -183,6 +373,7 @@ export class ProjectDrawer {
     configProjects.forEach(p => {
       const item = document.createElement('div');
       item.className = 'flex items-center gap-2.5 px-3 py-2 rounded-lg cursor-pointer border border-border hover:bg-surface-hover transition-all duration-150';
+      item.dataset.project = p.name;
       item.innerHTML = `<span class="text-base">${p.icon || '\u{1F4C1}'}</span><div><div class="text-[13px] font-medium">${p.name}</div><div class="text-[11px] text-text-muted">${p.path}</div></div>`;
       item.addEventListener('click', () => {
         this._selectedProject = p;
@@ -192,17 +383,57 @@ export class ProjectDrawer {
         });
         item.classList.remove('border-border');
         item.classList.add('border-accent', 'bg-accent/10');
+        this._renderProfileRadios();
+        this._setWorktreeDefault(!!p.worktree);
       });
       this._projectSelectList.appendChild(item);
     });
   }
 
+  // ── Launch Profiles ──────────────────────────────────────────────────────
+
+  // Built-in radios stay; the selected project's "profiles" are listed after them
+  _renderProfileRadios() {
+    if (!this._sessionTypeList) return;
+    this._sessionTypeList.querySelectorAll('[data-profile]').forEach(el => el.remove());
+    const profiles = this._selectedProject?.profiles || [];
+    profiles.forEach(profile => {
+      if (!profile?.name || this._sessionTypeList.querySelector(`input[value="${CSS.escape(profile.name)}"]`)) return;
+      const label = document.createElement('label');
+      label.dataset.profile = profile.name;
+      label.className = 'flex items-center gap-2 cursor-pointer hover:text-accent transition-colors duration-150';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'session-type';
+      radio.value = profile.name;
+      radio.className = 'accent-accent';
+      label.appendChild(radio);
+      label.appendChild(document.createTextNode(profile.label || profile.name));
+      this._sessionTypeList.appendChild(label);
+    });
+
+    // Keep the choice if this project has it, else back to the default
+    const radios = Array.from(this._sessionTypeList.querySelectorAll('input[name="session-type"]'));
+    const selected = radios.find(r => r.value === this._selectedSessionType) || radios.find(r => r.value === 'new-claude');
+    if (selected) {
+      selected.checked = true;
+      this._selectedSessionType = selected.value;
+    }
+    this._updateDangerousVisibility();
+  }
+
+  // Whether the dangerous flag means anything for this session type
+  _allowsDangerous(sessionType) {
+    if (sessionType === 'new-claude' || sessionType === 'resume-claude') return true;
+    const profile = (this._selectedProject?.profiles || []).find(p => p?.name === sessionType);
+    return !!profile?.allowDangerous;
+  }
+
   // ── Dangerous Visibility ─────────────────────────────────────────────────
 
   _updateDangerousVisibility() {
     if (!this._dangerousFlag) return;
-    const isClaudeType = this._selectedSessionType !== 'plain-shell';
-    this._dangerousFlag.style.display = isClaudeType ? '' : 'none';
+    this._dangerousFlag.style.display = this._allowsDangerous(this._selectedSessionType) ? '' : 'none';
   }
 
   // ── Create Session ───────────────────────────────────────────────────────
@@ -216,7 +447,11 @@ export class ProjectDrawer {
       type: 'session_create',
       projectName: this._selectedProject.name,
       sessionType: this._selectedSessionType || 'new-claude',
-      dangerouslySkipPermissions: !!(this._dangerousCheck?.checked),
+      dangerouslySkipPermissions: this.can('session.dangerous') && this._allowsDangerous(this._selectedSessionType)
+        && !!(this._dangerousCheck?.checked),
+      worktree: !!this._worktreeCheck?.checked,
+      label: this._worktreeCheck?.checked ? this._labelInput?.value.trim() || undefined : undefined,
+      template: this._selectedTemplate?.name,
     });
     this._hideCreateModal();
   }
@@ -9,12 +9,13 @@
  */
 
 export class TerminalManager {
-  constructor({ emit, on, sessions, send, showToast }) {
+  constructor({ emit, on, sessions, send, showToast, can }) {
     this.emit = emit;
     this.on = on;
     this.sessions = sessions;
     this.send = send;
     this.showToast = showToast;
+    this.can = can || (() => true);
 
     this.terminals = new Map();   // sessionId → { terminal, fitAddon, unsubOutput, unsubBuffer }
     this.activeSessionId = null;
@@ -30,6 +31,11 @@ export class TerminalManager {
     this.on('session:active', (id) => this._switchToSession(id));
     this.on('session:removed', (id) => this._disposeSession(id));
     this.on('theme:applied', (theme) => this._updateTheme(theme));
+    this.on('session:state', ({ sessionId }) => this._updateReadOnly(sessionId));
+    this.on('session:readonly', (id) => this._updateReadOnly(id, true));
+    this.on('permissions:updated', () => {
+      for (const id of this.terminals.keys()) this._updateReadOnly(id);
+    });
 
     // Handle model button
     if (this._modelBtn) {
@@ -98,6 +104,7 @@ export class TerminalManager {
 
     // Direct keyboard input → PTY (keystrokes go straight to the server)
     terminal.onData((data) => {
+      if (terminal.options.disableStdin) return;
       this.send({ type: 'terminal_input', sessionId, data });
     });
 
@@ -167,6 +174,8 @@ export class TerminalManager {
       termDiv.appendChild(terminal.element);
     }
 
+    this._updateReadOnly(sessionId);
+
     // Request buffer
     this.send({ type: 'session_subscribe', sessionId });
 
@@ -182,6 +191,19 @@ export class TerminalManager {
     this._updateModelIndicator(sessionId);
   }
 
+  // Dead and recovered sessions show their scrollback but accept no input
+  _updateReadOnly(sessionId, force = false) {
+    const entry = this.terminals.get(sessionId);
+    if (!entry) return;
+    const session = this.sessions.get(sessionId);
+    const readOnly = force || !session || session.recovered || session.state === 'dead'
+      || !this.can('session.input'); // viewers watch only
+    try {
+      entry.terminal.options.disableStdin = readOnly;
+      entry.terminal.options.cursorBlink = !readOnly;
+    } catch { /* ignore */ }
+  }
+
   _fitActive() {
     if (!this.activeSessionId) return;
     const entry = this.terminals.get(this.activeSessionId);
@@ -0,0 +1,109 @@
+/**
+ * CLI Cockpit — Watch View
+ * Read-only view of a single session, opened from a share link
+ * (/watch?share=<token>). The token only allows subscribing to that session.
+ */
+
+const shareToken = new URLSearchParams(location.search).get('share');
+const labelEl = document.getElementById('watch-label');
+const iconEl = document.getElementById('watch-icon');
+const stateEl = document.getElementById('watch-state');
+const expiryEl = document.getElementById('watch-expiry');
+const messageEl = document.getElementById('watch-message');
+
+const STATE_CLASSES = {
+  ready: 'state-ready',
+  working: 'state-working',
+  waiting_input: 'state-waiting',
+  dead: 'state-dead',
+};
+
+let terminal = null;
+let fitAddon = null;
+let sessionId = null;
+let reconnectDelay = 1000;
+
+function showMessage(text) {
+  messageEl.querySelector('div').textContent = text;
+  messageEl.classList.remove('hidden');
+}
+
+function setState(state) {
+  stateEl.className = 'state-dot w-2 h-2 rounded-full shrink-0 ' + (STATE_CLASSES[state] || 'state-dead');
+  stateEl.title = state;
+}
+
+function createTerminal() {
+  const style = getComputedStyle(document.documentElement);
+  const get = (v) => style.getPropertyValue(v).trim();
+  terminal = new Terminal({
+    theme: { background: get('--bg') || '#0a0a1a', foreground: get('--text') || '#c8ccd4' },
+    fontFamily: "'JetBrains Mono', 'Cascadia Code', 'Consolas', monospace",
+    fontSize: 13,
+    lineHeight: 1.2,
+    scrollback: 5000,
+    convertEol: true,
+    cursorBlink: false,
+    disableStdin: true, // watch only
+  });
+  fitAddon = new FitAddon.FitAddon();
+  terminal.loadAddon(fitAddon);
+  terminal.open(document.getElementById('watch-terminal'));
+  fitAddon.fit();
+  window.addEventListener('resize', () => fitAddon.fit());
+}
+
+function handleMessage(msg) {
+  switch (msg.type) {
+    case 'share_info': {
+      sessionId = msg.sessionId;
+      const s = msg.session;
+      labelEl.textContent = s ? `${s.label} — read-only` : 'Session ended — read-only';
+      iconEl.textContent = s ? s.projectIcon || '' : '';
+      setState(s ? s.state : 'dead');
+      expiryEl.textContent = `Link expires ${new Date(msg.expiresAt).toLocaleString()}`;
+      terminal.reset();
+      ws.send(JSON.stringify({ type: 'session_subscribe', sessionId }));
+      break;
+    }
+    case 'session_buffer':
+    case 'terminal_output':
+      if (msg.sessionId === sessionId) terminal.write(msg.data);
+      break;
+    case 'session_state_changed':
+      if (msg.sessionId === sessionId) setState(msg.state);
+      break;
+    default:
+      break;
+  }
+}
+
+let ws = null;
+
+function connect() {
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  ws = new WebSocket(`${protocol}//${location.host}/ws?share=${encodeURIComponent(shareToken)}`);
+
+  ws.onopen = () => { reconnectDelay = 1000; };
+  ws.onmessage = (event) => {
+    let msg;
+    try { msg = JSON.parse(event.data); } catch { return; }
+    handleMessage(msg);
+  };
+  ws.onclose = (event) => {
+    if (event.code === 4001) {
+      setState('dead');
+      showMessage('This share link has expired or is invalid. Ask for a new one.');
+      return;
+    }
+    setTimeout(connect, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, 30000);
+  };
+}
+
+if (!shareToken) {
+  showMessage('This link is missing its share token.');
+} else {
+  createTerminal();
+  connect();
+}
@@ -1,5 +1,5 @@
 /* CLI Cockpit — Service Worker */
-const CACHE_NAME = 'clit-v9';
+const CACHE_NAME = 'clit-v31';
 
 const APP_SHELL = [
   '/',
@@ -9,6 +9,7 @@ const APP_SHELL = [
   '/static/js/light-bar.js',
   '/static/js/voice-input.js',
   '/static/js/project-drawer.js',
+  '/static/js/pipelines.js',
   '/static/icon.svg',
   '/static/icon-192.png',
   '/static/icon-512.png',
@@ -82,3 +83,50 @@ self.addEventListener('fetch', (event) => {
     })
   );
 });
+
+// Push: a session finished or needs input (sent by server/push.js)
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try { payload = event.data ? event.data.json() : {}; } catch { /* ignore */ }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'CLI Cockpit', {
+      body: payload.body || '',
+      tag: payload.sessionId || 'clit',
+      renotify: true,
+      icon: '/static/icon-192.png',
+      badge: '/static/icon-192.png',
+      actions: payload.actions || [],
+      data: { sessionId: payload.sessionId, url: payload.url || '/', promptToken: payload.promptToken },
+    })
+  );
+});
+
+// Notification tap: answer a prompt action, or focus an open app window on that session, or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { sessionId, url, promptToken } = event.notification.data || {};
+
+  // Action button on a permission prompt: answer it without opening the app
+  if (event.action && promptToken) {
+    event.waitUntil(
+      fetch(`/api/sessions/${encodeURIComponent(sessionId)}/prompt`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ optionId: event.action, promptToken }),
+      }).catch(() => {})
+    );
+    return;
+  }
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((w) => new URL(w.url).origin === self.location.origin);
+      if (existing) {
+        existing.postMessage({ type: 'focus-session', sessionId });
+        return existing.focus();
+      }
+      return self.clients.openWindow(url || '/');
+    })
+  );
+});
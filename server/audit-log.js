@@ -0,0 +1,158 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+const MAX_LOG_BYTES = 5 * 1024 * 1024; // Rotate audit.log after 5 MB
+const MAX_ROTATED_FILES = 5;           // Keep audit.log.1 … audit.log.N
+const MAX_LINE_LENGTH = 2000;          // Reconstructed input lines are cut here
+const DEFAULT_QUERY_LIMIT = 200;
+
+// Escape sequences (cursor keys, bracketed paste markers…) carry no typed text
+const ESCAPE_RE = /\x1b(?:\[[0-9;?]*[ -/]*[@-~]|O.|[@-Z\\-_])/g;
+
+// Append-only audit trail: one JSON object per line in audit.log, rotated like
+// the scrollback logs (audit.log → audit.log.1 …, the oldest is dropped).
+// Every entry has { ts, action, user } plus action-specific fields.
+//
+// Terminal input can also be recorded, one entry per line typed, rebuilt from
+// keystrokes (backspace and Ctrl-U are applied, escape sequences dropped).
+// That is off unless `logInput()` returns true, since it captures anything
+// typed — including passwords at a sudo prompt.
+class AuditLog {
+  constructor(filePath, { maxBytes = MAX_LOG_BYTES, maxFiles = MAX_ROTATED_FILES, logInput = () => false } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.logInput = logInput;
+    this._fd = null;
+    this._size = 0;
+    this._lines = new Map(); // `${sessionId}\0${user}` -> partial input line
+  }
+
+  // action: dotted name, e.g. 'session.create'; fields: { user, ip, sessionId, … }
+  record(action, fields = {}) {
+    const { user, ...rest } = fields;
+    const entry = { ts: new Date().toISOString(), action, user: user || 'system', ...rest };
+    const line = JSON.stringify(entry) + '\n';
+    const bytes = Buffer.byteLength(line, 'utf8');
+
+    if (this._fd === null && !this._open()) return;
+    if (this._size > 0 && this._size + bytes > this.maxBytes) {
+      this._rotate();
+      if (!this._open()) return;
+    }
+    try {
+      fs.writeSync(this._fd, line);
+      this._size += bytes;
+    } catch (err) {
+      console.error('[AuditLog] Write error:', err.message);
+      this.close();
+    }
+  }
+
+  // Feed raw terminal input; completed lines become 'session.input' entries
+  recordInput(sessionId, user, data, fields = {}) {
+    if (!this.logInput()) return;
+    const key = `${sessionId}\0${user}`;
+    let line = this._lines.get(key) || '';
+    for (const ch of String(data).replace(ESCAPE_RE, '')) {
+      if (ch === '\r' || ch === '\n') {
+        if (line) this.record('session.input', { user, sessionId, ...fields, input: line });
+        line = '';
+      } else if (ch === '\x7f' || ch === '\b') {
+        line = line.slice(0, -1);
+      } else if (ch === '\x15') { // Ctrl-U
+        line = '';
+      } else if (ch === '\x03') { // Ctrl-C
+        this.record('session.input', { user, sessionId, ...fields, input: line + '^C' });
+        line = '';
+      } else if (ch >= ' ' || ch === '\t') {
+        if (line.length < MAX_LINE_LENGTH) line += ch;
+      }
+    }
+    if (line) this._lines.set(key, line);
+    else this._lines.delete(key);
+  }
+
+  // Record whatever was typed into a session without pressing Enter (called
+  // when it is killed or exits)
+  flushInput(sessionId, fields = {}) {
+    for (const [key, line] of this._lines) {
+      const [id, user] = key.split('\0');
+      if (id !== sessionId) continue;
+      this._lines.delete(key);
+      this.record('session.input', { user, sessionId, ...fields, input: line, partial: true });
+    }
+  }
+
+  // Entries matching the filter, newest first.
+  //   action: exact name, or a prefix such as 'session' for every session.* entry
+  //   user, sessionId: exact match; since/until: ISO dates or ms
+  //   q: case-insensitive text anywhere in the entry; limit: 0 = no limit
+  query({ action, user, sessionId, since, until, q, limit = DEFAULT_QUERY_LIMIT } = {}) {
+    const sinceMs = since ? new Date(isNaN(since) ? since : Number(since)).getTime() : null;
+    const untilMs = until ? new Date(isNaN(until) ? until : Number(until)).getTime() : null;
+    const needle = q ? String(q).toLowerCase() : null;
+    const max = Number(limit) || 0;
+    const matches = [];
+
+    // Newest file first, newest line first, so a limited query stops early
+    for (let i = 0; i <= this.maxFiles; i++) {
+      let text;
+      try {
+        text = fs.readFileSync(this._file(i), 'utf8');
+      } catch {
+        continue;
+      }
+      const lines = text.split('\n');
+      for (let j = lines.length - 1; j >= 0; j--) {
+        if (!lines[j]) continue;
+        let entry;
+        try { entry = JSON.parse(lines[j]); } catch { continue; }
+        if (action && entry.action !== action && !String(entry.action).startsWith(action + '.')) continue;
+        if (user && entry.user !== user) continue;
+        if (sessionId && entry.sessionId !== sessionId) continue;
+        const ts = Date.parse(entry.ts);
+        if (sinceMs !== null && ts < sinceMs) continue;
+        if (untilMs !== null && ts > untilMs) continue;
+        if (needle && !lines[j].toLowerCase().includes(needle)) continue;
+        matches.push(entry);
+        if (max && matches.length >= max) return matches;
+      }
+    }
+    return matches;
+  }
+
+  close() {
+    if (this._fd === null) return;
+    try { fs.closeSync(this._fd); } catch { /* ignore */ }
+    this._fd = null;
+  }
+
+  _file(index) {
+    return index === 0 ? this.filePath : `${this.filePath}.${index}`;
+  }
+
+  _open() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      try { this._size = fs.statSync(this.filePath).size; } catch { this._size = 0; }
+      this._fd = fs.openSync(this.filePath, 'a', 0o600);
+      return true;
+    } catch (err) {
+      console.error('[AuditLog] Failed to open audit log:', err.message);
+      this._fd = null;
+      return false;
+    }
+  }
+
+  _rotate() {
+    this.close();
+    try { fs.unlinkSync(this._file(this.maxFiles)); } catch { /* ignore */ }
+    for (let i = this.maxFiles - 1; i >= 0; i--) {
+      try { fs.renameSync(this._file(i), this._file(i + 1)); } catch { /* ignore */ }
+    }
+  }
+}
+
+module.exports = AuditLog;
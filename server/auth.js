@@ -1,18 +1,132 @@
 'use strict';
 const crypto = require('crypto');
+const { DEFAULT_ROLE } = require('./permissions');
+const TokenStore = require('./token-store');
 
-// In-memory token store
-const activeTokens = new Set();
+// Issued login tokens; memory-only until the server installs a persisted one
+let tokenStore = new TokenStore();
 
 // Rate limiter: Map<ip, { count, resetAt }>
 const rateLimiter = new Map();
 const MAX_ATTEMPTS = 5;
 const LOCKOUT_MS = 60 * 1000;
 
+const DEFAULT_TOKEN_TTL_HOURS = 24 * 7;
+
+// Identity used when there are no user accounts — single-user, so admin.
+// user-store.js refuses accounts with these names.
+const PIN_USER = 'owner';      // config.pin is set: one shared login
+const OPEN_USER = 'anonymous'; // no PIN and no users: open access
+const FALLBACK_ROLE = 'admin';
+
+// Optional UserStore (server/user-store.js); named accounts replace the PIN
+// as soon as it has at least one user
+let userStore = null;
+
+function setUserStore(store) {
+  userStore = store;
+}
+
+function setTokenStore(store) {
+  tokenStore = store;
+}
+
+function getTokenStore() {
+  return tokenStore;
+}
+
+// Optional ShareTokens (server/share-tokens.js) for read-only share links
+let shareTokens = null;
+
+function setShareTokens(store) {
+  shareTokens = store;
+}
+
+// Optional TotpStore (server/totp-store.js): identities that enrolled need a
+// 6-digit code (or a recovery code) after their PIN/password
+let totpStore = null;
+
+function setTotpStore(store) {
+  totpStore = store;
+}
+
+// Optional AuditLog (server/audit-log.js) for logins and failed attempts
+let auditLog = null;
+
+function setAuditLog(log) {
+  auditLog = log;
+}
+
+function audit(action, fields) {
+  if (auditLog) auditLog.record(action, fields);
+}
+
+// 'users' | 'pin' | 'open'
+function authMode(config) {
+  if (userStore && userStore.hasUsers()) return 'users';
+  return config.pin ? 'pin' : 'open';
+}
+
 function generateToken() {
   return crypto.randomBytes(16).toString('hex');
 }
 
+function issueToken(username, config, req) {
+  const ttlHours = Number(config.tokenTtlHours) || DEFAULT_TOKEN_TTL_HOURS;
+  return tokenStore.issue(username, {
+    ttlMs: ttlHours * 60 * 60 * 1000,
+    ip: clientIp(req),
+    userAgent: req.headers['user-agent'] || '',
+  });
+}
+
+// Set by NetworkPolicy (trusted-proxy aware) for HTTP requests and WS upgrades
+function clientIp(req) {
+  return req.clientIp || (req.socket && req.socket.remoteAddress) || '';
+}
+
+// Whether tokens issued to `username` are still good in the current auth
+// mode: the anonymous identity only while access is open, the PIN identity
+// until accounts exist, named users only while their account does
+function isValidUser(username, config) {
+  const mode = authMode(config);
+  if (username === OPEN_USER) return mode === 'open';
+  if (username === PIN_USER) return mode !== 'users';
+  return mode === 'users' && !!userStore.get(username);
+}
+
+// { username, role, deviceId } for a token, or null if unknown or expired.
+// The role is looked up each time, so `npm run users -- role` applies to new
+// requests and connections; a deleted account's tokens stop working. `req`
+// (HTTP request or WS upgrade) updates the device's last-seen info.
+function resolveToken(token, config, req = null) {
+  const entry = tokenStore.lookup(token, req ? { ip: clientIp(req) } : null);
+  if (!entry) return null;
+  if (!isValidUser(entry.username, config)) {
+    tokenStore.revoke(entry.id);
+    return null;
+  }
+  if (entry.username === PIN_USER || entry.username === OPEN_USER) {
+    return { username: entry.username, role: FALLBACK_ROLE, deviceId: entry.id };
+  }
+  const user = userStore.get(entry.username);
+  return { username: user.username, role: user.role || DEFAULT_ROLE, deviceId: entry.id };
+}
+
+// { username, role, deviceId } for a signed-in device by its id (e.g. the
+// one a push subscription was made from), with the role as it is now; null
+// once the device is signed out or expired or its account is gone. Open mode
+// has no devices: there the id is null and resolves to the anonymous user.
+function resolveDevice(deviceId, config) {
+  if (authMode(config) === 'open') {
+    return deviceId ? null : { username: OPEN_USER, role: FALLBACK_ROLE, deviceId: null };
+  }
+  const entry = deviceId ? tokenStore.getById(deviceId) : null;
+  if (!entry || entry.expiresAt <= Date.now() || !isValidUser(entry.username, config)) return null;
+  const user = userStore.get(entry.username);
+  return { username: entry.username, role: user ? user.role || DEFAULT_ROLE : FALLBACK_ROLE, deviceId: entry.id };
+}
+
 function validatePin(submitted, configPin) {
   if (!configPin) return true; // No PIN configured = open access
   return submitted === configPin;
@@ -37,65 +151,133 @@ function recordFailedAttempt(ip) {
   rateLimiter.set(ip, record);
 }
 
-// Express middleware: validates Bearer token or ?token= query param
+// Express middleware: validates Bearer token or ?token= query param and sets
+// req.user = { username, role }
 function authMiddleware(configGetter) {
   return (req, res, next) => {
     const config = configGetter();
-    if (!config.pin) return next(); // No PIN = open
+    if (authMode(config) === 'open') { // No PIN, no users = open
+      req.user = { username: OPEN_USER, role: FALLBACK_ROLE };
+      return next();
+    }
 
     const authHeader = req.headers['authorization'] || '';
     const token = authHeader.startsWith('Bearer ')
       ? authHeader.slice(7)
       : req.query.token;
 
-    if (!token || !activeTokens.has(token)) {
+    const user = resolveToken(token, config, req);
+    if (!user) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
+    req.user = user;
     next();
   };
 }
 
-// Validates token for WebSocket connections
-function wsAuthMiddleware(token, configGetter) {
+// Validates token for WebSocket connections; returns the user or null.
+// A share token (?share=) gives a role-less identity scoped to one session:
+// { username: 'share:<creator>', role: null, share: { id, sessionId, expiresAt } }
+function wsAuthMiddleware(token, configGetter, req = null, { share = null } = {}) {
+  if (share) {
+    const entry = shareTokens && shareTokens.lookup(share);
+    if (!entry) return null;
+    return {
+      username: `share:${entry.createdBy}`,
+      role: null,
+      share: { id: entry.id, sessionId: entry.sessionId, expiresAt: entry.expiresAt },
+    };
+  }
   const config = configGetter();
-  if (!config.pin) return true;
-  return token && activeTokens.has(token);
+  if (authMode(config) === 'open') {
+    return resolveToken(token, config, req) || { username: OPEN_USER, role: FALLBACK_ROLE };
+  }
+  return resolveToken(token, config, req);
 }
 
-// Handler for POST /api/auth
-function validateAndIssueToken(req, res, configGetter) {
+// Handler for POST /api/auth — { username, password } with user accounts,
+// { pin } otherwise
+async function validateAndIssueToken(req, res, configGetter) {
   const config = configGetter();
-  const ip = req.ip || req.connection.remoteAddress;
-  const { pin } = req.body;
+  const ip = clientIp(req);
+  const mode = authMode(config);
+  const { pin, username, password, totpCode } = req.body || {};
 
-  if (!config.pin) {
+  if (mode === 'open') {
     // No PIN configured - return a token anyway for consistency
-    const token = generateToken();
-    activeTokens.add(token);
-    return res.json({ token });
+    return res.json({ token: issueToken(OPEN_USER, config, req), username: OPEN_USER, role: FALLBACK_ROLE });
   }
 
+  const userAgent = req.headers['user-agent'] || '';
   if (!checkRateLimit(ip)) {
+    audit('auth.locked', { user: mode === 'users' ? String(username || '') : PIN_USER, ip, userAgent });
     return res.status(429).json({ error: 'Too many failed attempts. Try again in 60 seconds.' });
   }
 
-  if (!validatePin(pin, config.pin)) {
-    recordFailedAttempt(ip);
-    return res.status(401).json({ error: 'Invalid PIN' });
+  let loginName, role;
+  if (mode === 'users') {
+    const user = await userStore.verify(username, password);
+    if (!user) {
+      recordFailedAttempt(ip);
+      audit('auth.failure', { user: String(username || ''), ip, userAgent, reason: 'bad username or password' });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    loginName = user.username;
+    role = user.role || DEFAULT_ROLE;
+  } else {
+    if (!validatePin(pin, config.pin)) {
+      recordFailedAttempt(ip);
+      audit('auth.failure', { user: PIN_USER, ip, userAgent, reason: 'bad PIN' });
+      return res.status(401).json({ error: 'Invalid PIN' });
+    }
+    loginName = PIN_USER;
+    role = FALLBACK_ROLE;
+  }
+
+  // Second step: the client resends the credentials with { totpCode }
+  if (totpStore && totpStore.isEnabled(loginName)) {
+    if (!totpCode) {
+      return res.status(401).json({ error: 'Enter the code from your authenticator app', totpRequired: true });
+    }
+    const method = totpStore.verify(loginName, totpCode);
+    if (!method) {
+      recordFailedAttempt(ip);
+      audit('auth.failure', { user: loginName, ip, userAgent, reason: 'bad two-factor code' });
+      return res.status(401).json({ error: 'Invalid code', totpRequired: true });
+    }
+    if (method === 'recovery') audit('auth.recovery_code', { user: loginName, ip, userAgent });
   }
 
   // Success: clear rate limit, issue token
   rateLimiter.delete(ip);
-  const token = generateToken();
-  activeTokens.add(token);
-  res.json({ token });
+  console.log(`[Auth] ${loginName} (${role}) logged in from ${ip}`);
+  const token = issueToken(loginName, config, req);
+  audit('auth.login', { user: loginName, ip, userAgent, role, deviceId: tokenStore.lookup(token).id });
+  res.json({ token, username: loginName, role });
+}
+
+// Drop expired tokens and those of removed users (called periodically by the
+// server); returns the device ids that were signed out
+function pruneExpiredTokens(config) {
+  return tokenStore.prune(username => isValidUser(username, config));
 }
 
 module.exports = {
   generateToken,
-  activeTokens,
   rateLimiter,
+  setUserStore,
+  setTokenStore,
+  getTokenStore,
+  setShareTokens,
+  setAuditLog,
+  setTotpStore,
+  authMode,
+  resolveToken,
+  resolveDevice,
   authMiddleware,
   wsAuthMiddleware,
   validateAndIssueToken,
+  checkRateLimit,
+  recordFailedAttempt,
+  pruneExpiredTokens,
 };
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+'use strict';
+// Claude Code hook → CLI Cockpit bridge.
+//
+// Configure it as the command for Claude Code's UserPromptSubmit, PreToolUse,
+// PostToolUse, Notification and Stop hooks (see README). Claude Code pipes the
+// hook payload to stdin; this forwards it to the cockpit session it runs in,
+// identified by the CLIT_* env vars that SessionManager injects. Outside a
+// cockpit session those vars are missing and the script does nothing.
+
+const http = require('http');
+const https = require('https');
+
+const TIMEOUT_MS = 2000;
+
+const hookUrl = process.env.CLIT_HOOK_URL;
+const sessionId = process.env.CLIT_SESSION_ID;
+const token = process.env.CLIT_HOOK_TOKEN;
+
+if (!hookUrl || !sessionId || !token) process.exit(0);
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (chunk) => { input += chunk; });
+process.stdin.on('end', () => {
+  let payload = {};
+  try { payload = JSON.parse(input); } catch { /* forward an empty payload */ }
+
+  const body = JSON.stringify({ sessionId, token, payload });
+  const url = new URL(hookUrl);
+  const client = url.protocol === 'https:' ? https : http;
+  const req = client.request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+    timeout: TIMEOUT_MS,
+    rejectUnauthorized: false, // loopback only; the cockpit may use a self-signed cert
+  }, (res) => {
+    res.resume();
+    res.on('end', () => process.exit(0));
+  });
+  // Never block or fail Claude because the cockpit is unreachable
+  req.on('timeout', () => { req.destroy(); process.exit(0); });
+  req.on('error', () => process.exit(0));
+  req.end(body);
+});
@@ -0,0 +1,126 @@
+'use strict';
+// Schedule expressions for scheduler.js.
+//
+// Cron: the usual five fields, in server local time —
+//   minute hour day-of-month month day-of-week
+// with *, lists (1,15), ranges (1-5), steps (*/10, 8-18/2), month and day
+// names (JAN, MON) and the @hourly / @daily / @weekly / @monthly / @yearly
+// shorthands. As in cron, when both day fields are restricted a day matching
+// either one counts.
+//
+// Durations ("every", "maxDuration"): "90s", "30m", "6h", "1d", combinations
+// like "1h30m", or a plain number of minutes.
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAYS, offset: 0 }, // 7 is Sunday too
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MAX_SEARCH_STEPS = 100000; // an impossible date (Feb 30) gives up instead of looping
+
+function parseValue(text, field) {
+  const upper = text.toUpperCase();
+  if (field.names && field.names.includes(upper)) return field.names.indexOf(upper) + field.offset;
+  if (!/^\d+$/.test(text)) throw new Error(`Invalid ${field.name} "${text}"`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) throw new Error(`${field.name} ${value} is out of range`);
+  return value;
+}
+
+// "1-5/2,10" → Set {1, 3, 5, 10}
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name} "${part}"`);
+    let lo, hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field);
+      hi = b !== undefined ? parseValue(b, field) : stepText !== undefined ? field.max : lo;
+    }
+    if (lo > hi) throw new Error(`Invalid range in ${field.name} "${part}"`);
+    for (let v = lo; v <= hi; v += step) values.add(field.name === 'day of week' && v === 7 ? 0 : v);
+  }
+  return values;
+}
+
+// Parse a cron expression; throws with what's wrong
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron "${text}" needs 5 fields (minute hour day month weekday)`);
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.dom.has(date.getDate());
+  const dow = cron.dow.has(date.getDay());
+  if (cron.domAny && cron.dowAny) return true;
+  if (cron.domAny) return dow;
+  if (cron.dowAny) return dom;
+  return dom || dow;
+}
+
+// First time after `after` (a Date) that matches, or null if none does
+function nextCronTime(cron, after) {
+  const t = new Date(after.getTime());
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  for (let i = 0; i < MAX_SEARCH_STEPS; i++) {
+    if (!cron.month.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, t)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1, 0, 0);
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "1h30m" → 5400000; throws if it can't be read
+function parseDuration(value) {
+  if (typeof value === 'number' && value > 0) return value * UNIT_MS.m;
+  const text = String(value || '').trim().toLowerCase();
+  if (!/^(\d+(\.\d+)?\s*[smhd]\s*)+$/.test(text)) throw new Error(`Invalid duration "${value}" (e.g. "30m", "6h", "1d")`);
+  let ms = 0;
+  for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)\s*([smhd])/g)) ms += Number(amount) * UNIT_MS[unit];
+  if (ms <= 0) throw new Error(`Invalid duration "${value}"`);
+  return ms;
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime,
+  parseDuration,
+};
@@ -9,6 +9,7 @@ process.on('unhandledRejection', (reason) => {
 });
 
 const http = require('http');
+const https = require('https');
 const path = require('path');
 const fs = require('fs');
 const express = require('express');
@@ -17,12 +18,44 @@ const { URL } = require('url');
 
 const ConfigWatcher = require('./config-watcher');
 const SessionManager = require('./session-manager');
+const ScrollbackStore = require('./scrollback-store');
+const SessionHostClient = require('./session-host-client');
+const PushNotifier = require('./push');
+const UserStore = require('./user-store');
+const TokenStore = require('./token-store');
+const ShareTokens = require('./share-tokens');
+const AuditLog = require('./audit-log');
+const { TlsManager, normalizeHttpsConfig } = require('./tls');
+const TotpStore = require('./totp-store');
+const SecretStore = require('./secret-store');
+const WorktreeManager = require('./worktrees');
+const PipelineRunner = require('./pipeline-runner');
+const Scheduler = require('./scheduler');
+const SessionPolicy = require('./session-policy');
+const RestartPolicy = require('./restart-policy');
+const NetworkPolicy = require('./network-policy');
+const { resolveShell } = require('./shell');
+const QRCode = require('qrcode');
 const auth = require('./auth');
+const { can, permissionsFor, requirePermission } = require('./permissions');
 
 // ── Paths ──────────────────────────────────────────────────────────────────
 const ROOT = path.join(__dirname, '..');
 const CONFIG_PATH = path.join(ROOT, 'config.json');
 const SESSIONS_PATH = path.join(ROOT, 'sessions.json');
+const SCROLLBACK_DIR = path.join(ROOT, 'scrollback');
+const SESSION_HOST_LOG = path.join(ROOT, 'session-host.log');
+const VAPID_KEYS_PATH = path.join(ROOT, 'vapid.json');
+const PUSH_SUBSCRIPTIONS_PATH = path.join(ROOT, 'push-subscriptions.json');
+const USERS_PATH = path.join(ROOT, 'users.json');
+const TOKENS_PATH = path.join(ROOT, 'tokens.json');
+const TOTP_PATH = path.join(ROOT, 'totp.json');
+const SECRETS_PATH = path.join(ROOT, 'secrets.json');
+const SECRETS_KEY_PATH = path.join(ROOT, 'secrets.key');
+const AUDIT_LOG_PATH = path.join(ROOT, 'audit.log');
+const CERTS_DIR = path.join(ROOT, 'certs');
+const WORKTREES_DIR = path.join(ROOT, 'worktrees');
+const SCHEDULES_PATH = path.join(ROOT, 'schedules.json');
 const CLIENT_DIR = path.join(ROOT, 'client');
 
 // ── .env loading ───────────────────────────────────────────────────────────
@@ -62,11 +95,171 @@ function getEffectiveConfig() {
   return c;
 }
 
+// ── HTTPS ──────────────────────────────────────────────────────────────────
+// "https" in config.json: serve HTTPS/WSS with the user's certificate or a
+// generated local CA (read once at startup — restart to change it)
+const httpsConfig = normalizeHttpsConfig(getEffectiveConfig().https);
+let tlsManager = null;
+if (httpsConfig) {
+  try {
+    tlsManager = new TlsManager({ dir: CERTS_DIR, root: ROOT, config: httpsConfig }).init();
+  } catch (err) {
+    console.error('[Server] HTTPS is configured but the certificate could not be loaded:', err.message);
+    process.exit(1);
+  }
+}
+const PROTOCOL = tlsManager ? 'https' : 'http';
+
+// ── Users ──────────────────────────────────────────────────────────────────
+// Named accounts from users.json (managed with `npm run users`); until one
+// exists, login falls back to the PIN
+auth.setUserStore(new UserStore(USERS_PATH));
+// Login tokens survive restarts (hashed, in tokens.json) and can be revoked
+// per device
+auth.setTokenStore(new TokenStore(TOKENS_PATH));
+// Read-only, single-session share links (memory only)
+const shareTokens = new ShareTokens();
+auth.setShareTokens(shareTokens);
+// Optional TOTP second factor per login (totp.json)
+const totpStore = new TotpStore(TOTP_PATH);
+auth.setTotpStore(totpStore);
+
+// ── Audit log ──────────────────────────────────────────────────────────────
+// Who did what: logins, session lifecycle, config edits, and — with
+// "auditInput": true — every line typed into a session
+const auditLog = new AuditLog(AUDIT_LOG_PATH, { logInput: () => !!getEffectiveConfig().auditInput });
+auth.setAuditLog(auditLog);
+
+// ── Secrets ────────────────────────────────────────────────────────────────
+// Values for { "secret": "NAME" } entries in project / launch profile "env"
+const secretStore = new SecretStore(SECRETS_PATH, SECRETS_KEY_PATH);
+
 // ── Session Manager ────────────────────────────────────────────────────────
-const sessionManager = new SessionManager(SESSIONS_PATH);
+const scrollbackStore = new ScrollbackStore(SCROLLBACK_DIR);
+// Optional git worktree per session (session_create with "worktree": true)
+const worktrees = new WorktreeManager({ dir: WORKTREES_DIR });
+const sessionManager = new SessionManager(SESSIONS_PATH, {
+  scrollbackStore,
+  auditLog,
+  hookUrl: `${PROTOCOL}://127.0.0.1:${getEffectiveConfig().port || 3000}/api/hooks`,
+  configGetter: getEffectiveConfig,
+  secretStore,
+});
+
+// ── Pipelines ──────────────────────────────────────────────────────────────
+// Steps that drive sessions in turn (config "pipelines"); every change to a
+// run is broadcast so all devices show its progress
+const pipelineRunner = new PipelineRunner({
+  sessionManager,
+  launchSession,
+  configGetter: getEffectiveConfig,
+  auditLog,
+});
+pipelineRunner.onUpdate((run) => broadcastAll({ type: 'pipeline_run', run }));
+
+// ── Schedules ──────────────────────────────────────────────────────────────
+// Sessions launched on a cron or interval schedule (project / template
+// "schedules"); started in start() and re-read when config.json changes
+const scheduler = new Scheduler({
+  configGetter: getEffectiveConfig,
+  sessionManager,
+  launchSession,
+  endSession,
+  statePath: SCHEDULES_PATH,
+  auditLog,
+});
+scheduler.onUpdate((schedules) => broadcastAll({ type: 'schedules_updated', schedules }));
+
+// ── Automatic restarts ─────────────────────────────────────────────────────
+// Sessions of projects with a "restartPolicy" come back after their process
+// exits, under the same id; devices are told the exit code and restart count
+const restartPolicy = new RestartPolicy({
+  sessionManager,
+  configGetter: getEffectiveConfig,
+  auditLog,
+});
+restartPolicy.onUpdate((session, message) => broadcastAll({
+  type: 'session_restarts',
+  sessionId: session.id,
+  exitCode: session.exitCode ?? null,
+  restartCount: session.restartCount || 0,
+  restartAt: session.restartAt || null,
+  message,
+}));
+
+// ── Session policies ───────────────────────────────────────────────────────
+// Reap dead sessions, flag runaway or stuck ones ("sessionPolicy" / project
+// "policy"); every action is broadcast so devices can say why
+const sessionPolicy = new SessionPolicy({
+  sessionManager,
+  configGetter: getEffectiveConfig,
+  endSession,
+  auditLog,
+});
+sessionPolicy.onAction((event) => {
+  broadcastAll({ type: 'session_policy', ...event });
+  if (event.action === 'reap') broadcastAll({ type: 'session_killed', sessionId: event.sessionId });
+});
+
+// ── Web Push ───────────────────────────────────────────────────────────────
+const pushNotifier = new PushNotifier({
+  keysPath: VAPID_KEYS_PATH,
+  subscriptionsPath: PUSH_SUBSCRIPTIONS_PATH,
+  subject: getEffectiveConfig().pushContact || undefined,
+}).init();
+
+// Notification action button titles for permission prompt options
+const PROMPT_ACTION_TITLES = { approve: 'Approve', always: 'Always', deny: 'Deny' };
+
+// Notify subscribed devices when a session finishes (working → ready) or needs
+// input — only for projects that opted in with "pushNotifications": true
+function notifyStateChange(msg) {
+  const finished = msg.previousState === 'working' && msg.state === 'ready';
+  const waiting = msg.state === 'waiting_input';
+  if (!finished && !waiting) return;
+
+  const session = sessionManager.getSession(msg.sessionId);
+  if (!session) return;
+  const project = getEffectiveConfig().projects.find(p => p.name === session.projectName);
+  if (!project || !project.pushNotifications) return;
+
+  // Permission prompts get one-tap answer buttons (handled in client/sw.js),
+  // but only on devices whose user may answer them now; each such device gets
+  // its own action token. Subscriptions from signed-out devices are dropped.
+  const prompt = waiting ? session.pendingPrompt : null;
+  const config = getEffectiveConfig();
+  const payload = {
+    title: `${session.projectIcon} ${session.label}`,
+    body: waiting ? (prompt && prompt.question) || 'Needs your input' : 'Finished — ready for the next prompt',
+    sessionId: session.id,
+    state: msg.state,
+    url: `/?session=${encodeURIComponent(session.id)}`,
+    actions: [],
+  };
+  const actions = prompt
+    ? prompt.options.filter(o => PROMPT_ACTION_TITLES[o.kind]).slice(0, 3)
+      .map(o => ({ action: o.id, title: PROMPT_ACTION_TITLES[o.kind] }))
+    : [];
+  pushNotifier.notify((entry) => {
+    const user = auth.resolveDevice(entry.deviceId, config);
+    if (!user || user.username !== entry.username) return false;
+    if (!can(user, 'session.view')) return null;
+    if (!actions.length || !can(user, 'session.input')) return payload;
+    return { ...payload, actions, promptToken: sessionManager.promptTokenFor(session.id, user.deviceId) };
+  }).catch((err) => console.error('[Push] Notify error:', err.message));
+}
+
+// ── Network policy ─────────────────────────────────────────────────────────
+// Bind addresses, client allow/deny lists and trusted proxies ("network")
+const networkPolicy = new NetworkPolicy(getEffectiveConfig);
 
 // ── Express ────────────────────────────────────────────────────────────────
 const app = express();
+// First, so refused clients get nothing and everything after sees req.clientIp
+app.use(networkPolicy.middleware());
+// Hook payloads carry whole tool inputs and outputs (file contents, command
+// output), often past the default 100kb limit
+app.use('/api/hooks', express.json({ limit: '10mb' }));
 app.use(express.json());
 
 // Auth middleware factory (uses live config)
@@ -80,6 +273,28 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(CLIENT_DIR, 'index.html'));
 });
 
+// Watch-only view for read-only share links (/watch?share=<token>)
+app.get('/watch', (req, res) => {
+  res.sendFile(path.join(CLIENT_DIR, 'watch.html'));
+});
+
+// HTTPS setup: install instructions, and the local CA phones need to trust
+app.get('/https-setup', (req, res) => {
+  res.sendFile(path.join(CLIENT_DIR, 'https-setup.html'));
+});
+
+app.get('/ca.crt', (req, res) => {
+  const ca = tlsManager && tlsManager.getCaCert();
+  if (!ca) return res.status(404).send('No CA certificate is configured');
+  res.setHeader('Content-Disposition', 'attachment; filename="cli-cockpit-ca.crt"');
+  res.type('application/x-x509-ca-cert').send(ca);
+});
+
+// GET /api/tls — certificate details for the setup page (public, like /ca.crt)
+app.get('/api/tls', (req, res) => {
+  res.json(tlsManager ? { enabled: true, ...tlsManager.info() } : { enabled: false });
+});
+
 // Dynamic manifest.json
 app.get('/manifest.json', (req, res) => {
   res.json({
@@ -101,42 +316,240 @@ app.get('/manifest.json', (req, res) => {
 
 // ── REST API ───────────────────────────────────────────────────────────────
 
-// POST /api/auth — PIN login
+// GET /api/auth/mode — which login form to show: 'users', 'pin' or 'open'
+app.get('/api/auth/mode', (req, res) => {
+  res.json({ mode: auth.authMode(getEffectiveConfig()) });
+});
+
+// POST /api/auth — username/password or PIN login
 app.post('/api/auth', (req, res) => {
-  auth.validateAndIssueToken(req, res, getEffectiveConfig);
+  auth.validateAndIssueToken(req, res, getEffectiveConfig).catch((err) => {
+    console.error('[Auth] Login error:', err.message);
+    res.status(500).json({ error: 'Login failed' });
+  });
+});
+
+// POST /api/hooks — Claude Code lifecycle events from server/claude-hook.js.
+// Authenticated by the per-session hook token, and only from this machine.
+app.post('/api/hooks', (req, res) => {
+  if (!isLoopback(req.socket.remoteAddress)) {
+    return res.status(403).json({ error: 'Hooks are only accepted from localhost' });
+  }
+  const { sessionId, token, payload } = req.body || {};
+  if (!sessionManager.applyHookEvent(sessionId, token, payload)) {
+    return res.status(401).json({ error: 'Unknown session or invalid hook token' });
+  }
+  res.json({ ok: true });
 });
 
 // GET /api/sessions
-app.get('/api/sessions', requireAuth, (req, res) => {
+app.get('/api/sessions', requireAuth, requirePermission('session.view'), (req, res) => {
   res.json(sessionManager.getSessionsForClient());
 });
 
-// POST /api/sessions
-app.post('/api/sessions', requireAuth, (req, res) => {
-  const { projectName, sessionType, dangerouslySkipPermissions } = req.body;
+// POST /api/sessions — { template, projectName, sessionType,
+// dangerouslySkipPermissions, label, worktree, worktreeFrom } (see launchSession)
+app.post('/api/sessions', requireAuth, requirePermission('session.create'), async (req, res) => {
+  try {
+    const session = await launchSession(req.user, req.body || {});
+    res.json(sessionToClient(session));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /api/pipelines/runs — current and recent pipeline runs
+app.get('/api/pipelines/runs', requireAuth, requirePermission('session.view'), (req, res) => {
+  res.json(pipelineRunner.list());
+});
+
+// POST /api/pipelines/:name/run — { sessions: { <name>: <sessionId> } } to
+// use existing sessions for some of the pipeline's sessions
+app.post('/api/pipelines/:name/run', requireAuth, requirePermission('session.create'), (req, res) => {
+  try {
+    res.json(pipelineRunner.start(req.params.name, req.user, { sessions: (req.body || {}).sessions }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/pipelines/runs/:id/cancel
+app.post('/api/pipelines/runs/:id/cancel', requireAuth, requirePermission('session.create'), (req, res) => {
+  if (!pipelineRunner.cancel(req.params.id, req.user.username)) {
+    return res.status(404).json({ error: 'No such running pipeline' });
+  }
+  res.json({ ok: true });
+});
+
+// GET /api/schedules — configured schedules with their next run, and recent runs
+app.get('/api/schedules', requireAuth, requirePermission('session.view'), (req, res) => {
+  res.json(scheduler.snapshot());
+});
+
+// POST /api/sessions/:id/prompt — answer a pending permission prompt.
+// Accepts a normal auth token, or the action token a push notification
+// carried for one device (the service worker has no login token) — good only
+// while that device is signed in and its user may still give input.
+app.post('/api/sessions/:id/prompt', (req, res, next) => {
+  const redeemed = sessionManager.redeemPromptToken(req.params.id, req.body && req.body.promptToken);
+  if (!redeemed) return requireAuth(req, res, next);
+  const user = auth.resolveDevice(redeemed.deviceId, getEffectiveConfig());
+  if (!user) return res.status(401).json({ error: 'Unauthorized' });
+  req.user = user;
+  next();
+}, requirePermission('session.input'), (req, res) => {
+  if (!sessionManager.respondToPrompt(req.params.id, req.body && req.body.optionId, req.user.username)) {
+    return res.status(409).json({ error: 'No matching prompt is pending' });
+  }
+  res.json({ ok: true });
+});
+
+// POST /api/sessions/:id/share — mint a read-only share link { ttlMinutes }
+app.post('/api/sessions/:id/share', requireAuth, requirePermission('session.share'), (req, res) => {
+  const link = createShareLink(req.params.id, req.body && req.body.ttlMinutes, req.user.username);
+  if (!link) return res.status(404).json({ error: 'Session not found' });
+  res.json(link);
+});
+
+// DELETE /api/sessions/:id[?worktree=keep|merge|delete]
+app.delete('/api/sessions/:id', requireAuth, requirePermission('session.kill'), async (req, res) => {
+  const result = await endSession(req.user, req.params.id, req.query.worktree);
+  if (result && !result.ok) return res.status(409).json({ error: result.message, worktree: result });
+  res.json({ ok: true, worktree: result || undefined });
+});
+
+// POST /api/sessions/:id/restart — stop the session's process and start it
+// again in place; POST /api/sessions/:id/resume does the same as resume-claude
+for (const action of ['restart', 'resume']) {
+  app.post(`/api/sessions/:id/${action}`, requireAuth, requirePermission('session.create'), async (req, res) => {
+    try {
+      const session = await restartSession(req.user, req.params.id, { resume: action === 'resume' });
+      res.json(sessionToClient(session));
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+}
+
+// GET /api/devices — signed-in devices: your own, or everyone's for admins
+app.get('/api/devices', requireAuth, (req, res) => {
+  const all = can(req.user, 'devices.manage');
+  const devices = auth.getTokenStore().list(all ? null : req.user.username);
+  res.json(devices.map(d => ({ ...d, current: d.id === req.user.deviceId })));
+});
+
+// DELETE /api/devices/:id — sign a device out and close its live connections
+app.delete('/api/devices/:id', requireAuth, (req, res) => {
+  const store = auth.getTokenStore();
+  const device = store.getById(req.params.id);
+  if (!device) return res.status(404).json({ error: 'Device not found' });
+  if (device.username !== req.user.username && !can(req.user, 'devices.manage')) {
+    return res.status(403).json({ error: "You can only sign out your own devices" });
+  }
+  store.revoke(device.id);
+  console.log(`[Auth] ${req.user.username} signed out device ${device.id} (${device.username})`);
+  auditLog.record('device.revoke', { user: req.user.username, ip: req.clientIp, deviceId: device.id, owner: device.username });
+  res.json({ ok: true });
+  closeDeviceConnections([device.id]);
+  pushNotifier.removeDevices([device.id]);
+});
+
+// ── Two-factor (TOTP) for the signed-in identity ──────────────────────────
+// Not offered in open mode, where there is no login to protect
+
+// GET /api/totp — { available, enabled, recoveryCodesLeft }
+app.get('/api/totp', requireAuth, (req, res) => {
+  const available = auth.authMode(getEffectiveConfig()) !== 'open';
+  res.json({ available, ...totpStore.status(req.user.username) });
+});
+
+// POST /api/totp/setup — new secret + QR code; enabled by /api/totp/enable
+app.post('/api/totp/setup', requireAuth, async (req, res) => {
   const config = getEffectiveConfig();
-  const projectConfig = config.projects.find(p => p.name === projectName);
-  if (!projectConfig) {
-    return res.status(404).json({ error: `Project "${projectName}" not found` });
+  if (auth.authMode(config) === 'open') {
+    return res.status(400).json({ error: 'Set a PIN or add user accounts first' });
+  }
+  if (totpStore.isEnabled(req.user.username)) {
+    return res.status(409).json({ error: 'Two-factor is already on — turn it off first' });
   }
+  const { secret, otpauthUrl } = totpStore.beginEnrollment(req.user.username, config.appName || 'CLI Cockpit');
   try {
-    const session = sessionManager.createSession(projectConfig, sessionType, !!dangerouslySkipPermissions);
-    broadcastAll({ type: 'session_created', session: sessionToClient(session) });
-    res.json(sessionToClient(session));
+    const qrSvg = await QRCode.toString(otpauthUrl, { type: 'svg', margin: 1 });
+    res.json({ secret, otpauthUrl, qrSvg });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// DELETE /api/sessions/:id
-app.delete('/api/sessions/:id', requireAuth, (req, res) => {
-  sessionManager.killSession(req.params.id);
-  broadcastAll({ type: 'session_killed', sessionId: req.params.id });
+// POST /api/totp/enable — { code } from the app; returns the recovery codes
+app.post('/api/totp/enable', requireAuth, (req, res) => {
+  const recoveryCodes = totpStore.confirmEnrollment(req.user.username, req.body && req.body.code);
+  if (!recoveryCodes) return res.status(400).json({ error: "That code didn't match — check the time on your phone" });
+  auditLog.record('totp.enable', { user: req.user.username, ip: req.clientIp });
+  res.json({ recoveryCodes });
+});
+
+// Check the { code } of a signed-in request against its user's two-factor
+// secret, with the same per-IP lockout and audit trail as logging in. Sends
+// the error response and returns false if it doesn't match.
+function checkTotpCode(req, res) {
+  const userAgent = req.headers['user-agent'] || '';
+  if (!auth.checkRateLimit(req.clientIp)) {
+    auditLog.record('auth.locked', { user: req.user.username, ip: req.clientIp, userAgent });
+    res.status(429).json({ error: 'Too many failed attempts. Try again in 60 seconds.' });
+    return false;
+  }
+  if (!totpStore.verify(req.user.username, req.body && req.body.code)) {
+    auth.recordFailedAttempt(req.clientIp);
+    auditLog.record('auth.failure', { user: req.user.username, ip: req.clientIp, userAgent, reason: 'bad two-factor code' });
+    res.status(400).json({ error: 'Invalid code' });
+    return false;
+  }
+  return true;
+}
+
+// POST /api/totp/disable — { code }: a current code or a recovery code
+app.post('/api/totp/disable', requireAuth, (req, res) => {
+  if (!checkTotpCode(req, res)) return;
+  totpStore.disable(req.user.username);
+  auditLog.record('totp.disable', { user: req.user.username, ip: req.clientIp });
+  res.json({ ok: true });
+});
+
+// POST /api/totp/recovery-codes — { code }; replaces the recovery codes
+app.post('/api/totp/recovery-codes', requireAuth, (req, res) => {
+  if (!checkTotpCode(req, res)) return;
+  auditLog.record('totp.recovery_codes', { user: req.user.username, ip: req.clientIp });
+  res.json({ recoveryCodes: totpStore.regenerateRecoveryCodes(req.user.username) });
+});
+
+// GET /api/push/key — VAPID public key for PushManager.subscribe()
+app.get('/api/push/key', requireAuth, (req, res) => {
+  res.json({ publicKey: pushNotifier.getPublicKey() });
+});
+
+// POST /api/push/subscribe — register this device's push subscription
+app.post('/api/push/subscribe', requireAuth, (req, res) => {
+  try {
+    pushNotifier.subscribe(req.body && req.body.subscription, {
+      username: req.user.username,
+      deviceId: req.user.deviceId || null,
+      userAgent: req.headers['user-agent'] || '',
+    });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE /api/push/subscribe — unregister a device
+app.delete('/api/push/subscribe', requireAuth, (req, res) => {
+  pushNotifier.unsubscribe(req.body && req.body.endpoint);
   res.json({ ok: true });
 });
 
 // GET /api/config
-app.get('/api/config', requireAuth, (req, res) => {
+app.get('/api/config', requireAuth, requirePermission('session.view'), (req, res) => {
   const c = getEffectiveConfig();
   // Never expose pin
   const { pin, ...safe } = c;
@@ -144,9 +557,24 @@ app.get('/api/config', requireAuth, (req, res) => {
 });
 
 // PUT /api/config
-app.put('/api/config', requireAuth, (req, res) => {
+app.put('/api/config', requireAuth, requirePermission('config.edit'), (req, res) => {
   const c = getEffectiveConfig();
   const updated = { ...c, ...req.body };
+  // A broken pipeline would only fail once run; refuse it up front
+  if (req.body && req.body.pipelines !== undefined) {
+    const problem = Array.isArray(req.body.pipelines)
+      ? req.body.pipelines.map(p => PipelineRunner.validate(p)).find(Boolean)
+      : '"pipelines" must be a list';
+    if (problem) return res.status(400).json({ error: problem });
+  }
+  for (const project of Array.isArray(req.body && req.body.projects) ? req.body.projects : []) {
+    if (!project || !project.restartPolicy) continue;
+    try {
+      RestartPolicy.resolve(project.restartPolicy);
+    } catch (err) {
+      return res.status(400).json({ error: `${project.name}: restartPolicy ${err.message}` });
+    }
+  }
   // Protect pin and port from in-app editing
   updated.pin = c.pin;
   updated.port = c.port;
@@ -157,15 +585,89 @@ app.put('/api/config', requireAuth, (req, res) => {
     fs.renameSync(tmp, CONFIG_PATH);
     // Update in-memory config immediately (don't wait for fs.watch debounce)
     configWatcher._config = updated;
+    auditLog.record('config.update', {
+      user: req.user.username,
+      ip: req.clientIp,
+      changed: Object.keys(req.body || {}).filter(k => JSON.stringify(c[k]) !== JSON.stringify(updated[k])),
+    });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/secrets — names of the stored secrets (never their values)
+app.get('/api/secrets', requireAuth, requirePermission('config.edit'), (req, res) => {
+  res.json({ names: secretStore.names() });
+});
+
+// PUT /api/secrets — { name, value }: add or replace a secret
+app.put('/api/secrets', requireAuth, requirePermission('config.edit'), (req, res) => {
+  const { name, value } = req.body || {};
+  if (!SecretStore.isValidName(name)) {
+    return res.status(400).json({ error: 'Secret names may use letters, digits, _ . - / (max 128)' });
+  }
+  if (typeof value !== 'string' || !value) return res.status(400).json({ error: 'Value required' });
+  try {
+    const existed = secretStore.has(name);
+    secretStore.set(name, value);
+    auditLog.record(existed ? 'secret.update' : 'secret.create', { user: req.user.username, ip: req.clientIp, name });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// DELETE /api/secrets — { name }
+app.delete('/api/secrets', requireAuth, requirePermission('config.edit'), (req, res) => {
+  const { name } = req.body || {};
+  try {
+    if (!secretStore.delete(name)) return res.status(404).json({ error: 'No such secret' });
+    auditLog.record('secret.delete', { user: req.user.username, ip: req.clientIp, name });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/audit — audit log entries, newest first. Filters: action (exact or
+// prefix, e.g. "session"), user, sessionId, since, until, q (text), limit
+app.get('/api/audit', requireAuth, requirePermission('audit.view'), (req, res) => {
+  res.json(auditLog.query(auditFilter(req.query)));
+});
+
+// GET /api/audit/export — same filters, the whole match as a download
+// (?format=jsonl, the default, or csv)
+app.get('/api/audit/export', requireAuth, requirePermission('audit.view'), (req, res) => {
+  const entries = auditLog.query({ ...auditFilter(req.query), limit: 0 }).reverse();
+  const csv = req.query.format === 'csv';
+  const stamp = new Date().toISOString().slice(0, 10);
+  auditLog.record('audit.export', { user: req.user.username, ip: req.clientIp, count: entries.length });
+  res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.${csv ? 'csv' : 'jsonl'}"`);
+  if (!csv) {
+    res.type('application/x-ndjson').send(entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+    return;
+  }
+  const columns = ['ts', 'action', 'user', 'ip', 'sessionId', 'project'];
+  const cell = (v) => {
+    const text = v === undefined ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = entries.map(e => {
+    const details = Object.fromEntries(Object.entries(e).filter(([k]) => !columns.includes(k)));
+    return [...columns.map(k => cell(e[k])), cell(details)].join(',');
+  });
+  res.type('text/csv').send([[...columns, 'details'].join(','), ...rows].join('\r\n') + '\r\n');
+});
+
+function auditFilter(query) {
+  const { action, user, sessionId, since, until, q, limit } = query;
+  return { action, user, sessionId, since, until, q, limit: Math.min(Number(limit) || 200, 2000) };
+}
+
 // GET /api/recovery
-app.get('/api/recovery', requireAuth, (req, res) => {
-  res.json(recoveredSessions);
+app.get('/api/recovery', requireAuth, requirePermission('session.view'), (req, res) => {
+  res.json(recoveredSessions.map(s => ({ ...s, hasScrollback: scrollbackStore.has(s.id) })));
 });
 
 // GET /api/themes
@@ -173,6 +675,10 @@ app.get('/api/themes', requireAuth, (req, res) => {
   res.json(getThemes());
 });
 
+function isLoopback(addr) {
+  return addr === '127.0.0.1' || addr === '::1' || addr === '::ffff:127.0.0.1';
+}
+
 // ── Built-in Themes ────────────────────────────────────────────────────────
 const BUILTIN_THEMES = [
   {
@@ -254,29 +760,200 @@ function getThemes() {
 
 // ── Session serializer ────────────────────────────────────────────────────
 function sessionToClient(s) {
+  return sessionManager.toClient(s);
+}
+
+// ── Session launch / kill ─────────────────────────────────────────────────
+function clientError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Settings a template (config "templates") supplies; the request's own
+// fields win where given
+function applyTemplate(params) {
+  if (!params.template) return { params, queue: [] };
+  const template = (getEffectiveConfig().templates || []).find(t => t && t.name === params.template);
+  if (!template) throw clientError(404, `Template "${params.template}" not found`);
+  const defaults = {
+    projectName: template.project,
+    sessionType: template.sessionType || 'new-claude',
+    dangerouslySkipPermissions: !!template.dangerouslySkipPermissions,
+    label: template.label,
+    worktree: !!template.worktree,
+  };
+  const given = Object.fromEntries(Object.entries(params).filter(([, v]) => v !== undefined && v !== null));
+  const followUps = Array.isArray(template.followUps) ? template.followUps : [];
+  return { params: { ...defaults, ...given }, queue: [template.prompt, ...followUps] };
+}
+
+// Shared by POST /api/sessions and session_create. `template: <name>` starts
+// from a template, with its prompt and follow-ups in the session's prompt
+// queue. `worktree: true` runs the session in a fresh git worktree on a
+// branch named after `label`; `worktreeFrom: <sessionId>` reuses that
+// (earlier) session's worktree, e.g. on restart or resume. Resolves to the
+// new session.
+async function launchSession(user, request) {
+  const { params, queue } = applyTemplate(request);
+  const { projectName, sessionType, dangerouslySkipPermissions, label, worktree, worktreeFrom } = params;
+  if (dangerouslySkipPermissions && !can(user, 'session.dangerous')) {
+    throw clientError(403, 'Only admins can launch with --dangerously-skip-permissions');
+  }
+  const projectConfig = getEffectiveConfig().projects.find(p => p.name === projectName);
+  if (!projectConfig) throw clientError(404, `Project "${projectName}" not found`);
+  const sessionLabel = typeof label === 'string' && label.trim() ? label.trim().slice(0, 100) : projectConfig.name;
+
+  let tree = null;
+  let fresh = false;
+  if (worktreeFrom) {
+    const previous = sessionManager.getSession(worktreeFrom) || recoveredSessions.find(s => s.id === worktreeFrom);
+    if (previous && previous.worktree && previous.projectName === projectConfig.name && worktrees.exists(previous.worktree)) {
+      tree = previous.worktree;
+    }
+  }
+  if (!tree && worktree) {
+    try {
+      tree = await worktrees.create(projectConfig, sessionLabel);
+      fresh = true;
+    } catch (err) {
+      throw clientError(400, `Could not create a worktree: ${err.message}`);
+    }
+  }
+
+  let session;
+  try {
+    session = sessionManager.createSession(projectConfig, sessionType, !!dangerouslySkipPermissions, {
+      createdBy: user.username,
+      label: sessionLabel,
+      worktree: tree,
+      queue,
+      template: request.template || null,
+    });
+  } catch (err) {
+    if (fresh) worktrees.remove(tree).catch(() => {});
+    throw err;
+  }
+  broadcastAll({ type: 'session_created', session: sessionToClient(session) });
+  return session;
+}
+
+// Kill a session, then keep (the default), merge or delete its worktree.
+// Resolves to null for sessions without one, else { action, ok, message }.
+async function endSession(user, sessionId, worktreeAction = 'keep') {
+  const session = sessionManager.getSession(sessionId);
+  const exited = sessionManager.killSession(sessionId, user.username);
+  broadcastAll({ type: 'session_killed', sessionId });
+  if (!session || !session.worktree) return null;
+
+  const { branch } = session.worktree;
+  if (worktreeAction !== 'merge' && worktreeAction !== 'delete') {
+    return { action: 'keep', ok: true, branch, message: `Kept ${branch} (${session.worktree.path})` };
+  }
+  // Let the process finish writing to the worktree before git touches it
+  if (!await exited) {
+    return { action: worktreeAction, ok: false, branch, message: 'The session\'s process is still running — the worktree was kept' };
+  }
+  try {
+    if (worktreeAction === 'merge') await worktrees.merge(session.worktree);
+    else await worktrees.remove(session.worktree);
+  } catch (err) {
+    console.error(`[Server] Worktree ${worktreeAction} failed for ${branch}:`, err.message);
+    return { action: worktreeAction, ok: false, branch, message: `${err.message} — the worktree was kept` };
+  }
+  auditLog.record(`worktree.${worktreeAction}`, {
+    user: user.username, sessionId, project: session.projectName, branch, baseBranch: session.worktree.baseBranch,
+  });
   return {
-    id: s.id,
-    projectName: s.projectName,
-    projectPath: s.projectPath,
-    projectIcon: s.projectIcon,
-    projectColor: s.projectColor,
-    label: s.label,
-    launchCommand: s.launchCommand,
-    sessionType: s.sessionType,
-    dangerouslySkipPermissions: s.dangerouslySkipPermissions,
-    state: s.state,
-    createdAt: s.createdAt,
+    action: worktreeAction,
+    ok: true,
+    branch,
+    message: worktreeAction === 'merge' ? `Merged ${branch} into ${session.worktree.baseBranch}` : `Deleted ${branch}`,
   };
 }
 
+// Restart a session in place, or resume it as resume-claude: same id, label
+// and scrollback, so every device stays on it. Resolves to the session.
+async function restartSession(user, sessionId, { resume = false } = {}) {
+  const session = sessionManager.getSession(sessionId);
+  if (!session) throw clientError(404, 'Session not found');
+  if (session.dangerouslySkipPermissions && !can(user, 'session.dangerous')) {
+    throw clientError(403, 'Only admins can restart sessions running with --dangerously-skip-permissions');
+  }
+  try {
+    await sessionManager.restartSession(sessionId, { sessionType: resume ? 'resume-claude' : null, username: user.username });
+  } catch (err) {
+    throw clientError(409, err.message);
+  }
+  broadcastAll({ type: 'session_restarted', session: sessionToClient(session) });
+  return session;
+}
+
+// ── Share links ───────────────────────────────────────────────────────────
+function createShareLink(sessionId, ttlMinutes, username) {
+  if (!sessionManager.getSession(sessionId)) return null;
+  const share = shareTokens.create(sessionId, username, ttlMinutes);
+  console.log(`[Server] ${username} shared session ${sessionId} read-only until ${new Date(share.expiresAt).toISOString()}`);
+  auditLog.record('session.share', { user: username, sessionId, shareId: share.id, expiresAt: new Date(share.expiresAt).toISOString() });
+  return { url: `/watch?share=${share.token}`, sessionId, expiresAt: share.expiresAt };
+}
+
 // ── HTTP Server ────────────────────────────────────────────────────────────
-const server = http.createServer(app);
+// One server per bind address ("network.bind", read at startup). 127.0.0.1 is
+// always included so Claude Code hooks (server/claude-hook.js) can reach us.
+const BIND_ADDRESSES = (() => {
+  let bind;
+  try {
+    bind = networkPolicy.bindAddresses();
+  } catch (err) {
+    console.error('[Server]', err.message);
+    process.exit(1);
+  }
+  const wildcards = bind.filter(a => a === '0.0.0.0' || a === '::');
+  if (wildcards.length) return wildcards; // Already covers every other address
+  return bind.includes('127.0.0.1') ? bind : [...bind, '127.0.0.1'];
+})();
+
+const servers = BIND_ADDRESSES.map(() => (tlsManager
+  ? https.createServer(tlsManager.serverOptions(), app)
+  : http.createServer(app)));
+
+// Optional plain-HTTP port next to HTTPS ("https.httpPort"): serves only what
+// a phone needs before it trusts the CA, and redirects everything else
+const HTTP_SETUP_PATHS = ['/https-setup', '/ca.crt', '/api/tls'];
+function handleHttpRedirect(req, res) {
+  const pathname = req.url.split('?')[0];
+  if (HTTP_SETUP_PATHS.includes(pathname) || pathname.startsWith('/static/')) return app(req, res);
+  const host = (req.headers.host || 'localhost').replace(/:\d+$/, '');
+  res.writeHead(301, { Location: `https://${host}:${PORT}${req.url}` });
+  res.end();
+}
+const httpRedirectServers = httpsConfig && httpsConfig.httpPort
+  ? BIND_ADDRESSES.map(() => http.createServer(handleHttpRedirect))
+  : [];
 
 // ── WebSocket Server ───────────────────────────────────────────────────────
 const wss = new WebSocketServer({ noServer: true });
 
 // Track all authenticated WS clients
 const clients = new Set();
+// Share-link viewers: kept apart so they never see other sessions or config
+const watchers = new Set();
+
+function sendToWatchers(sessionId, msg) {
+  const data = JSON.stringify(msg);
+  for (const ws of watchers) {
+    if (ws.user.share.sessionId === sessionId && ws.readyState === 1) ws.send(data);
+  }
+}
+
+// Signed-out devices: close with 4001 so the client shows the login screen
+function closeDeviceConnections(deviceIds) {
+  if (deviceIds.length === 0) return;
+  for (const ws of clients) {
+    if (ws.user && deviceIds.includes(ws.user.deviceId)) ws.close(4001, 'Signed out');
+  }
+}
 
 function broadcastAll(msg) {
   const data = JSON.stringify(msg);
@@ -294,6 +971,10 @@ sessionManager.setBroadcastFn((msg) => {
     // Also broadcast state changes to all clients
     if (msg.type === 'session_state_changed') {
       broadcastAll(msg);
+      sendToWatchers(msg.sessionId, { type: msg.type, sessionId: msg.sessionId, state: msg.state });
+      notifyStateChange(msg);
+    } else if (msg.type === 'session_prompt' || msg.type === 'session_queue') {
+      broadcastAll(msg);
     }
   } else {
     broadcastAll(msg);
@@ -301,41 +982,57 @@ sessionManager.setBroadcastFn((msg) => {
 });
 
 // HTTP → WS upgrade
-server.on('upgrade', (request, socket, head) => {
-  const reqUrl = new URL(request.url, `http://${request.headers.host}`);
-  const token = reqUrl.searchParams.get('token');
-
-  if (!auth.wsAuthMiddleware(token, getEffectiveConfig)) {
-    socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
-    socket.destroy();
+function handleUpgrade(request, socket, head) {
+  // Same allow/deny check as HTTP requests (the upgrade bypasses Express)
+  request.clientIp = networkPolicy.clientIp(request);
+  if (!networkPolicy.isAllowed(request.clientIp)) {
+    networkPolicy.logDenied(request.clientIp, 'WebSocket');
+    socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
     return;
   }
 
+  const reqUrl = new URL(request.url, `http://${request.headers.host}`);
+  const token = reqUrl.searchParams.get('token');
+  const share = reqUrl.searchParams.get('share');
+  const user = auth.wsAuthMiddleware(token, getEffectiveConfig, request, { share });
+
   wss.handleUpgrade(request, socket, head, (ws) => {
-    wss.emit('connection', ws, request, token);
+    if (!user) {
+      // Close with 4001 so the client knows to show the login screen
+      ws.close(4001, 'Unauthorized');
+      return;
+    }
+    wss.emit('connection', ws, request, user);
   });
-});
+}
+
+for (const server of servers) server.on('upgrade', handleUpgrade);
 
 // WS connection handler
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, request, user) => {
+  ws.user = user; // { username, role, deviceId } — attributed on create/input/kill
+  ws.ip = request.clientIp || '';
+  ws.isAlive = true;
+  ws.on('pong', () => { ws.isAlive = true; });
+  if (user.share) return handleWatcherConnection(ws);
   clients.add(ws);
 
   // Send current sessions list immediately
   ws.send(JSON.stringify({
     type: 'sessions_list',
     sessions: sessionManager.getSessionsForClient(),
+    user: ws.user,
+    permissions: permissionsFor(ws.user),
     config: (() => {
       const c = getEffectiveConfig();
       const { pin, ...safe } = c;
       return safe;
     })(),
     themes: getThemes(),
+    pipelineRuns: pipelineRunner.list(),
+    schedules: scheduler.snapshot(),
   }));
 
-  // Ping/pong heartbeat
-  ws.isAlive = true;
-  ws.on('pong', () => { ws.isAlive = true; });
-
   ws.on('message', (raw) => {
     let msg;
     try {
@@ -364,18 +1061,141 @@ wss.on('connection', (ws) => {
   });
 });
 
+// Permission each WS message needs (see permissions.js); types not listed
+// here are refused, so a new message type has to be given one
+const WS_PERMISSIONS = {
+  ping: 'session.view', // the app's keepalive
+  session_subscribe: 'session.view',
+  terminal_input: 'session.input',
+  terminal_resize: 'session.input',
+  session_prompt_respond: 'session.input',
+  session_rename: 'session.manage',
+  session_kill: 'session.kill',
+  session_share: 'session.share',
+  session_create: 'session.create',
+  session_restart: 'session.create',
+  session_resume: 'session.create',
+  queue_add: 'session.input',
+  queue_update: 'session.input',
+  queue_remove: 'session.input',
+  queue_move: 'session.input',
+  pipeline_start: 'session.create',
+  pipeline_cancel: 'session.create',
+};
+
+// Send a session's buffered output and stream the rest; sessions that are no
+// longer live replay their on-disk scrollback read-only
+function subscribeToSession(ws, sessionId) {
+  if (!sessionManager.getSession(sessionId)) {
+    const data = sessionManager.getPersistedScrollback(sessionId);
+    ws.send(JSON.stringify({ type: 'session_buffer', sessionId, data, readOnly: true }));
+    return;
+  }
+  sessionManager.addSubscriber(sessionId, ws);
+  const buffer = sessionManager.getOutputBuffer(sessionId);
+  ws.send(JSON.stringify({ type: 'session_buffer', sessionId, data: buffer.join('') }));
+}
+
+// A share-link viewer may only watch the one session the link is for
+function handleWatcherConnection(ws) {
+  const { sessionId, expiresAt } = ws.user.share;
+  watchers.add(ws);
+  auditLog.record('share.open', { user: ws.user.username, ip: ws.ip, sessionId, shareId: ws.user.share.id });
+  const session = sessionManager.getSession(sessionId);
+  ws.send(JSON.stringify({
+    type: 'share_info',
+    sessionId,
+    expiresAt,
+    session: session
+      ? { label: session.label, projectName: session.projectName, projectIcon: session.projectIcon, state: session.state }
+      : null,
+  }));
+
+  ws.on('message', (raw) => {
+    let msg;
+    try { msg = JSON.parse(raw.toString()); } catch { return; }
+    if (msg.type === 'session_subscribe' && msg.sessionId === sessionId) subscribeToSession(ws, sessionId);
+  });
+
+  const cleanup = () => {
+    watchers.delete(ws);
+    sessionManager.removeSubscriber(ws);
+  };
+  ws.on('close', cleanup);
+  ws.on('error', cleanup);
+}
+
+const MAX_QUEUED_PROMPT_LENGTH = 10000;
+
+// Queued prompts are plain text, sent as typed input
+function validQueueText(ws, text) {
+  if (typeof text === 'string' && text.trim() && text.length <= MAX_QUEUED_PROMPT_LENGTH) return true;
+  ws.send(JSON.stringify({ type: 'error', message: `A queued prompt must be 1–${MAX_QUEUED_PROMPT_LENGTH} characters` }));
+  return false;
+}
+
 function handleWsMessage(ws, msg) {
+  if (ws.user.share) return; // share-link viewers are handled by handleWatcherConnection
+
+  const permission = WS_PERMISSIONS[msg.type];
+  if (!permission) {
+    ws.send(JSON.stringify({ type: 'error', message: `Unknown message type: ${String(msg.type).slice(0, 50)}` }));
+    return;
+  }
+  if (!can(ws.user, permission)) {
+    // Viewers' terminals still report their size; ignore that quietly
+    if (msg.type !== 'terminal_resize') {
+      ws.send(JSON.stringify({ type: 'error', message: `Your role (${ws.user.role}) does not allow ${msg.type}` }));
+    }
+    return;
+  }
+
   switch (msg.type) {
     case 'session_subscribe': {
-      const { sessionId } = msg;
-      sessionManager.addSubscriber(sessionId, ws);
-      const buffer = sessionManager.getOutputBuffer(sessionId);
-      ws.send(JSON.stringify({ type: 'session_buffer', sessionId, data: buffer.join('') }));
+      subscribeToSession(ws, msg.sessionId);
+      break;
+    }
+    case 'session_share': {
+      const { sessionId, ttlMinutes } = msg;
+      const link = createShareLink(sessionId, ttlMinutes, ws.user.username);
+      if (!link) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Session not found' }));
+        break;
+      }
+      ws.send(JSON.stringify({ type: 'session_share_created', ...link }));
       break;
     }
     case 'terminal_input': {
       const { sessionId, data } = msg;
-      sessionManager.writeToSession(sessionId, data);
+      sessionManager.writeToSession(sessionId, data, ws.user.username);
+      break;
+    }
+    case 'queue_add': {
+      const { sessionId, text } = msg;
+      if (!validQueueText(ws, text)) break;
+      if (!sessionManager.enqueuePrompt(sessionId, text, ws.user.username)) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Session not found, or its queue is full' }));
+      }
+      break;
+    }
+    case 'queue_update': {
+      const { sessionId, itemId, text } = msg;
+      if (validQueueText(ws, text)) sessionManager.updateQueuedPrompt(sessionId, itemId, text);
+      break;
+    }
+    case 'queue_remove': {
+      sessionManager.removeQueuedPrompt(msg.sessionId, msg.itemId);
+      break;
+    }
+    case 'queue_move': {
+      sessionManager.moveQueuedPrompt(msg.sessionId, msg.itemId, msg.index);
+      break;
+    }
+    case 'session_prompt_respond': {
+      const { sessionId, optionId } = msg;
+      if (!sessionManager.respondToPrompt(sessionId, optionId, ws.user.username)) {
+        ws.send(JSON.stringify({ type: 'error', message: 'That prompt is no longer pending' }));
+      }
       break;
     }
     case 'terminal_resize': {
@@ -385,33 +1205,43 @@ function handleWsMessage(ws, msg) {
     }
     case 'session_rename': {
       const { sessionId, newLabel } = msg;
-      sessionManager.renameSession(sessionId, newLabel);
+      sessionManager.renameSession(sessionId, newLabel, ws.user.username);
       broadcastAll({ type: 'session_updated', sessionId, label: newLabel });
       break;
     }
     case 'session_kill': {
-      const { sessionId } = msg;
-      sessionManager.killSession(sessionId);
-      broadcastAll({ type: 'session_killed', sessionId });
+      const { sessionId, worktreeAction } = msg;
+      endSession(ws.user, sessionId, worktreeAction).then((result) => {
+        if (result) ws.send(JSON.stringify({ type: 'worktree_result', sessionId, ...result }));
+      });
       break;
     }
-    case 'session_create': {
-      const { projectName, sessionType, dangerouslySkipPermissions } = msg;
-      const config = getEffectiveConfig();
-      const projectConfig = config.projects.find(p => p.name === projectName);
-      if (!projectConfig) {
-        ws.send(JSON.stringify({ type: 'error', message: `Project "${projectName}" not found` }));
-        break;
-      }
+    case 'session_restart':
+    case 'session_resume': {
+      restartSession(ws.user, msg.sessionId, { resume: msg.type === 'session_resume' }).catch((err) => {
+        ws.send(JSON.stringify({ type: 'error', message: err.message }));
+      });
+      break;
+    }
+    case 'pipeline_start': {
       try {
-        const session = sessionManager.createSession(projectConfig, sessionType, !!dangerouslySkipPermissions);
-        broadcastAll({ type: 'session_created', session: sessionToClient(session) });
+        pipelineRunner.start(msg.name, ws.user, { sessions: msg.sessions });
       } catch (err) {
-        console.error('[WS] session_create error:', err.message);
         ws.send(JSON.stringify({ type: 'error', message: err.message }));
       }
       break;
     }
+    case 'pipeline_cancel': {
+      pipelineRunner.cancel(msg.runId, ws.user.username);
+      break;
+    }
+    case 'session_create': {
+      launchSession(ws.user, msg).catch((err) => {
+        console.error('[WS] session_create error:', err.message);
+        ws.send(JSON.stringify({ type: 'error', message: err.message }));
+      });
+      break;
+    }
     default:
       break;
   }
@@ -419,16 +1249,27 @@ function handleWsMessage(ws, msg) {
 
 // Ping heartbeat (30s interval, 10s timeout)
 const pingInterval = setInterval(() => {
-  for (const ws of clients) {
+  for (const ws of [...clients, ...watchers]) {
     if (!ws.isAlive) {
       ws.terminate();
       clients.delete(ws);
+      watchers.delete(ws);
       sessionManager.removeSubscriber(ws);
       continue;
     }
     ws.isAlive = false;
     ws.ping();
   }
+  // Devices signed out by expiry or a deleted account lose their connections
+  // and push subscriptions
+  const prunedDevices = auth.pruneExpiredTokens(getEffectiveConfig());
+  closeDeviceConnections(prunedDevices);
+  if (prunedDevices.length) pushNotifier.removeDevices(prunedDevices);
+  // Expired share links stop streaming
+  for (const ws of watchers) {
+    if (!shareTokens.isValid(ws.user.share.id)) ws.close(4001, 'Share link expired');
+  }
+  shareTokens.prune();
 }, 30000);
 
 wss.on('close', () => clearInterval(pingInterval));
@@ -438,17 +1279,106 @@ configWatcher.on('change', (newConfig) => {
   console.log('[Server] config.json reloaded.');
   const { pin, ...safe } = newConfig;
   broadcastAll({ type: 'config_updated', config: safe, themes: getThemes() });
+  scheduler.reload();
 });
 
 // ── Recovery data ─────────────────────────────────────────────────────────
-const recoveredSessions = SessionManager.loadSessions(SESSIONS_PATH);
+let recoveredSessions = SessionManager.loadSessions(SESSIONS_PATH);
+
+// ── Session host (optional) ───────────────────────────────────────────────
+// With "sessionHost": true, PTYs live in a detached daemon and survive server
+// restarts. Sessions it is still running are reattached instead of being
+// offered for re-launch.
+const sessionHost = getEffectiveConfig().sessionHost
+  ? new SessionHostClient({ root: ROOT, logPath: SESSION_HOST_LOG })
+  : null;
+
+async function connectSessionHost() {
+  try {
+    await sessionHost.connect();
+    sessionManager.setPtyHost(sessionHost);
+    return true;
+  } catch (err) {
+    console.error('[Server] Session host unavailable, spawning PTYs in-process:', err.message);
+    sessionManager.setPtyHost(null);
+    return false;
+  }
+}
+
+// Adopt the PTYs the session host is still running: at startup, and again
+// after reconnecting to it, when sessions that were detached pick theirs back
+// up. Detached sessions it no longer has are ended.
+async function reattachSessions() {
+  const endDetached = () => {
+    for (const s of sessionManager.getAllSessions()) {
+      if (s.state === 'detached') sessionManager.endDetachedSession(s.id);
+    }
+  };
+  if (!sessionHost || !(await connectSessionHost())) {
+    endDetached();
+    return 0;
+  }
+
+  let live;
+  try {
+    live = await sessionHost.list();
+  } catch (err) {
+    console.error('[Server] Failed to list session host sessions:', err.message);
+    endDetached();
+    return 0;
+  }
+
+  let count = 0;
+  for (const entry of live) {
+    const current = sessionManager.getSession(entry.id);
+    if (entry.exited) {
+      if (current) sessionManager.endDetachedSession(entry.id, entry.exitCode);
+      continue;
+    }
+    if (current && current.state !== 'detached') {
+      // Killed while the connection was down
+      if (current.state === 'dead') sessionHost.kill(entry.id);
+      continue;
+    }
+    // sessions.json has the latest label; the host's copy covers sessions
+    // created moments before a crash, before they were saved
+    const saved = current || recoveredSessions.find(s => s.id === entry.id) || entry.meta;
+    if (!saved || !saved.id) continue;
+    try {
+      const attached = await sessionHost.attach(entry.id);
+      if (!attached) continue;
+      sessionManager.reattachSession(saved, attached.pty, attached.backlog);
+      count++;
+    } catch (err) {
+      console.error(`[Server] Failed to reattach session ${entry.id}:`, err.message);
+    }
+  }
+  endDetached();
+  recoveredSessions = recoveredSessions.filter(s => !sessionManager.getSession(s.id));
+  return count;
+}
+
+if (sessionHost) {
+  sessionHost.on('disconnect', () => {
+    // The host may still be running (a dropped connection) or have died with
+    // its PTYs; either way hold the sessions until we know, then reconnect —
+    // starting a fresh host if need be — and pick up what's still alive
+    sessionManager.detachSessions();
+    reattachSessions().then((count) => {
+      if (count) console.log(`[Server] Reattached ${count} session(s) after reconnecting to the session host`);
+    });
+  });
+}
 
 // ── Auto-start sessions ───────────────────────────────────────────────────
 function autoStartSessions() {
   const config = getEffectiveConfig();
   let count = 0;
+  const running = new Set(sessionManager.getAllSessions().map(s => s.projectName));
   for (const project of config.projects) {
     if (!project.autoStart) continue;
+    // Don't duplicate a session that was reattached from the session host
+    if (running.has(project.name)) continue;
     const type = project.autoStartType || 'new-claude';
     const dangerous = !!project.autoStartDangerous;
     try {
@@ -466,24 +1396,53 @@ function autoStartSessions() {
 const effectiveConfig = getEffectiveConfig();
 const PORT = effectiveConfig.port || 3000;
 
-const autoStartCount = autoStartSessions();
+async function start() {
+  const reattachedCount = await reattachSessions();
+  // Keep scrollback only for sessions that are live or can still be recovered/viewed
+  scrollbackStore.prune([
+    ...recoveredSessions.map(s => s.id),
+    ...sessionManager.getAllSessions().map(s => s.id),
+  ]);
+  const autoStartCount = autoStartSessions();
+  scheduler.reload();
+  sessionPolicy.start();
+
+  httpRedirectServers.forEach((redirectServer, i) => {
+    redirectServer.on('error', (err) => console.error('[Server] HTTP redirect port error:', err.message));
+    redirectServer.listen(httpsConfig.httpPort, BIND_ADDRESSES[i]);
+  });
+
+  await Promise.all(servers.map((server, i) => new Promise((resolve) => {
+    server.on('error', (err) => {
+      console.error(`[Server] Fatal error on ${BIND_ADDRESSES[i]}:`, err.message);
+      process.exit(1);
+    });
+    server.listen(PORT, BIND_ADDRESSES[i], resolve);
+  })));
 
-server.listen(PORT, '0.0.0.0', () => {
   console.log('');
   console.log('╔══════════════════════════════════════════╗');
   console.log('║         CLI Cockpit — Server Ready       ║');
   console.log('╚══════════════════════════════════════════╝');
   console.log(`  Port      : ${PORT}`);
+  console.log(`  Listening : ${BIND_ADDRESSES.join(', ')}`);
   console.log(`  Projects  : ${effectiveConfig.projects.length} configured`);
+  console.log(`  Shell     : ${resolveShell(effectiveConfig.shell)}`);
   console.log(`  Auto-start: ${autoStartCount} session(s) started`);
+  console.log(`  Schedules : ${scheduler.snapshot().schedules.filter(s => s.nextRunAt).length} active`);
+  if (sessionHost) {
+    console.log(`  Reattached: ${reattachedCount} session(s) from session host`);
+  }
   console.log(`  Recovery  : ${recoveredSessions.length} session(s) recoverable`);
-  console.log(`  Auth      : ${effectiveConfig.pin ? 'PIN required' : 'No PIN (open)'}`);
+  const authLabels = { users: 'user accounts', pin: 'PIN required', open: 'No PIN (open)' };
+  console.log(`  Auth      : ${authLabels[auth.authMode(effectiveConfig)]}`);
+  if (tlsManager) {
+    console.log(`  HTTPS     : ${tlsManager.mode === 'generated' ? 'local CA (see /https-setup)' : 'your certificate'}`);
+    if (httpRedirectServers.length) console.log(`  HTTP      : port ${httpsConfig.httpPort} → HTTPS`);
+  }
   console.log('');
-  console.log(`  Open: http://localhost:${PORT}`);
+  console.log(`  Open: ${PROTOCOL}://localhost:${PORT}`);
   console.log('');
-});
+}
 
-server.on('error', (err) => {
-  console.error('[Server] Fatal error:', err.message);
-  process.exit(1);
-});
+start();
@@ -0,0 +1,131 @@
+'use strict';
+// Launch profiles — what a session runs. The three built-in session types are
+// profiles too; a project can add its own under "profiles" in config.json:
+//
+//   {
+//     "name": "dev-server",          unique within the project; the session type
+//     "label": "Dev server",         shown in the New Session dialog
+//     "command": "npm",              omit for an interactive shell
+//     "args": ["run", "dev"],
+//     "env": { "PORT": "5173" },     added to the environment after the project's
+//                                    "env" (null removes a var, { "secret": "NAME" }
+//                                    injects a value from secrets.json)
+//     "shell": true,                 true: run through the session shell (the default),
+//                                    a path/name: run through that shell,
+//                                    false: spawn the command directly
+//     "loginShell": true,            start POSIX shells as login shells (see shell.js)
+//     "cwd": "web",                  relative to the project path
+//     "allowDangerous": false,       offer --dangerously-skip-permissions
+//     "dangerousArgs": ["--yolo"],   what that adds (default --dangerously-skip-permissions)
+//     "stateDetector": "generic"     see state-detectors.js
+//   }
+const path = require('path');
+const { resolveShell, shellArgs, commandLine } = require('./shell');
+
+const DANGEROUS_ARGS = ['--dangerously-skip-permissions'];
+
+const BUILTIN_PROFILES = [
+  { name: 'new-claude', label: 'New Claude Code', command: 'claude', allowDangerous: true, stateDetector: 'claude' },
+  { name: 'resume-claude', label: 'Resume Claude Code', command: 'claude', args: ['--resume'], allowDangerous: true, stateDetector: 'claude' },
+  { name: 'plain-shell', label: 'Plain Shell', stateDetector: 'shell' },
+];
+const BUILTIN_NAMES = new Set(BUILTIN_PROFILES.map(p => p.name));
+const warnedClashes = new Set(); // "project/profile", so the warning shows once
+
+// Profiles a project offers: the built-ins, then its own. A project profile
+// can't reuse a built-in name.
+function profilesForProject(projectConfig) {
+  const custom = Array.isArray(projectConfig.profiles) ? projectConfig.profiles : [];
+  const valid = custom.filter(p => {
+    if (!p || typeof p.name !== 'string' || !p.name) return false;
+    if (BUILTIN_NAMES.has(p.name)) {
+      const key = `${projectConfig.name}/${p.name}`;
+      if (warnedClashes.has(key)) return false;
+      warnedClashes.add(key);
+      console.warn(`[LaunchProfiles] "${projectConfig.name}" profile "${p.name}" clashes with a built-in session type — ignored`);
+      return false;
+    }
+    return true;
+  });
+  return [...BUILTIN_PROFILES, ...valid];
+}
+
+function findProfile(projectConfig, name) {
+  return profilesForProject(projectConfig).find(p => p.name === name) || null;
+}
+
+// Turn a profile into what node-pty spawns. Returns { cmd, args, env, cwd,
+// launchCommand, dangerous } — `dangerous` is false if the profile doesn't
+// allow it; env only holds the project's and profile's additions; cwd is the
+// profile's override resolved against the project path (or the project path
+// itself). `defaults` holds the server-wide "shell" / "loginShell" settings
+// (the profile's, then the project's, take precedence) and `secrets`, the
+// SecretStore that { "secret": "NAME" } env values are read from.
+function buildLaunch(projectConfig, profile, dangerouslySkipPermissions = false, defaults = {}) {
+  const dangerous = !!dangerouslySkipPermissions && !!profile.allowDangerous;
+  const args = (Array.isArray(profile.args) ? profile.args : []).map(String);
+  if (dangerous) args.push(...(Array.isArray(profile.dangerousArgs) ? profile.dangerousArgs : DANGEROUS_ARGS).map(String));
+
+  const useShell = profile.shell !== false;
+  const shell = resolveShell(
+    [profile.shell, projectConfig.shell, defaults.shell].find(s => typeof s === 'string' && s.trim()),
+  );
+  const login = [profile.loginShell, projectConfig.loginShell, defaults.loginShell].find(v => typeof v === 'boolean') ?? true;
+
+  let cmd, spawnArgs, launchCommand;
+  if (!profile.command) {
+    cmd = shell;
+    spawnArgs = shellArgs(shell, null, { login });
+    launchCommand = shell;
+  } else if (useShell) {
+    launchCommand = commandLine(shell, profile.command, args);
+    cmd = shell;
+    spawnArgs = shellArgs(shell, launchCommand, { login });
+  } else {
+    cmd = profile.command;
+    spawnArgs = args;
+    launchCommand = [profile.command, ...args].join(' ');
+  }
+
+  const base = projectConfig.path || process.cwd();
+  const cwd = profile.cwd ? path.resolve(base, String(profile.cwd)) : projectConfig.path;
+
+  const env = {};
+  for (const spec of [projectConfig.env, profile.env]) {
+    if (!spec || typeof spec !== 'object') continue;
+    for (const [key, value] of Object.entries(spec)) {
+      const resolved = envValue(projectConfig, key, value, defaults.secrets);
+      if (resolved !== undefined) env[key] = resolved;
+    }
+  }
+
+  return { cmd, args: spawnArgs, env, cwd, launchCommand, dangerous };
+}
+
+// One "env" entry: a string (or number/boolean), null to unset, or a secret
+// reference. undefined = leave the variable alone (a missing secret).
+function envValue(projectConfig, key, value, secrets) {
+  if (value === null) return null;
+  if (typeof value !== 'object') return String(value);
+  const name = value.secret;
+  const secret = secrets && typeof name === 'string' ? secrets.get(name) : undefined;
+  if (secret === undefined) {
+    console.warn(`[LaunchProfiles] "${projectConfig.name}" env ${key}: secret "${name}" is not set — skipped`);
+  }
+  return secret;
+}
+
+// Detector for a session: a project profile's own, else the project's, else
+// the built-in type's default (or "generic" for project profiles)
+function detectorForProfile(projectConfig, profile) {
+  const own = BUILTIN_NAMES.has(profile.name) ? null : profile.stateDetector;
+  return own || projectConfig.stateDetector || profile.stateDetector || 'generic';
+}
+
+module.exports = {
+  BUILTIN_PROFILES,
+  profilesForProject,
+  findProfile,
+  buildLaunch,
+  detectorForProfile,
+};
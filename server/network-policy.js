@@ -0,0 +1,149 @@
+'use strict';
+const net = require('net');
+
+const DEFAULT_BIND = ['0.0.0.0'];
+const DENIED_LOG_INTERVAL = 10 * 60 * 1000; // Log each refused IP at most this often
+
+// Shorthands usable in allow/deny/trustedProxies lists
+const ALIASES = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '169.254.0.0/16', 'fc00::/7', 'fe80::/10'],
+};
+
+// '::ffff:10.0.0.5' → '10.0.0.5', so IPv4 rules match on dual-stack sockets
+function normalizeIp(ip) {
+  const s = String(ip || '').trim();
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(s);
+  return mapped ? mapped[1] : s;
+}
+
+// List of "1.2.3.4", "10.0.0.0/8", "::1", "loopback", "private" → BlockList.
+// Invalid entries are skipped with a warning (an allowlist of only invalid
+// entries then allows nobody, rather than everybody).
+function buildBlockList(entries, label) {
+  const list = new net.BlockList();
+  for (const raw of Array.isArray(entries) ? entries : [entries]) {
+    for (const entry of ALIASES[raw] || [raw]) {
+      const [addr, prefix] = String(entry).split('/');
+      const family = net.isIP(addr);
+      if (!family || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+        console.warn(`[Network] Ignoring invalid ${label} entry "${entry}"`);
+        continue;
+      }
+      const type = family === 6 ? 'ipv6' : 'ipv4';
+      if (prefix === undefined) list.addAddress(addr, type);
+      else list.addSubnet(addr, Number(prefix), type);
+    }
+  }
+  return list;
+}
+
+const LOOPBACK = buildBlockList('loopback', 'loopback');
+
+function contains(list, ip) {
+  const family = net.isIP(ip);
+  return !!list && !!family && list.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Who may connect, and from which address a request really came.
+// Config ("network" in config.json, re-read on every request so edits apply
+// without a restart — except `bind`):
+//   bind            address or list of addresses to listen on
+//   allow           if set, only these clients may connect
+//   deny            these clients may never connect (checked first)
+//   trustedProxies  proxies whose X-Forwarded-For / CF-Connecting-IP headers
+//                   name the real client (e.g. "loopback" for cloudflared)
+class NetworkPolicy {
+  constructor(configGetter) {
+    this.configGetter = configGetter;
+    this._cacheKey = null;
+    this._lists = { allow: null, deny: null, proxies: null };
+    this._deniedLogged = new Map(); // ip -> last logged at
+  }
+
+  // Addresses to listen on (read once at startup)
+  bindAddresses() {
+    const { bind } = this._config();
+    const list = (Array.isArray(bind) ? bind : bind ? [bind] : DEFAULT_BIND).map(String).filter(Boolean);
+    const invalid = list.filter(a => !net.isIP(a));
+    if (invalid.length) throw new Error(`Invalid bind address: ${invalid.join(', ')}`);
+    return list.length ? list : DEFAULT_BIND;
+  }
+
+  // The client's address. Forwarding headers are only believed when the
+  // connection comes from a trusted proxy; X-Forwarded-For is read right to
+  // left, skipping further trusted proxies, so a client can't spoof it by
+  // sending its own header.
+  clientIp(req) {
+    const remote = normalizeIp(req.socket && req.socket.remoteAddress);
+    const { proxies } = this._getLists();
+    if (!contains(proxies, remote)) return remote;
+
+    const cf = normalizeIp(req.headers['cf-connecting-ip']);
+    if (net.isIP(cf)) return cf;
+
+    const hops = String(req.headers['x-forwarded-for'] || '').split(',').map(normalizeIp).filter(Boolean);
+    for (let i = hops.length - 1; i >= 0; i--) {
+      if (!net.isIP(hops[i])) break;
+      if (!contains(proxies, hops[i])) return hops[i];
+    }
+    return remote;
+  }
+
+  isAllowed(ip) {
+    const { allow, deny } = this._getLists();
+    if (contains(deny, ip)) return false;
+    return !allow || contains(allow, ip);
+  }
+
+  // Refused clients are logged, but not on every request
+  logDenied(ip, what) {
+    const now = Date.now();
+    if (now - (this._deniedLogged.get(ip) || 0) < DENIED_LOG_INTERVAL) return;
+    if (this._deniedLogged.size > 1000) {
+      for (const [logged, at] of this._deniedLogged) {
+        if (now - at >= DENIED_LOG_INTERVAL) this._deniedLogged.delete(logged);
+      }
+    }
+    this._deniedLogged.set(ip, now);
+    console.warn(`[Network] Refused ${what} from ${ip} (not allowed by network.allow/deny)`);
+  }
+
+  // Express middleware: sets req.clientIp and refuses disallowed clients.
+  // Claude Code hooks from this machine (/api/hooks, loopback only) are
+  // exempt, so an allowlist can't break state detection.
+  middleware() {
+    return (req, res, next) => {
+      req.clientIp = this.clientIp(req);
+      if (this.isAllowed(req.clientIp)) return next();
+      if (req.path === '/api/hooks' && contains(LOOPBACK, normalizeIp(req.socket.remoteAddress))) {
+        return next();
+      }
+      this.logDenied(req.clientIp, 'HTTP request');
+      res.status(403).send('Forbidden');
+    };
+  }
+
+  _config() {
+    return this.configGetter().network || {};
+  }
+
+  _getLists() {
+    const { allow, deny, trustedProxies } = this._config();
+    const key = JSON.stringify([allow, deny, trustedProxies]);
+    if (key !== this._cacheKey) {
+      this._cacheKey = key;
+      this._lists = {
+        allow: allow && allow.length ? buildBlockList(allow, 'network.allow') : null,
+        deny: deny && deny.length ? buildBlockList(deny, 'network.deny') : null,
+        // true = trust whoever connects (only safe if nothing else can reach the port)
+        proxies: trustedProxies === true
+          ? buildBlockList(['0.0.0.0/0', '::/0'], 'network.trustedProxies')
+          : trustedProxies ? buildBlockList(trustedProxies, 'network.trustedProxies') : null,
+      };
+    }
+    return this._lists;
+  }
+}
+
+module.exports = NetworkPolicy;
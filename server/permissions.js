@@ -0,0 +1,51 @@
+'use strict';
+// Roles and what they may do. Each role includes everything the roles before
+// it can do:
+//   viewer   — watch sessions (subscribe, read scrollback, get notifications)
+//   operator — type into sessions, answer prompts, create/rename/kill sessions,
+//              create read-only share links
+//   admin    — also dangerous mode (--dangerously-skip-permissions), config,
+//              everyone's signed-in devices, and the audit log
+const ROLES = ['viewer', 'operator', 'admin'];
+const DEFAULT_ROLE = 'operator';
+
+// permission -> minimum role
+const PERMISSIONS = {
+  'session.view': 'viewer',
+  'session.input': 'operator',
+  'session.create': 'operator',
+  'session.manage': 'operator', // rename
+  'session.kill': 'operator',
+  'session.share': 'operator',
+  'session.dangerous': 'admin',
+  'config.edit': 'admin',
+  'devices.manage': 'admin', // see/sign out other users' devices
+  'audit.view': 'admin',     // browse and export the audit log
+};
+
+function isRole(role) {
+  return ROLES.includes(role);
+}
+
+// user: { username, role }
+function can(user, permission) {
+  if (!user || !isRole(user.role) || !PERMISSIONS[permission]) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(PERMISSIONS[permission]);
+}
+
+// Every permission the user has — sent to the client so it can hide controls
+function permissionsFor(user) {
+  return Object.keys(PERMISSIONS).filter(p => can(user, p));
+}
+
+// Express middleware (after auth.authMiddleware, which sets req.user)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!can(req.user, permission)) {
+      return res.status(403).json({ error: `Your role (${req.user ? req.user.role : 'none'}) does not allow this` });
+    }
+    next();
+  };
+}
+
+module.exports = { ROLES, DEFAULT_ROLE, PERMISSIONS, isRole, can, permissionsFor, requirePermission };
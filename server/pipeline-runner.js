@@ -0,0 +1,346 @@
+'use strict';
+// Pipelines — steps that drive sessions one after another and branch on how
+// each went. Defined under "pipelines" in config.json:
+//
+//   {
+//     "name": "implement-test-fix",
+//     "label": "Implement, test, fix",
+//     "project": "my-app",                 default project for the sessions below
+//     "sessions": {                        named sessions the steps use, launched
+//       "agent": { "sessionType": "new-claude" },     the first time a step needs
+//       "tests": { "sessionType": "test-runner" }     them (or again once exited)
+//     },
+//     "steps": [
+//       { "id": "implement", "session": "agent", "input": "Implement the TODOs" },
+//       { "id": "test", "session": "tests", "waitFor": "exit", "onFailure": "fix" },
+//       { "id": "fix", "session": "agent", "next": "test",
+//         "input": "The tests failed:\n{{test.output}}\nFix them." }
+//     ],
+//     "maxSteps": 20
+//   }
+//
+// A step optionally queues `input` into its session (see the prompt queue in
+// session-manager.js), then waits for `waitFor`: "ready" (the default with
+// input — the session answered and is idle again) or "exit" (the default
+// without — the process ended; exit code 0 is success). `expect`, a regular
+// expression, must also match the output the step produced for it to
+// succeed; `timeout` (seconds) fails it after that long. Then the run goes to
+// `onSuccess` / `onFailure` (default: `next`, else the following step; a
+// failure with no onFailure fails the run). "end" and "fail" finish the run.
+// Inputs may use {{<step>.output}} (the end of that step's output, ANSI
+// stripped) and {{<step>.exitCode}}.
+//
+// Runs live in memory only; a server restart forgets them (the sessions they
+// launched stay).
+const crypto = require('crypto');
+const { stripAnsi } = require('./state-detectors');
+
+const DEFAULT_MAX_STEPS = 50;
+const MAX_CAPTURE = 64 * 1024; // output kept per step
+const OUTPUT_LINES = 80; // lines {{step.output}} expands to
+const MAX_RUNS = 20; // finished runs kept for the status view
+const END = 'end';
+const FAIL = 'fail';
+
+// Why a pipeline definition can't run, or null
+function validatePipeline(def) {
+  if (!def || typeof def.name !== 'string' || !def.name) return 'Pipeline needs a "name"';
+  const steps = Array.isArray(def.steps) ? def.steps : [];
+  if (!steps.length) return `Pipeline "${def.name}" has no steps`;
+  const sessions = def.sessions && typeof def.sessions === 'object' ? def.sessions : {};
+  const ids = new Set();
+  for (const step of steps) {
+    if (!step || typeof step.id !== 'string' || !step.id) return `A step of "${def.name}" has no "id"`;
+    if (ids.has(step.id)) return `Step id "${step.id}" is used twice`;
+    if (step.id === END || step.id === FAIL) return `"${step.id}" can't be a step id`;
+    ids.add(step.id);
+    if (!sessions[step.session]) return `Step "${step.id}": session "${step.session}" is not in "sessions"`;
+    if (step.waitFor !== undefined && step.waitFor !== 'ready' && step.waitFor !== 'exit') {
+      return `Step "${step.id}": waitFor must be "ready" or "exit"`;
+    }
+    if (step.expect !== undefined) {
+      try { new RegExp(step.expect); } catch { return `Step "${step.id}": invalid expect pattern`; }
+    }
+  }
+  for (const step of steps) {
+    for (const key of ['next', 'onSuccess', 'onFailure']) {
+      const target = step[key];
+      if (target !== undefined && target !== END && target !== FAIL && !ids.has(target)) {
+        return `Step "${step.id}": ${key} "${target}" is not a step`;
+      }
+    }
+  }
+  return null;
+}
+
+class PipelineRunner {
+  // launchSession(user, request) starts a session the way POST /api/sessions
+  // does and resolves to it
+  constructor({ sessionManager, launchSession, configGetter, auditLog = null }) {
+    this._sessions = sessionManager;
+    this._launch = launchSession;
+    this._configGetter = configGetter;
+    this._audit = auditLog;
+    this._runs = new Map(); // id -> run, oldest first
+    this._updateFn = null;
+  }
+
+  // Why a pipeline definition can't run, or null
+  static validate(def) {
+    return validatePipeline(def);
+  }
+
+  // fn(runForClient) on every change to a run
+  onUpdate(fn) {
+    this._updateFn = fn;
+  }
+
+  pipelines() {
+    return (this._configGetter().pipelines || []).filter(p => p && p.name);
+  }
+
+  list() {
+    return Array.from(this._runs.values()).map(r => this._toClient(r));
+  }
+
+  // Start pipeline `name` as `user`. `sessions` maps session names to ids of
+  // existing sessions to use instead of launching new ones. Throws if the
+  // pipeline is missing or invalid.
+  start(name, user, { sessions = {} } = {}) {
+    const def = this.pipelines().find(p => p.name === name);
+    if (!def) throw new Error(`Pipeline "${name}" not found`);
+    const invalid = validatePipeline(def);
+    if (invalid) throw new Error(invalid);
+
+    const run = {
+      id: crypto.randomUUID(),
+      name: def.name,
+      label: def.label || def.name,
+      status: 'running',
+      message: null,
+      startedBy: user.username,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      currentStep: null,
+      totalSteps: def.steps.length,
+      history: [], // { step, status, sessionId, exitCode, message, startedAt, finishedAt }
+      sessions: {}, // session name -> session id
+      _results: {}, // step id -> { output, exitCode } (latest)
+      _abort: null, // ends the step being waited on
+    };
+    for (const [slot, sessionId] of Object.entries(sessions || {})) {
+      if (def.sessions[slot] && this._sessions.getSession(sessionId)) run.sessions[slot] = sessionId;
+    }
+    this._runs.set(run.id, run);
+    this._prune();
+    this._record('pipeline.start', run, user.username);
+    console.log(`[Pipelines] Started "${run.name}" (${run.id}) for ${user.username}`);
+    this._update(run);
+
+    this._execute(run, def, user).catch((err) => {
+      this._finish(run, 'failed', err.message);
+    });
+    return this._toClient(run);
+  }
+
+  cancel(runId, username = null) {
+    const run = this._runs.get(runId);
+    if (!run || run.status !== 'running') return false;
+    this._record('pipeline.cancel', run, username);
+    this._finish(run, 'cancelled', username ? `Cancelled by ${username}` : 'Cancelled');
+    if (run._abort) run._abort();
+    return true;
+  }
+
+  // ── Execution ────────────────────────────────────────────────────────────
+
+  async _execute(run, def, user) {
+    const steps = new Map(def.steps.map(s => [s.id, s]));
+    const maxSteps = Number.isInteger(def.maxSteps) && def.maxSteps > 0 ? def.maxSteps : DEFAULT_MAX_STEPS;
+    let stepId = def.steps[0].id;
+    let count = 0;
+
+    while (run.status === 'running') {
+      if (stepId === END || stepId === undefined) return this._finish(run, 'succeeded');
+      if (stepId === FAIL) return this._finish(run, 'failed', run.history.at(-1)?.message || 'Failed');
+      if (++count > maxSteps) return this._finish(run, 'failed', `Stopped after ${maxSteps} steps (maxSteps)`);
+
+      const step = steps.get(stepId);
+      const entry = {
+        step: step.id, status: 'running', sessionId: null, exitCode: null, message: null,
+        startedAt: new Date().toISOString(), finishedAt: null,
+      };
+      run.currentStep = step.id;
+      run.history.push(entry);
+      this._update(run);
+
+      let result;
+      try {
+        result = await this._runStep(run, def, step, user, entry);
+      } catch (err) {
+        result = { ok: false, message: err.message, output: '', exitCode: null };
+      }
+      if (run.status !== 'running') return; // cancelled meanwhile
+
+      const exitCode = result.exitCode ?? null;
+      run._results[step.id] = { output: result.output, exitCode };
+      entry.status = result.ok ? 'succeeded' : 'failed';
+      entry.exitCode = exitCode;
+      entry.message = result.message || null;
+      entry.finishedAt = new Date().toISOString();
+      this._update(run);
+
+      const following = def.steps[def.steps.indexOf(step) + 1];
+      stepId = result.ok
+        ? step.onSuccess ?? step.next ?? (following ? following.id : END)
+        : step.onFailure ?? FAIL;
+    }
+  }
+
+  // Resolves to { ok, exitCode, message, output }
+  async _runStep(run, def, step, user, entry) {
+    const session = await this._sessionFor(run, def, step.session, user);
+    entry.sessionId = session.id;
+    this._update(run);
+
+    const waitFor = step.waitFor || (step.input ? 'ready' : 'exit');
+    const input = step.input ? this._render(String(step.input), run) : null;
+    const timeoutMs = Number(step.timeout) > 0 ? Number(step.timeout) * 1000 : 0;
+
+    const outcome = await new Promise((resolve) => {
+      let output = '';
+      let item = null;
+      let worked = false; // the session started working on our input
+      let timer = null;
+
+      const done = (result) => {
+        clearTimeout(timer);
+        // Cancelled or timed out before the input went out: don't send it later
+        if (item && session.queue.includes(item)) this._sessions.removeQueuedPrompt(session.id, item.id);
+        this._sessions.off('output', onOutput);
+        this._sessions.off('state', onState);
+        this._sessions.off('exit', onExit);
+        run._abort = null;
+        resolve({ output, ...result });
+      };
+      const onOutput = (s, data) => {
+        if (s.id !== session.id) return;
+        output += data;
+        if (output.length > MAX_CAPTURE) output = output.slice(-MAX_CAPTURE);
+      };
+      const onState = (s, state) => {
+        if (s.id !== session.id || waitFor !== 'ready') return;
+        const sent = !item || !s.queue.includes(item);
+        if (state === 'working' && sent) worked = true;
+        if (state === 'ready' && sent && (worked || !item)) done({ ok: true });
+      };
+      const onExit = (s, exitCode) => {
+        if (s.id !== session.id) return;
+        if (waitFor === 'exit') done({ ok: exitCode === 0, exitCode, message: `Exited with code ${exitCode ?? 'unknown (killed)'}` });
+        else done({ ok: false, exitCode, message: 'Session exited before it was ready' });
+      };
+
+      this._sessions.on('output', onOutput);
+      this._sessions.on('state', onState);
+      this._sessions.on('exit', onExit);
+      run._abort = () => done({ ok: false, message: 'Cancelled' });
+      if (timeoutMs) timer = setTimeout(() => done({ ok: false, message: `Timed out after ${step.timeout}s` }), timeoutMs);
+
+      if (session.state === 'dead') return onExit(session, session.exitCode ?? null);
+      if (input) {
+        item = this._sessions.enqueuePrompt(session.id, input, user.username);
+        if (!item) return done({ ok: false, message: 'Could not queue the input (queue full?)' });
+      } else if (waitFor === 'ready' && session._idle) {
+        return done({ ok: true });
+      }
+    });
+
+    outcome.output = stripAnsi(outcome.output);
+    if (outcome.ok && step.expect !== undefined && !new RegExp(step.expect, 'm').test(outcome.output)) {
+      return { ...outcome, ok: false, message: `Output did not match ${step.expect}` };
+    }
+    return outcome;
+  }
+
+  // The session a step runs in: the one this run already has under that name
+  // if it's still alive, else a new one
+  async _sessionFor(run, def, slot, user) {
+    const existing = run.sessions[slot] && this._sessions.getSession(run.sessions[slot]);
+    if (existing && existing.state !== 'dead') return existing;
+
+    const spec = def.sessions[slot];
+    const session = await this._launch(user, {
+      projectName: spec.project || def.project,
+      sessionType: spec.sessionType || 'new-claude',
+      dangerouslySkipPermissions: !!spec.dangerouslySkipPermissions,
+      worktree: !existing && !!spec.worktree,
+      worktreeFrom: existing && existing.worktree ? existing.id : undefined,
+      label: spec.label || `${run.label} · ${slot}`,
+    });
+    run.sessions[slot] = session.id;
+    return session;
+  }
+
+  // {{step.output}} / {{step.exitCode}} from the step's latest result
+  _render(text, run) {
+    return text.replace(/\{\{\s*([\w.-]+?)\.(output|exitCode)\s*\}\}/g, (match, stepId, field) => {
+      const result = run._results[stepId];
+      if (!result) return '';
+      if (field === 'exitCode') return result.exitCode === null ? '' : String(result.exitCode);
+      return result.output.trimEnd().split(/\r?\n/).slice(-OUTPUT_LINES).join('\n');
+    });
+  }
+
+  // ── Bookkeeping ──────────────────────────────────────────────────────────
+
+  _finish(run, status, message = null) {
+    if (run.status !== 'running') return;
+    run.status = status;
+    run.message = message;
+    run.finishedAt = new Date().toISOString();
+    run.currentStep = null;
+    const current = run.history.at(-1);
+    if (current && current.status === 'running') {
+      current.status = status === 'cancelled' ? 'cancelled' : 'failed';
+      current.message = message;
+      current.finishedAt = run.finishedAt;
+    }
+    if (status !== 'cancelled') this._record('pipeline.finish', run, run.startedBy, { status, message: message || undefined });
+    console.log(`[Pipelines] "${run.name}" (${run.id}) ${status}${message ? `: ${message}` : ''}`);
+    this._update(run);
+  }
+
+  // Drop the oldest finished runs beyond MAX_RUNS
+  _prune() {
+    const finished = Array.from(this._runs.values()).filter(r => r.status !== 'running');
+    for (const run of finished.slice(0, Math.max(0, finished.length - MAX_RUNS))) this._runs.delete(run.id);
+  }
+
+  _record(action, run, username, fields = {}) {
+    if (!this._audit) return;
+    this._audit.record(action, { user: username, pipeline: run.name, runId: run.id, ...fields });
+  }
+
+  _update(run) {
+    if (this._updateFn) this._updateFn(this._toClient(run));
+  }
+
+  _toClient(run) {
+    return {
+      id: run.id,
+      name: run.name,
+      label: run.label,
+      status: run.status,
+      message: run.message || null,
+      startedBy: run.startedBy,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      currentStep: run.currentStep,
+      totalSteps: run.totalSteps,
+      history: run.history,
+      sessions: run.sessions,
+    };
+  }
+}
+
+module.exports = PipelineRunner;
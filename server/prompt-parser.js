@@ -0,0 +1,90 @@
+'use strict';
+const { stripAnsi } = require('./state-detectors');
+
+// How much of the tail of the output buffer to search for a pending prompt
+const PROMPT_SEARCH_CHARS = 4000;
+
+// Classify an option label as approve / always / deny
+function optionKind(label) {
+  if (/^\s*(no\b|deny|reject|don'?t allow|cancel)/i.test(label)) return 'deny';
+  if (/always|don'?t ask again|for this session|all edits/i.test(label)) return 'always';
+  if (/^\s*(yes|allow|approve|proceed|ok\b|continue)/i.test(label)) return 'approve';
+  return 'other';
+}
+
+// Numbered menu, as Claude Code draws permission prompts:
+//   Do you want to proceed?
+//   ❯ 1. Yes
+//     2. Yes, and don't ask again for this command
+//     3. No, and tell Claude what to do differently (esc)
+// Pressing the option's number selects it.
+function parseNumberedMenu(lines) {
+  const optionRe = /^[\s│|]*(?:[❯>›]\s*)?(\d)[.)]\s+(.+?)[\s│|]*$/;
+  let end = -1;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (optionRe.test(lines[i])) { end = i; break; }
+  }
+  if (end === -1) return null;
+
+  // Walk up over the contiguous option block (blank lines allowed)
+  const options = [];
+  let start = end;
+  for (let i = end; i >= 0; i--) {
+    const m = lines[i].match(optionRe);
+    if (m) {
+      options.unshift({ number: m[1], label: m[2].trim() });
+      start = i;
+    } else if (lines[i].trim() !== '') {
+      break;
+    }
+  }
+  if (options.length < 2 || options[0].number !== '1') return null;
+
+  // The question is the nearest non-empty line above the options
+  let question = '';
+  for (let i = start - 1; i >= 0 && i >= start - 4; i--) {
+    const text = lines[i].replace(/[│|╭╮╰╯─]/g, '').trim();
+    if (text) { question = text; break; }
+  }
+
+  return {
+    question,
+    options: options.map(o => ({
+      id: o.number,
+      label: o.label,
+      kind: optionKind(o.label),
+      keys: o.number,
+    })),
+  };
+}
+
+// Classic shell confirmations: (y/n), [Y/n], [y/N], Press Enter to continue
+function parseInlinePrompt(lines) {
+  const last = [...lines].reverse().find(l => l.trim() !== '') || '';
+  if (/\(y\/n\)|\[y\/n\]/i.test(last)) {
+    return {
+      question: last.trim(),
+      options: [
+        { id: 'y', label: 'Yes', kind: 'approve', keys: 'y\r' },
+        { id: 'n', label: 'No', kind: 'deny', keys: 'n\r' },
+      ],
+    };
+  }
+  if (/Press Enter to continue/i.test(last)) {
+    return {
+      question: last.trim(),
+      options: [{ id: 'enter', label: 'Continue', kind: 'approve', keys: '\r' }],
+    };
+  }
+  return null;
+}
+
+// Parse the prompt a session is waiting on from the tail of its raw output.
+// Returns { question, options: [{ id, label, kind, keys }] } or null.
+function parsePrompt(rawOutput) {
+  const tail = stripAnsi(rawOutput.slice(-PROMPT_SEARCH_CHARS));
+  const lines = tail.split(/\r?\n|\r/);
+  return parseNumberedMenu(lines) || parseInlinePrompt(lines);
+}
+
+module.exports = { parsePrompt, optionKind };
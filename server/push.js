@@ -0,0 +1,129 @@
+'use strict';
+const fs = require('fs');
+const webpush = require('web-push');
+
+const DEFAULT_SUBJECT = 'mailto:admin@localhost';
+const PUSH_TTL = 60 * 60; // Drop undelivered notifications after an hour
+
+// Web Push: VAPID keys generated once and kept in a local file, device
+// subscriptions stored server-side so the server can notify phones even when
+// the PWA is closed. Each subscription remembers the user and signed-in
+// device it was made from, so it can be dropped when that device is signed
+// out and notifications can be tailored to the user's current role.
+class PushNotifier {
+  constructor({ keysPath, subscriptionsPath, subject = DEFAULT_SUBJECT }) {
+    this.keysPath = keysPath;
+    this.subscriptionsPath = subscriptionsPath;
+    this.subject = subject;
+    this._keys = null;
+    this._subscriptions = new Map(); // endpoint -> { subscription, username, deviceId, userAgent, createdAt }
+  }
+
+  init() {
+    this._keys = this._loadOrCreateKeys();
+    webpush.setVapidDetails(this.subject, this._keys.publicKey, this._keys.privateKey);
+    for (const entry of this._readJson(this.subscriptionsPath, [])) {
+      if (entry && entry.subscription && entry.subscription.endpoint) {
+        this._subscriptions.set(entry.subscription.endpoint, entry);
+      }
+    }
+    return this;
+  }
+
+  getPublicKey() {
+    return this._keys ? this._keys.publicKey : null;
+  }
+
+  subscribe(subscription, { username = null, deviceId = null, userAgent = '' } = {}) {
+    if (!subscription || typeof subscription.endpoint !== 'string' || !subscription.keys) {
+      throw new Error('Invalid push subscription');
+    }
+    this._subscriptions.set(subscription.endpoint, {
+      subscription,
+      username,
+      deviceId,
+      userAgent,
+      createdAt: new Date().toISOString(),
+    });
+    this._save();
+  }
+
+  unsubscribe(endpoint) {
+    if (this._subscriptions.delete(endpoint)) this._save();
+  }
+
+  // Drop the subscriptions made from these (signed-out) devices
+  removeDevices(deviceIds) {
+    let removed = false;
+    for (const [endpoint, entry] of this._subscriptions) {
+      if (entry.deviceId && deviceIds.includes(entry.deviceId)) {
+        this._subscriptions.delete(endpoint);
+        removed = true;
+      }
+    }
+    if (removed) this._save();
+  }
+
+  // Send to subscribed devices. `payloadFor(entry)` returns what to send to
+  // each subscription — or null to skip it, or false to drop it (its device
+  // is no longer signed in). Subscriptions the push service reports as gone
+  // (404/410) are removed too.
+  async notify(payloadFor) {
+    let removed = false;
+    const sends = Array.from(this._subscriptions.values()).map(async (entry) => {
+      const payload = payloadFor(entry);
+      if (payload === false) {
+        this._subscriptions.delete(entry.subscription.endpoint);
+        removed = true;
+        return;
+      }
+      if (!payload) return;
+      try {
+        await webpush.sendNotification(entry.subscription, JSON.stringify(payload), { TTL: PUSH_TTL });
+      } catch (err) {
+        if (err.statusCode === 404 || err.statusCode === 410) {
+          this._subscriptions.delete(entry.subscription.endpoint);
+          removed = true;
+          return;
+        }
+        console.error('[Push] Send failed:', err.statusCode || '', err.message);
+      }
+    });
+    await Promise.all(sends);
+    if (removed) this._save();
+  }
+
+  _loadOrCreateKeys() {
+    const existing = this._readJson(this.keysPath, null);
+    if (existing && existing.publicKey && existing.privateKey) return existing;
+    const keys = webpush.generateVAPIDKeys();
+    try {
+      fs.writeFileSync(this.keysPath, JSON.stringify(keys, null, 2), { encoding: 'utf8', mode: 0o600 });
+      console.log('[Push] Generated new VAPID keys.');
+    } catch (err) {
+      console.error('[Push] Failed to save VAPID keys:', err.message);
+    }
+    return keys;
+  }
+
+  _save() {
+    const data = JSON.stringify(Array.from(this._subscriptions.values()), null, 2);
+    const tmp = this.subscriptionsPath + '.tmp';
+    try {
+      fs.writeFileSync(tmp, data, 'utf8');
+      fs.renameSync(tmp, this.subscriptionsPath);
+    } catch (err) {
+      console.error('[Push] Failed to save subscriptions:', err.message);
+    }
+  }
+
+  _readJson(file, fallback) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return fallback;
+    }
+  }
+}
+
+module.exports = PushNotifier;
@@ -0,0 +1,148 @@
+'use strict';
+// Restarts sessions whose process exits, per the project's "restartPolicy":
+//
+//   "restartPolicy": "on-failure"
+//
+// or, with the defaults spelled out,
+//
+//   "restartPolicy": { "when": "on-failure", "maxRetries": 5, "backoff": "2s", "maxBackoff": "5m" }
+//
+// "when" is "never" (the default), "on-failure" (a non-zero exit code) or
+// "always". A session killed from the app is never restarted. Waits double
+// from "backoff" up to "maxBackoff" between consecutive restarts; after
+// "maxRetries" of them the session is left dead. A run that lasts a minute
+// counts as healthy and starts the count over.
+//
+// The session comes back under the same id and label (SessionManager's
+// respawnSession), so devices stay on it. Its last exit code, number of
+// restarts and the time of a pending restart are on the session (exitCode,
+// restartCount, restartAt) and every change is reported through onUpdate().
+const { parseDuration } = require('./cron');
+
+const DEFAULTS = { when: 'never', maxRetries: 5, backoff: '2s', maxBackoff: '5m' };
+const STABLE_AFTER = 60 * 1000;
+
+class RestartPolicy {
+  constructor({ sessionManager, configGetter, auditLog = null }) {
+    this._sessions = sessionManager;
+    this._configGetter = configGetter;
+    this._audit = auditLog;
+    this._runs = new Map(); // sessionId -> { attempts, startedAt, timer }
+    this._killed = new Set(); // sessionIds killed from the app, until their exit
+    this._updateFn = null;
+
+    this._sessions.on('exit', (session, exitCode) => this._onExit(session, exitCode));
+    this._sessions.on('kill', (session) => {
+      if (session.state !== 'dead') this._killed.add(session.id);
+      this._cancel(session);
+    });
+    this._sessions.on('restart', (session) => this._cancel(session));
+  }
+
+  // fn(session, message) after a restart is scheduled, done or given up on
+  onUpdate(fn) {
+    this._updateFn = fn;
+  }
+
+  // The project's policy with defaults filled in and durations in ms; throws
+  // with what's wrong
+  static resolve(value) {
+    const policy = typeof value === 'string' ? { ...DEFAULTS, when: value } : { ...DEFAULTS, ...(value || {}) };
+    if (!['never', 'on-failure', 'always'].includes(policy.when)) {
+      throw new Error(`"when" must be never, on-failure or always (got "${policy.when}")`);
+    }
+    if (!Number.isInteger(policy.maxRetries) || policy.maxRetries < 0) {
+      throw new Error('"maxRetries" must be a whole number');
+    }
+    return { ...policy, backoff: parseDuration(policy.backoff), maxBackoff: parseDuration(policy.maxBackoff) };
+  }
+
+  stop() {
+    for (const run of this._runs.values()) clearTimeout(run.timer);
+  }
+
+  _policyFor(session) {
+    const project = (this._configGetter().projects || []).find(p => p.name === session.projectName);
+    if (!project || !project.restartPolicy) return null;
+    try {
+      return RestartPolicy.resolve(project.restartPolicy);
+    } catch (err) {
+      console.warn(`[RestartPolicy] ${project.name}: ignoring restartPolicy — ${err.message}`);
+      return null;
+    }
+  }
+
+  // A kill is told apart by the 'kill' event before it, not by the exit code:
+  // a process can also end without one (e.g. by a signal)
+  _onExit(session, exitCode) {
+    if (this._killed.delete(session.id)) return;
+    const policy = this._policyFor(session);
+    if (!policy || policy.when === 'never' || (policy.when === 'on-failure' && exitCode === 0)) {
+      this._runs.delete(session.id);
+      return;
+    }
+
+    const run = this._runs.get(session.id) || { attempts: 0, startedAt: Date.parse(session.createdAt), timer: null };
+    this._runs.set(session.id, run);
+    if (Date.now() - run.startedAt >= STABLE_AFTER) run.attempts = 0;
+
+    if (run.attempts >= policy.maxRetries) {
+      this._runs.delete(session.id);
+      session.restartAt = null;
+      this._notify(session, `"${session.label}" ${exitText(exitCode)} — gave up after ${run.attempts} restart(s)`);
+      return;
+    }
+
+    const delay = Math.min(policy.backoff * 2 ** run.attempts, policy.maxBackoff);
+    run.attempts++;
+    session.restartAt = new Date(Date.now() + delay).toISOString();
+    run.timer = setTimeout(() => this._restart(session.id, exitCode), delay);
+    this._notify(session, `"${session.label}" ${exitText(exitCode)} — restarting in ${Math.round(delay / 1000)}s`);
+  }
+
+  _restart(sessionId, exitCode) {
+    const run = this._runs.get(sessionId);
+    const session = this._sessions.getSession(sessionId);
+    if (!run || !session || session.state !== 'dead') return; // removed, or started some other way
+    run.timer = null;
+    session.restartAt = null;
+    try {
+      this._sessions.respawnSession(sessionId, `restarted automatically (${exitText(exitCode)})`);
+    } catch (err) {
+      this._runs.delete(sessionId);
+      console.error(`[RestartPolicy] Could not restart ${sessionId}:`, err.message);
+      this._notify(session, `Could not restart "${session.label}": ${err.message}`);
+      return;
+    }
+    run.startedAt = Date.now();
+    session.restartCount = (session.restartCount || 0) + 1;
+    if (this._audit) {
+      this._audit.record('session.restart', {
+        sessionId, project: session.projectName, exitCode, attempt: run.attempts, automatic: true,
+      });
+    }
+    this._notify(session, null);
+  }
+
+  _cancel(session) {
+    const run = this._runs.get(session.id);
+    if (!run) return;
+    clearTimeout(run.timer);
+    this._runs.delete(session.id);
+    if (session.restartAt) {
+      session.restartAt = null;
+      this._notify(session, null);
+    }
+  }
+
+  _notify(session, message) {
+    if (message) console.log(`[RestartPolicy] ${message}`);
+    if (this._updateFn) this._updateFn(session, message);
+  }
+}
+
+function exitText(exitCode) {
+  return exitCode === null || exitCode === undefined ? 'exited without an exit code' : `exited with code ${exitCode}`;
+}
+
+module.exports = RestartPolicy;
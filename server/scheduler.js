@@ -0,0 +1,322 @@
+'use strict';
+// Scheduled session launches. Projects and templates in config.json can carry
+// "schedules":
+//
+//   {
+//     "name": "nightly-review",       optional; tells a project's schedules apart
+//     "cron": "0 3 * * MON-FRI",      or "every": "6h" (see cron.js)
+//     "sessionType": "new-claude",    project schedules only (a template brings
+//     "dangerouslySkipPermissions": false,   its own), default new-claude
+//     "worktree": false,
+//     "label": "Nightly review",
+//     "prompt": "Review yesterday's commits",   typed in once the session is ready
+//                                     (after a template's own prompts)
+//     "maxDuration": "2h",            end the session after this long
+//     "killWhenReady": true,          end it once it has worked and is idle again
+//     "enabled": true
+//   }
+//
+// Sessions are launched as the "scheduler" user (with admin rights — only
+// admins can edit config.json). A schedule doesn't start another session
+// while the one it started last is still running. Schedules are re-read
+// whenever config.json changes; the last run time of each and the recent run
+// history are kept in a small JSON file so "every" intervals and the history
+// survive a restart.
+const fs = require('fs');
+const { parseCron, nextCronTime, parseDuration } = require('./cron');
+
+const SCHEDULER_USER = { username: 'scheduler', role: 'admin' };
+const MAX_TIMER = 60 * 60 * 1000; // re-check at least hourly (clock changes, long waits)
+const MAX_HISTORY = 50;
+
+class Scheduler {
+  // launchSession(user, request) and endSession(user, sessionId) are the
+  // server's (index.js), so scheduled sessions are announced, audited and
+  // cleaned up the same way as ones started from the app
+  constructor({ configGetter, sessionManager, launchSession, endSession, statePath, auditLog = null }) {
+    this._configGetter = configGetter;
+    this._sessions = sessionManager;
+    this._launch = launchSession;
+    this._end = endSession;
+    this._statePath = statePath;
+    this._audit = auditLog;
+    this._schedules = new Map(); // id -> { id, label, spec, owner, kind, nextRunAt, error }
+    this._timer = null;
+    this._watches = new Map(); // sessionId -> { run, timer, killWhenReady, worked }
+    this._updateFn = null;
+
+    const state = this._loadState();
+    this._lastRunAt = state.lastRunAt || {}; // schedule id -> ISO time
+    this._runs = state.runs || []; // newest last
+
+    this._sessions.on('state', (session, state, previous) => this._onState(session, state, previous));
+    this._sessions.on('exit', (session, exitCode) => this._onExit(session, exitCode));
+  }
+
+  // fn(snapshot) whenever schedules or runs change
+  onUpdate(fn) {
+    this._updateFn = fn;
+  }
+
+  // Read schedules from config and arm the timer; called at startup and
+  // whenever config.json changes
+  reload() {
+    const previous = this._schedules;
+    this._schedules = new Map();
+    const now = Date.now();
+    const config = this._configGetter();
+
+    const add = (kind, owner, spec, index) => {
+      if (!spec || typeof spec !== 'object') return;
+      const id = `${kind}:${owner.name}:${spec.name || index}`;
+      const entry = {
+        id,
+        kind,
+        owner: owner.name,
+        label: spec.label || spec.name || owner.label || owner.name,
+        spec,
+        nextRunAt: null,
+        error: null,
+      };
+      try {
+        if (spec.cron) entry.cron = parseCron(spec.cron);
+        else if (spec.every) entry.every = parseDuration(spec.every);
+        else throw new Error('needs "cron" or "every"');
+        if (spec.maxDuration !== undefined) entry.maxDuration = parseDuration(spec.maxDuration);
+      } catch (err) {
+        entry.error = err.message;
+        if (!previous.has(id) || previous.get(id).error !== err.message) {
+          console.warn(`[Scheduler] Schedule ${id} ignored: ${err.message}`);
+        }
+      }
+      // An unchanged schedule keeps its next run time
+      const before = previous.get(id);
+      if (before && JSON.stringify(before.spec) === JSON.stringify(spec)) entry.nextRunAt = before.nextRunAt;
+      if (!entry.error && spec.enabled !== false && !entry.nextRunAt) entry.nextRunAt = this._nextRun(entry, now);
+      if (entry.error || spec.enabled === false) entry.nextRunAt = null;
+      this._schedules.set(id, entry);
+    };
+
+    for (const project of config.projects || []) {
+      (Array.isArray(project.schedules) ? project.schedules : []).forEach((s, i) => add('project', project, s, i));
+    }
+    for (const template of config.templates || []) {
+      if (!template || !template.name) continue;
+      (Array.isArray(template.schedules) ? template.schedules : []).forEach((s, i) => add('template', template, s, i));
+    }
+
+    // Runs still going after a restart pick their watch back up
+    for (const run of this._runs) {
+      if (run.status === 'running' && !this._watches.has(run.sessionId)) this._resumeWatch(run);
+    }
+
+    if (this._schedules.size || previous.size) {
+      console.log(`[Scheduler] ${this._schedules.size} schedule(s) loaded`);
+    }
+    this._arm();
+    this._update();
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    for (const watch of this._watches.values()) clearTimeout(watch.timer);
+  }
+
+  // Schedules (with their next run) and recent runs, newest first
+  snapshot() {
+    return {
+      schedules: Array.from(this._schedules.values()).map(s => ({
+        id: s.id,
+        kind: s.kind,
+        owner: s.owner,
+        label: s.label,
+        when: s.spec.cron ? `cron ${s.spec.cron}` : `every ${s.spec.every}`,
+        enabled: s.spec.enabled !== false,
+        nextRunAt: s.nextRunAt ? new Date(s.nextRunAt).toISOString() : null,
+        lastRunAt: this._lastRunAt[s.id] || null,
+        error: s.error,
+      })),
+      runs: [...this._runs].reverse(),
+    };
+  }
+
+  // ── Timing ───────────────────────────────────────────────────────────────
+
+  // Next run as a timestamp. Intervals count from the last run (so they carry
+  // over a restart, and one missed while the server was down runs soon after
+  // it starts); cron has no catch-up.
+  _nextRun(entry, now) {
+    if (entry.cron) {
+      const next = nextCronTime(entry.cron, new Date(now));
+      return next ? next.getTime() : null;
+    }
+    const last = Date.parse(this._lastRunAt[entry.id] || '');
+    return Number.isNaN(last) ? now + entry.every : Math.max(now + 1000, last + entry.every);
+  }
+
+  _arm() {
+    clearTimeout(this._timer);
+    const times = Array.from(this._schedules.values()).map(s => s.nextRunAt).filter(Boolean);
+    if (!times.length) return;
+    const delay = Math.min(Math.max(0, Math.min(...times) - Date.now()), MAX_TIMER);
+    this._timer = setTimeout(() => this._tick(), delay);
+    this._timer.unref();
+  }
+
+  _tick() {
+    const now = Date.now();
+    for (const entry of this._schedules.values()) {
+      if (!entry.nextRunAt || entry.nextRunAt > now) continue;
+      this._lastRunAt[entry.id] = new Date(now).toISOString();
+      entry.nextRunAt = this._nextRun(entry, now);
+      this._runSchedule(entry).catch((err) => {
+        console.error(`[Scheduler] ${entry.id} failed:`, err.message);
+      });
+    }
+    this._arm();
+  }
+
+  // ── Runs ─────────────────────────────────────────────────────────────────
+
+  async _runSchedule(entry) {
+    const run = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      scheduleId: entry.id,
+      label: entry.label,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      sessionId: null,
+      status: 'running',
+      message: null,
+    };
+
+    // Still busy with the last one
+    const last = [...this._runs].reverse().find(r => r.scheduleId === entry.id);
+    const lastSession = last && last.status === 'running' ? this._sessions.getSession(last.sessionId) : null;
+    if (lastSession && lastSession.state !== 'dead') {
+      this._addRun({ ...run, status: 'skipped', endedAt: run.startedAt, message: 'The previous run is still going' });
+      return;
+    }
+
+    const { spec } = entry;
+    const request = entry.kind === 'template'
+      ? { template: entry.owner, label: spec.label, worktree: spec.worktree }
+      : {
+        projectName: entry.owner,
+        sessionType: spec.sessionType || 'new-claude',
+        dangerouslySkipPermissions: !!spec.dangerouslySkipPermissions,
+        worktree: !!spec.worktree,
+        label: spec.label || entry.label,
+      };
+    let session;
+    try {
+      session = await this._launch(SCHEDULER_USER, request);
+    } catch (err) {
+      this._addRun({ ...run, status: 'failed', endedAt: new Date().toISOString(), message: err.message });
+      return;
+    }
+    if (spec.prompt) {
+      this._sessions.enqueuePrompt(session.id, String(spec.prompt), SCHEDULER_USER.username);
+    }
+    run.sessionId = session.id;
+    console.log(`[Scheduler] ${entry.id} started session ${session.id}`);
+    if (this._audit) {
+      this._audit.record('schedule.run', {
+        user: SCHEDULER_USER.username, schedule: entry.id, sessionId: session.id, project: session.projectName,
+      });
+    }
+    this._addRun(run);
+    this._watch(run, entry.maxDuration, !!spec.killWhenReady);
+  }
+
+  // Stop the session after maxDuration, or once it's done if killWhenReady
+  _watch(run, maxDuration, killWhenReady, elapsed = 0) {
+    const watch = { run, timer: null, killWhenReady, worked: false };
+    if (maxDuration) {
+      const label = Math.round(maxDuration / 60000) >= 1 ? `${Math.round(maxDuration / 60000)} min` : `${maxDuration / 1000}s`;
+      watch.timer = setTimeout(() => this._stop(run, `Stopped after ${label} (maxDuration)`), Math.max(0, maxDuration - elapsed));
+    }
+    if (watch.timer || killWhenReady) this._watches.set(run.sessionId, watch);
+  }
+
+  _resumeWatch(run) {
+    const session = this._sessions.getSession(run.sessionId);
+    if (!session || session.state === 'dead') {
+      this._endRun(run, 'finished', 'Ended while the server was down');
+      return;
+    }
+    const entry = this._schedules.get(run.scheduleId);
+    if (!entry) return;
+    this._watch(run, entry.maxDuration, !!entry.spec.killWhenReady, Date.now() - Date.parse(run.startedAt));
+  }
+
+  _onState(session, state, previous) {
+    const watch = this._watches.get(session.id);
+    if (!watch || !watch.killWhenReady) return;
+    if (state === 'working') watch.worked = true;
+    if (state === 'ready' && previous === 'working' && watch.worked && !session.queue.length) {
+      this._stop(watch.run, 'Stopped when ready (killWhenReady)');
+    }
+  }
+
+  _onExit(session, exitCode) {
+    const run = this._runs.find(r => r.sessionId === session.id && r.status === 'running');
+    if (run) this._endRun(run, 'finished', exitCode === null ? 'Killed' : `Exited with code ${exitCode}`);
+  }
+
+  _stop(run, message) {
+    if (run.status !== 'running') return;
+    this._endRun(run, 'finished', message);
+    console.log(`[Scheduler] ${run.scheduleId}: ${message}`);
+    this._end(SCHEDULER_USER, run.sessionId).catch((err) => {
+      console.error(`[Scheduler] Could not stop session ${run.sessionId}:`, err.message);
+    });
+  }
+
+  _endRun(run, status, message) {
+    const watch = this._watches.get(run.sessionId);
+    if (watch) {
+      clearTimeout(watch.timer);
+      this._watches.delete(run.sessionId);
+    }
+    run.status = status;
+    run.message = message;
+    run.endedAt = new Date().toISOString();
+    this._saveState();
+    this._update();
+  }
+
+  _addRun(run) {
+    this._runs.push(run);
+    if (this._runs.length > MAX_HISTORY) this._runs.splice(0, this._runs.length - MAX_HISTORY);
+    this._saveState();
+    this._update();
+  }
+
+  // ── State file ───────────────────────────────────────────────────────────
+
+  _loadState() {
+    try {
+      return JSON.parse(fs.readFileSync(this._statePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('[Scheduler] Failed to read state:', err.message);
+      return {};
+    }
+  }
+
+  _saveState() {
+    const tmp = this._statePath + '.tmp';
+    try {
+      fs.writeFileSync(tmp, JSON.stringify({ lastRunAt: this._lastRunAt, runs: this._runs }, null, 2), 'utf8');
+      fs.renameSync(tmp, this._statePath);
+    } catch (err) {
+      console.error('[Scheduler] Failed to save state:', err.message);
+    }
+  }
+
+  _update() {
+    if (this._updateFn) this._updateFn(this.snapshot());
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,129 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+const MAX_LOG_BYTES = 2 * 1024 * 1024; // Rotate the live log after 2 MB
+const MAX_ROTATED_FILES = 2;           // Keep <id>.log.1 … <id>.log.N
+const SESSION_ID_RE = /^[0-9a-f-]{36}$/i;
+
+// Append-only, per-session scrollback logs on disk.
+// Each session gets <dir>/<id>.log; when it grows past MAX_LOG_BYTES it is
+// rotated to <id>.log.1 (older rotations shift up, the oldest is dropped).
+class ScrollbackStore {
+  constructor(dir, { maxBytes = MAX_LOG_BYTES, maxFiles = MAX_ROTATED_FILES } = {}) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this._handles = new Map(); // id -> { fd, size }
+
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+    } catch (err) {
+      console.error('[ScrollbackStore] Failed to create scrollback dir:', err.message);
+    }
+  }
+
+  append(sessionId, data) {
+    if (!SESSION_ID_RE.test(sessionId)) return;
+    let entry = this._handles.get(sessionId);
+    if (!entry) entry = this._open(sessionId);
+    if (!entry) return;
+
+    const bytes = Buffer.byteLength(data, 'utf8');
+    if (entry.size > 0 && entry.size + bytes > this.maxBytes) {
+      this._rotate(sessionId);
+      entry = this._open(sessionId);
+      if (!entry) return;
+    }
+    try {
+      fs.writeSync(entry.fd, data);
+      entry.size += bytes;
+    } catch (err) {
+      console.error(`[ScrollbackStore] Write error for ${sessionId}:`, err.message);
+      this.close(sessionId);
+    }
+  }
+
+  // Close the live log for a session (the files stay on disk)
+  close(sessionId) {
+    const entry = this._handles.get(sessionId);
+    if (!entry) return;
+    this._handles.delete(sessionId);
+    try { fs.closeSync(entry.fd); } catch { /* ignore */ }
+  }
+
+  // Scrollback for a session: rotated files (oldest first) + live log,
+  // trimmed to the most recent `limit` characters
+  read(sessionId, limit = this.maxBytes) {
+    if (!SESSION_ID_RE.test(sessionId)) return '';
+    const chunks = [];
+    for (let i = this.maxFiles; i >= 0; i--) {
+      const file = this._file(sessionId, i);
+      try {
+        chunks.push(fs.readFileSync(file, 'utf8'));
+      } catch { /* missing file */ }
+    }
+    const all = chunks.join('');
+    return all.length > limit ? all.slice(all.length - limit) : all;
+  }
+
+  has(sessionId) {
+    if (!SESSION_ID_RE.test(sessionId)) return false;
+    return fs.existsSync(this._file(sessionId, 0)) || fs.existsSync(this._file(sessionId, 1));
+  }
+
+  remove(sessionId) {
+    if (!SESSION_ID_RE.test(sessionId)) return;
+    this.close(sessionId);
+    for (let i = 0; i <= this.maxFiles; i++) {
+      try { fs.unlinkSync(this._file(sessionId, i)); } catch { /* ignore */ }
+    }
+  }
+
+  // Delete logs for every session not in keepIds (called once at boot)
+  prune(keepIds) {
+    const keep = new Set(keepIds);
+    let files;
+    try {
+      files = fs.readdirSync(this.dir);
+    } catch {
+      return;
+    }
+    for (const f of files) {
+      const id = f.split('.')[0];
+      if (!SESSION_ID_RE.test(id) || keep.has(id) || this._handles.has(id)) continue;
+      try { fs.unlinkSync(path.join(this.dir, f)); } catch { /* ignore */ }
+    }
+  }
+
+  _file(sessionId, index) {
+    const base = path.join(this.dir, `${sessionId}.log`);
+    return index === 0 ? base : `${base}.${index}`;
+  }
+
+  _open(sessionId) {
+    const file = this._file(sessionId, 0);
+    let size = 0;
+    try { size = fs.statSync(file).size; } catch { /* new file */ }
+    try {
+      // Synchronous appends keep the log readable immediately and let us
+      // close the handle before renaming (Windows refuses to rename open files)
+      const entry = { fd: fs.openSync(file, 'a'), size };
+      this._handles.set(sessionId, entry);
+      return entry;
+    } catch (err) {
+      console.error(`[ScrollbackStore] Failed to open log for ${sessionId}:`, err.message);
+      return null;
+    }
+  }
+
+  _rotate(sessionId) {
+    this.close(sessionId);
+    try { fs.unlinkSync(this._file(sessionId, this.maxFiles)); } catch { /* ignore */ }
+    for (let i = this.maxFiles - 1; i >= 0; i--) {
+      try { fs.renameSync(this._file(sessionId, i), this._file(sessionId, i + 1)); } catch { /* ignore */ }
+    }
+  }
+}
+
+module.exports = ScrollbackStore;
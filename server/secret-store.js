@@ -0,0 +1,117 @@
+'use strict';
+const fs = require('fs');
+const crypto = require('crypto');
+
+const NAME_RE = /^[A-Za-z0-9_.\-/]{1,128}$/;
+const MAX_VALUE_LENGTH = 64 * 1024;
+
+// Secrets that projects inject into session environments ({ "secret": "NAME" }
+// in a project's or launch profile's "env"). Kept out of config.json, in
+// secrets.json encrypted with AES-256-GCM. The key is derived from
+// CLIT_SECRETS_KEY if set, else it's a random key in secrets.key — both files
+// are written owner-only (0600). Values never leave the server: the API only
+// lists names.
+class SecretStore {
+  constructor(filePath, keyPath) {
+    this.filePath = filePath;
+    this.keyPath = keyPath;
+    this._salt = null;
+    this._key = null;
+    this._readOnly = false; // set if the file exists but can't be decrypted
+    this._secrets = this._load(); // name -> value
+  }
+
+  static isValidName(name) {
+    return typeof name === 'string' && NAME_RE.test(name);
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this._secrets, name);
+  }
+
+  get(name) {
+    return this.has(name) ? this._secrets[name] : undefined;
+  }
+
+  names() {
+    return Object.keys(this._secrets).sort();
+  }
+
+  set(name, value) {
+    if (!SecretStore.isValidName(name)) throw new Error('Invalid secret name');
+    if (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH) throw new Error('Invalid secret value');
+    this._secrets[name] = value;
+    this._save();
+  }
+
+  delete(name) {
+    if (!this.has(name)) return false;
+    delete this._secrets[name];
+    this._save();
+    return true;
+  }
+
+  // ── Encryption ──────────────────────────────────────────────────────────
+
+  _getKey() {
+    if (this._key) return this._key;
+    const passphrase = process.env.CLIT_SECRETS_KEY;
+    if (passphrase) {
+      if (!this._salt) this._salt = crypto.randomBytes(16);
+      this._key = crypto.scryptSync(passphrase, this._salt, 32);
+      return this._key;
+    }
+    try {
+      this._key = Buffer.from(fs.readFileSync(this.keyPath, 'utf8').trim(), 'base64');
+      if (this._key.length !== 32) throw new Error('secrets.key must hold a 32-byte base64 key');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this._key = crypto.randomBytes(32);
+      fs.writeFileSync(this.keyPath, this._key.toString('base64') + '\n', { encoding: 'utf8', mode: 0o600 });
+      console.log(`[SecretStore] Generated secrets key ${this.keyPath}`);
+    }
+    return this._key;
+  }
+
+  _load() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('[SecretStore] Failed to read secrets file:', err.message);
+      return Object.create(null);
+    }
+    try {
+      if (raw.salt) this._salt = Buffer.from(raw.salt, 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this._getKey(), Buffer.from(raw.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(raw.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(raw.data, 'base64')), decipher.final()]);
+      return Object.assign(Object.create(null), JSON.parse(plain.toString('utf8')));
+    } catch (err) {
+      // Wrong key (or a damaged file): start without secrets, and never
+      // overwrite the file with an empty set
+      console.error('[SecretStore] Could not decrypt secrets.json — check CLIT_SECRETS_KEY / secrets.key:', err.message);
+      this._readOnly = true;
+      return Object.create(null);
+    }
+  }
+
+  _save() {
+    if (this._readOnly) throw new Error('secrets.json could not be decrypted; not overwriting it');
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._getKey(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(this._secrets), 'utf8'), cipher.final()]);
+    const payload = {
+      version: 1,
+      salt: this._salt ? this._salt.toString('base64') : undefined,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+    const tmp = this.filePath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(payload, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+module.exports = SecretStore;
@@ -0,0 +1,247 @@
+'use strict';
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const {
+  socketPath, loadOrCreateSecret, handshakeProof, proofMatches, attachLineReader, writeMessage,
+} = require('./session-host');
+
+const CONNECT_RETRIES = 20;
+const CONNECT_RETRY_MS = 150;
+const REQUEST_TIMEOUT = 5000;
+
+// A PTY living in the session host, exposed with the subset of the node-pty
+// IPty interface that SessionManager uses (onData/onExit/write/resize/kill).
+class RemotePty {
+  constructor(client, id) {
+    this._client = client;
+    this.id = id;
+    this.pid = null;
+    this._dataHandlers = new Set();
+    this._exitHandlers = new Set();
+    this._exited = false;
+  }
+
+  onData(fn) {
+    this._dataHandlers.add(fn);
+    return { dispose: () => this._dataHandlers.delete(fn) };
+  }
+
+  onExit(fn) {
+    this._exitHandlers.add(fn);
+    return { dispose: () => this._exitHandlers.delete(fn) };
+  }
+
+  write(data) {
+    this._client._send({ op: 'write', id: this.id, data });
+  }
+
+  resize(cols, rows) {
+    this._client._send({ op: 'resize', id: this.id, cols, rows });
+  }
+
+  kill(signal) {
+    this._client._send({ op: 'kill', id: this.id, signal });
+  }
+
+  _emitData(data) {
+    for (const fn of this._dataHandlers) fn(data);
+  }
+
+  _emitExit(exitCode, signal) {
+    if (this._exited) return;
+    this._exited = true;
+    for (const fn of this._exitHandlers) fn({ exitCode, signal });
+  }
+}
+
+// Connection from the web server to the session host daemon
+class SessionHostClient extends EventEmitter {
+  constructor({ root, logPath } = {}) {
+    super();
+    this.root = root;
+    this.sockPath = socketPath(root);
+    this.logPath = logPath || null;
+    this._socket = null;
+    this._ptys = new Map();    // id -> RemotePty
+    this._requests = new Map(); // reqId -> { resolve, timer }
+    this._nextReqId = 1;
+  }
+
+  // Connect to a running host, starting a detached one if none answers
+  async connect() {
+    try {
+      await this._connectOnce();
+      return this;
+    } catch { /* not running yet */ }
+
+    this._startDaemon();
+    for (let i = 0; i < CONNECT_RETRIES; i++) {
+      await new Promise(r => setTimeout(r, CONNECT_RETRY_MS));
+      try {
+        await this._connectOnce();
+        return this;
+      } catch { /* keep waiting */ }
+    }
+    throw new Error(`Session host did not start (socket ${this.sockPath})`);
+  }
+
+  get connected() {
+    return !!this._socket && !this._socket.destroyed;
+  }
+
+  spawn(id, file, args, options, meta) {
+    if (!this.connected) throw new Error('Session host not connected');
+    const remote = new RemotePty(this, id);
+    this._ptys.set(id, remote);
+    this._send({ op: 'spawn', id, file, args, options, meta });
+    return remote;
+  }
+
+  // Reattach to a PTY that outlived the previous server process
+  async attach(id) {
+    const res = await this._request({ op: 'attach', id });
+    if (!res.ok) return null;
+    const remote = new RemotePty(this, id);
+    this._ptys.set(id, remote);
+    return { pty: remote, backlog: res.backlog || '' };
+  }
+
+  // Kill a PTY there is no RemotePty for (e.g. its session was killed while
+  // the connection was down)
+  kill(id) {
+    this._send({ op: 'kill', id });
+  }
+
+  async list() {
+    const res = await this._request({ op: 'list' });
+    return res.sessions || [];
+  }
+
+  // Connect and go through the handshake (see SessionHost): answer the
+  // host's challenge, and only trust a host that answers ours
+  _connectOnce() {
+    return new Promise((resolve, reject) => {
+      let secret;
+      try {
+        secret = loadOrCreateSecret(this.root);
+      } catch (err) {
+        return reject(err);
+      }
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const socket = net.connect(this.sockPath);
+      const fail = (err) => {
+        clearTimeout(timer);
+        socket.destroy();
+        reject(err);
+      };
+      const timer = setTimeout(() => fail(new Error('Session host handshake timed out')), REQUEST_TIMEOUT);
+      let stage = 'challenge';
+      attachLineReader(socket, (msg) => {
+        if (stage === 'challenge') {
+          if (msg.ev !== 'challenge' || typeof msg.nonce !== 'string') return fail(new Error('Unexpected handshake from session host'));
+          stage = 'welcome';
+          writeMessage(socket, { op: 'hello', proof: handshakeProof(secret, 'server', msg.nonce), nonce });
+        } else if (stage === 'welcome') {
+          if (msg.ev !== 'welcome' || !proofMatches(handshakeProof(secret, 'host', nonce), msg.proof)) {
+            return fail(new Error('Session host failed the handshake'));
+          }
+          stage = 'open';
+          clearTimeout(timer);
+          socket.removeAllListeners('error');
+          socket.removeAllListeners('close');
+          this._socket = socket;
+          socket.on('error', (err) => console.error('[SessionHostClient] Socket error:', err.message));
+          socket.on('close', () => this._onClose());
+          resolve();
+        } else {
+          this._onMessage(msg);
+        }
+      });
+      socket.once('error', fail);
+      socket.once('close', () => fail(new Error('Session host closed the connection')));
+    });
+  }
+
+  _startDaemon() {
+    const script = path.join(__dirname, 'session-host.js');
+    let out = 'ignore';
+    if (this.logPath) {
+      try { out = fs.openSync(this.logPath, 'a'); } catch { /* ignore */ }
+    }
+    const child = spawn(process.execPath, [script], {
+      cwd: this.root,
+      detached: true,
+      stdio: ['ignore', out, out],
+      windowsHide: true,
+    });
+    child.unref();
+    if (typeof out === 'number') fs.closeSync(out);
+    console.log(`[SessionHostClient] Started session host (pid ${child.pid})`);
+  }
+
+  _onMessage(msg) {
+    if (msg.reqId && this._requests.has(msg.reqId)) {
+      const { resolve, timer } = this._requests.get(msg.reqId);
+      clearTimeout(timer);
+      this._requests.delete(msg.reqId);
+      resolve(msg);
+      return;
+    }
+    const remote = this._ptys.get(msg.id);
+    if (!remote) return;
+    switch (msg.ev) {
+      case 'spawned':
+        remote.pid = msg.pid;
+        break;
+      case 'data':
+        remote._emitData(msg.data);
+        break;
+      case 'exit':
+        if (msg.error) console.error(`[SessionHostClient] Session ${msg.id}: ${msg.error}`);
+        this._ptys.delete(msg.id);
+        remote._emitExit(msg.exitCode, msg.signal);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // The connection dropped. The host and its PTYs may still be running, so
+  // nothing is reported as exited: the server reattaches what's still alive
+  // once it has reconnected (list/attach).
+  _onClose() {
+    this._socket = null;
+    for (const { resolve, timer } of this._requests.values()) {
+      clearTimeout(timer);
+      resolve({});
+    }
+    this._requests.clear();
+    this._ptys.clear();
+    console.error('[SessionHostClient] Lost connection to session host');
+    this.emit('disconnect');
+  }
+
+  _request(msg) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) return reject(new Error('Session host not connected'));
+      const reqId = this._nextReqId++;
+      const timer = setTimeout(() => {
+        this._requests.delete(reqId);
+        reject(new Error(`Session host request "${msg.op}" timed out`));
+      }, REQUEST_TIMEOUT);
+      this._requests.set(reqId, { resolve, timer });
+      this._send({ ...msg, reqId });
+    });
+  }
+
+  _send(msg) {
+    if (!this.connected) return;
+    writeMessage(this._socket, msg);
+  }
+}
+
+module.exports = SessionHostClient;
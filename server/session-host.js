@@ -0,0 +1,313 @@
+'use strict';
+// Session host — a long-lived daemon that owns the PTYs so they survive
+// restarts of the web server. The server talks to it over a local socket
+// (a named pipe on Windows, a Unix socket elsewhere) using newline-delimited
+// JSON, and reattaches to still-running sessions when it comes back up.
+//
+// Run directly:  node server/session-host.js
+// (server/index.js starts it automatically when "sessionHost" is enabled)
+
+const os = require('os');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+
+const RING_BUFFER_SIZE = 5000;
+const ROOT = path.join(__dirname, '..');
+
+// One host per checkout, so two cockpits on the same machine don't collide.
+// Its files live in a directory only the server's user can enter: the
+// shared secret both ends prove they know, and (outside Windows) the socket.
+function hostDir(root = ROOT) {
+  return path.join(path.resolve(root), 'session-host');
+}
+
+function secretPath(root = ROOT) {
+  return path.join(hostDir(root), 'secret');
+}
+
+// Unix socket paths are limited to ~100 bytes; a deep checkout gets a private
+// directory in the temp dir instead
+const MAX_SOCKET_PATH = 100;
+
+function socketPath(root = ROOT) {
+  const hash = crypto.createHash('sha1').update(path.resolve(root)).digest('hex').slice(0, 10);
+  if (os.platform() === 'win32') return `\\\\.\\pipe\\clit-session-host-${hash}`;
+  const local = path.join(hostDir(root), 'host.sock');
+  if (Buffer.byteLength(local) <= MAX_SOCKET_PATH) return local;
+  const uid = typeof process.getuid === 'function' ? process.getuid() : 'user';
+  return path.join(os.tmpdir(), `clit-session-host-${uid}-${hash}`, 'host.sock');
+}
+
+// Create `dir` (mode 0700) or check that an existing one is a real directory
+// of ours that nobody else can enter — a planted one in the temp dir isn't
+function ensurePrivateDir(dir) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  if (os.platform() === 'win32') return;
+  const stat = fs.lstatSync(dir);
+  if (!stat.isDirectory() || stat.isSymbolicLink() || stat.uid !== process.getuid()) {
+    throw new Error(`${dir} is not a directory owned by this user`);
+  }
+  if ((stat.mode & 0o077) !== 0) fs.chmodSync(dir, 0o700);
+}
+
+// The shared secret, created (mode 0600) by whichever side needs it first
+function loadOrCreateSecret(root = ROOT) {
+  ensurePrivateDir(hostDir(root));
+  const file = secretPath(root);
+  try {
+    const secret = fs.readFileSync(file, 'utf8').trim();
+    if (secret) return secret;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const secret = crypto.randomBytes(32).toString('hex');
+  try {
+    fs.writeFileSync(file, secret, { mode: 0o600, flag: 'wx' });
+    return secret;
+  } catch (err) {
+    if (err.code === 'EEXIST') return fs.readFileSync(file, 'utf8').trim(); // the other side won the race
+    throw err;
+  }
+}
+
+// Both ends prove they know the secret without sending it: each answers the
+// other's random nonce with an HMAC of it. `role` keeps the two answers apart.
+function handshakeProof(secret, role, nonce) {
+  return crypto.createHmac('sha256', secret).update(`${role}:${nonce}`).digest('hex');
+}
+
+function proofMatches(expected, given) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(typeof given === 'string' ? given : '');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Newline-delimited JSON framing on a socket
+function attachLineReader(socket, onMessage) {
+  let pending = '';
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    pending += chunk;
+    let idx;
+    while ((idx = pending.indexOf('\n')) !== -1) {
+      const line = pending.slice(0, idx);
+      pending = pending.slice(idx + 1);
+      if (!line) continue;
+      let msg;
+      try { msg = JSON.parse(line); } catch { continue; }
+      onMessage(msg);
+    }
+  });
+}
+
+function writeMessage(socket, msg) {
+  if (socket.destroyed) return;
+  try { socket.write(JSON.stringify(msg) + '\n'); } catch { /* ignore */ }
+}
+
+// ── Daemon ─────────────────────────────────────────────────────────────────
+// Every connection starts with a handshake: the host sends a challenge, the
+// server answers it and sends its own, and the host answers that. Until the
+// server's answer checks out nothing else is read and no session output is
+// sent; a wrong one closes the connection.
+class SessionHost {
+  constructor(sockPath = socketPath(), { secret = loadOrCreateSecret() } = {}) {
+    this.sockPath = sockPath;
+    this._secret = secret;
+    this.ptys = new Map();    // id -> { pty, meta, buffer, exited, exitCode }
+    this.clients = new Set(); // connected (authenticated) server sockets
+    this._server = null;
+  }
+
+  listen() {
+    if (os.platform() !== 'win32') ensurePrivateDir(path.dirname(this.sockPath));
+    return new Promise((resolve, reject) => {
+      this._server = net.createServer((socket) => this._onConnection(socket));
+      this._server.on('error', (err) => {
+        if (err.code !== 'EADDRINUSE' || os.platform() === 'win32') return reject(err);
+        // Stale Unix socket from a crashed host? Remove it if nobody answers.
+        const probe = net.connect(this.sockPath);
+        probe.on('connect', () => {
+          probe.destroy();
+          reject(new Error('Another session host is already running'));
+        });
+        probe.on('error', () => {
+          try { fs.unlinkSync(this.sockPath); } catch { /* ignore */ }
+          this._listen(resolve);
+        });
+      });
+      this._listen(resolve);
+    });
+  }
+
+  close() {
+    for (const socket of this.clients) socket.destroy();
+    if (this._server) this._server.close();
+  }
+
+  // The socket is created owner-only (umask) rather than chmod'ed afterwards.
+  // Node can't hand a Windows pipe its own security descriptor; without
+  // readableAll/writableAll it keeps the default one, under which other users
+  // can't write to it (so can't get past the handshake), and a squatter on the
+  // name makes listen fail (libuv creates the first pipe instance exclusively).
+  _listen(callback) {
+    const umask = process.umask(0o077);
+    try {
+      this._server.listen({ path: this.sockPath, readableAll: false, writableAll: false }, callback);
+    } finally {
+      process.umask(umask);
+    }
+  }
+
+  _onConnection(socket) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    let authenticated = false;
+    writeMessage(socket, { ev: 'challenge', nonce });
+    attachLineReader(socket, (msg) => {
+      if (!authenticated) {
+        if (msg.op !== 'hello' || !proofMatches(handshakeProof(this._secret, 'server', nonce), msg.proof)
+          || typeof msg.nonce !== 'string' || !msg.nonce) {
+          console.warn('[SessionHost] Rejected a connection that failed the handshake');
+          socket.destroy();
+          return;
+        }
+        authenticated = true;
+        this.clients.add(socket);
+        writeMessage(socket, { ev: 'welcome', proof: handshakeProof(this._secret, 'host', msg.nonce) });
+        return;
+      }
+      try {
+        this._handle(socket, msg);
+      } catch (err) {
+        console.error('[SessionHost] Message handler error:', err.stack || err.message);
+        writeMessage(socket, { ev: 'error', id: msg.id, reqId: msg.reqId, message: err.message });
+      }
+    });
+    socket.on('close', () => this.clients.delete(socket));
+    socket.on('error', () => this.clients.delete(socket));
+  }
+
+  _handle(socket, msg) {
+    switch (msg.op) {
+      case 'spawn':
+        this._spawn(socket, msg);
+        break;
+      case 'write': {
+        const entry = this.ptys.get(msg.id);
+        if (entry && !entry.exited) entry.pty.write(msg.data);
+        break;
+      }
+      case 'resize': {
+        const entry = this.ptys.get(msg.id);
+        if (entry && !entry.exited) entry.pty.resize(msg.cols, msg.rows);
+        break;
+      }
+      case 'kill': {
+        const entry = this.ptys.get(msg.id);
+        if (entry && !entry.exited) {
+          // node-pty takes no signal on Windows
+          const signal = os.platform() === 'win32' ? undefined : msg.signal;
+          try { entry.pty.kill(signal); } catch { /* ignore */ }
+        }
+        break;
+      }
+      case 'list': {
+        const sessions = Array.from(this.ptys.entries()).map(([id, e]) => ({
+          id,
+          pid: e.pty ? e.pty.pid : null,
+          meta: e.meta,
+          exited: e.exited,
+          exitCode: e.exitCode,
+        }));
+        writeMessage(socket, { ev: 'list', reqId: msg.reqId, sessions });
+        // Exits that happened while no server was attached have now been reported
+        for (const [id, e] of this.ptys) if (e.exited) this.ptys.delete(id);
+        break;
+      }
+      case 'attach': {
+        const entry = this.ptys.get(msg.id);
+        writeMessage(socket, {
+          ev: 'attached',
+          reqId: msg.reqId,
+          id: msg.id,
+          ok: !!entry && !entry.exited,
+          backlog: entry ? entry.buffer.join('') : '',
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  _spawn(socket, msg) {
+    const { id, file, args, options, meta } = msg;
+    const existing = this.ptys.get(id);
+    if (existing && !existing.exited) {
+      writeMessage(socket, { ev: 'exit', id, exitCode: -1, error: `Session ${id} already exists` });
+      return;
+    }
+
+    let ptyProcess;
+    try {
+      ptyProcess = require('node-pty').spawn(file, args, options);
+    } catch (err) {
+      console.error(`[SessionHost] Failed to spawn ${file}:`, err.message);
+      writeMessage(socket, { ev: 'exit', id, exitCode: -1, error: err.message });
+      return;
+    }
+
+    const entry = { pty: ptyProcess, meta: meta || {}, buffer: [], exited: false, exitCode: null };
+    this.ptys.set(id, entry);
+    writeMessage(socket, { ev: 'spawned', id, pid: ptyProcess.pid });
+
+    ptyProcess.onData((data) => {
+      entry.buffer.push(data);
+      if (entry.buffer.length > RING_BUFFER_SIZE) {
+        entry.buffer.splice(0, entry.buffer.length - RING_BUFFER_SIZE);
+      }
+      this._broadcast({ ev: 'data', id, data });
+    });
+
+    ptyProcess.onExit(({ exitCode, signal }) => {
+      entry.exited = true;
+      entry.exitCode = exitCode;
+      entry.pty = null;
+      this._broadcast({ ev: 'exit', id, exitCode, signal });
+      // Keep the record around only if no server is attached to hear about it
+      if (this.clients.size > 0 && this.ptys.get(id) === entry) this.ptys.delete(id);
+      console.log(`[SessionHost] Session ${id} exited with code ${exitCode}`);
+    });
+
+    console.log(`[SessionHost] Spawned session ${id}: ${file} ${args.join(' ')}`);
+  }
+
+  _broadcast(msg) {
+    for (const socket of this.clients) writeMessage(socket, msg);
+  }
+}
+
+module.exports = {
+  SessionHost,
+  socketPath,
+  loadOrCreateSecret,
+  handshakeProof,
+  proofMatches,
+  attachLineReader,
+  writeMessage,
+};
+
+if (require.main === module) {
+  process.on('uncaughtException', (err) => {
+    console.error('[SessionHost] Uncaught exception:', err.stack || err.message);
+  });
+  const host = new SessionHost();
+  host.listen().then(() => {
+    console.log(`[SessionHost] Listening on ${host.sockPath} (pid ${process.pid})`);
+  }).catch((err) => {
+    console.error('[SessionHost] Failed to start:', err.message);
+    process.exit(1);
+  });
+}
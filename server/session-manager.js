@@ -3,50 +3,37 @@ const os = require('os');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const pty = require('node-pty');
+const { createDetector, detectorForSessionType, stateFromHookEvent } = require('./state-detectors');
+const { parsePrompt } = require('./prompt-parser');
+const { findProfile, buildLaunch, detectorForProfile } = require('./launch-profiles');
 
 const RING_BUFFER_SIZE = 5000;
+const SUBMIT_DELAY = 150; // ms between typing a queued prompt and pressing Enter
+const MAX_QUEUE_LENGTH = 50;
+const PTY_EXIT_TIMEOUT = 3000; // ms to wait for a restarted session's old process to exit
 const SESSIONS_SAVE_DEBOUNCE = 1000;
-const STATE_SILENCE_THRESHOLD = 2000; // 2s silence = ready
 
-// ANSI escape sequence stripper
-function stripAnsi(str) {
-  return str.replace(/\x1B(?:[@-Z\\-_]|\[[0-?]*[ -/]*[@-~])/g, '');
-}
-
-// State detection patterns
-const READY_PATTERNS = [
-  /❯\s{2,}/,                         // Claude Code prompt "❯" followed by whitespace (idle)
-  /^\s*>\s*$/m,                      // Claude Code prompt ">" alone on a line
-  /\$\s*$/m,                         // Shell prompt "$"
-  /What would you like to do\?/,
-  /How can I help/,
-  /waiting for your/i,
-];
-const WAITING_PATTERNS = [
-  /Do you want to proceed/i,
-  /\(y\/n\)/i,
-  /\[Y\/n\]/i,
-  /\[y\/N\]/i,
-  /Press Enter to continue/i,
-  /Are you sure/i,
-  /Allow once/i,
-  /Allow always/i,
-];
-// Noise patterns — spinner animations that should NOT reset state to working
-const NOISE_PATTERNS = [
-  /^[✢✶✻✽·*]?\s?\w+…/,              // Any spinner word ending in … (✶ Hyperspacing…, Channeling…, etc.)
-  /^[✢✶✻✽·*]\s*$/,                   // Single spinner character (with optional trailing space)
-  /^0;[⠐⠂✳⠈⠠⠄⠁]\s/,                // Terminal title updates (spinner in title)
-  /running stop hook/i,              // Hook execution notice
-  /^\d+ MCP server/,                 // MCP server status
-  /You've used \d+% of/,            // Usage limit notice
-];
-
-class SessionManager {
-  constructor(sessionsJsonPath) {
+// Events (for server-side automation such as pipelines):
+//   'state'  (session, newState, previousState)  on every state change
+//   'exit'   (session, exitCode)                 the process ended (null if killed or unknown)
+//   'kill'   (session, username)                 killSession was called (even if already dead)
+//   'restart' (session, username)                restartSession started it again in place
+//   'output' (session, data)                     raw PTY output
+class SessionManager extends EventEmitter {
+  constructor(sessionsJsonPath, {
+    scrollbackStore = null, ptyHost = null, hookUrl = null, auditLog = null, configGetter = null, secretStore = null,
+  } = {}) {
+    super();
     this.sessionsJsonPath = sessionsJsonPath;
     this.sessions = new Map(); // id -> session
+    this._scrollback = scrollbackStore; // Optional on-disk scrollback log
+    this._ptyHost = ptyHost; // Optional SessionHostClient; PTYs are spawned in-process otherwise
+    this._hookUrl = hookUrl; // Where server/claude-hook.js posts Claude Code hook events
+    this._audit = auditLog; // Optional AuditLog for lifecycle events and typed input
+    this._configGetter = configGetter; // Server-wide settings ("shell", "loginShell")
+    this._secrets = secretStore; // Optional SecretStore for { "secret": "NAME" } env values
     this._saveTimer = null;
     this._broadcastFn = null; // Set by server: fn(sessionId, msg) or fn(msg)
   }
@@ -55,36 +42,74 @@ class SessionManager {
     this._broadcastFn = fn;
   }
 
-  createSession(projectConfig, sessionType, dangerouslySkipPermissions = false) {
+  setPtyHost(host) {
+    this._ptyHost = host;
+  }
+
+  // sessionType: a launch profile name — a built-in type or one of the
+  // project's "profiles". options.createdBy: username the session is
+  // attributed to; options.label: initial label (default: the project name);
+  // options.worktree: a git worktree (see worktrees.js) to run in instead of
+  // the project path; options.queue: prompts to start the queue with (a
+  // template's prompt and follow-ups, see enqueuePrompt); options.template:
+  // that template's name, for the audit log. Throws (with status 429) when
+  // "maxLiveSessions" sessions are already running.
+  createSession(projectConfig, sessionType, dangerouslySkipPermissions = false, {
+    createdBy = null, label = null, worktree = null, queue = [], template = null,
+  } = {}) {
     const id = crypto.randomUUID();
+    const { maxLiveSessions } = this._configGetter ? this._configGetter() : {};
 
-    // Determine launch command
-    let cmd, args;
-    const shell = os.platform() === 'win32' ? 'powershell.exe' : 'bash';
-
-    if (sessionType === 'plain-shell') {
-      cmd = shell;
-      args = [];
-    } else if (sessionType === 'new-claude') {
-      cmd = shell;
-      args = dangerouslySkipPermissions
-        ? ['-Command', 'claude --dangerously-skip-permissions']
-        : ['-Command', 'claude'];
-    } else if (sessionType === 'resume-claude') {
-      cmd = shell;
-      args = dangerouslySkipPermissions
-        ? ['-Command', 'claude --resume --dangerously-skip-permissions']
-        : ['-Command', 'claude --resume'];
-    } else {
-      throw new Error(`Unknown session type: ${sessionType}`);
+    const live = this.getAllSessions().filter(s => s.state !== 'dead').length;
+    if (maxLiveSessions > 0 && live >= maxLiveSessions) {
+      const err = new Error(`${live} sessions are already running (the limit is ${maxLiveSessions}) — end one first`);
+      err.status = 429;
+      throw err;
     }
 
-    const launchCommand = sessionType === 'plain-shell'
-      ? shell
-      : (args[1] || 'claude');
+    const profile = findProfile(projectConfig, sessionType);
+    if (!profile) throw new Error(`Unknown session type: ${sessionType}`);
+
+    const session = this._newSession({
+      id,
+      projectName: projectConfig.name,
+      projectPath: projectConfig.path,
+      projectIcon: projectConfig.icon || '📁',
+      projectColor: projectConfig.color || '#3498DB',
+      label: label || projectConfig.name,
+      sessionType,
+      state: 'ready',
+      createdAt: new Date().toISOString(),
+      createdBy,
+      stateDetector: detectorForProfile(projectConfig, profile),
+      hookToken: crypto.randomBytes(16).toString('hex'),
+      worktree,
+      queue: queue.filter(t => typeof t === 'string' && t.trim()).map(text => this._queueItem(text, createdBy)),
+    });
+    const { cwd } = this._spawn(session, projectConfig, profile, dangerouslySkipPermissions);
+    this.sessions.set(id, session);
+
+    this._scheduleSave();
+    console.log(`[SessionManager] Created session ${id}: ${session.launchCommand} in ${cwd}${createdBy ? ` (by ${createdBy})` : ''}`);
+    this._auditRecord('session.create', session, createdBy, {
+      sessionType, command: session.launchCommand, cwd, branch: worktree ? worktree.branch : undefined,
+      template: template || undefined,
+    });
+    return session;
+  }
+
+  // Start the session's process (in its worktree if it has one) and wire it
+  // up; sets launchCommand and dangerouslySkipPermissions. Returns { cwd }.
+  _spawn(session, projectConfig, profile, dangerouslySkipPermissions) {
+    const { shell, loginShell } = this._configGetter ? this._configGetter() : {};
+    const launchProject = session.worktree ? { ...projectConfig, path: session.worktree.cwd } : projectConfig;
+    const launch = buildLaunch(launchProject, profile, dangerouslySkipPermissions, {
+      shell, loginShell, secrets: this._secrets,
+    });
+    const { cmd, args, launchCommand } = launch;
 
     // Validate cwd — fall back to home dir if path doesn't exist
-    const requestedPath = projectConfig.path;
+    const requestedPath = launch.cwd;
     let cwd = process.cwd();
     if (requestedPath) {
       if (fs.existsSync(requestedPath)) {
@@ -94,69 +119,281 @@ class SessionManager {
         cwd = os.homedir();
       }
     }
+    session.launchCommand = launchCommand;
+    session.dangerouslySkipPermissions = launch.dangerous;
 
     // Spawn PTY
-    let ptyProcess;
+    const ptyOptions = {
+      name: 'xterm-256color',
+      cols: 120,
+      rows: 40,
+      cwd,
+      env: (() => {
+        const env = { ...process.env, TERM: 'xterm-256color' };
+        // Remove CLAUDECODE env var to prevent "nested session" detection
+        delete env.CLAUDECODE;
+        delete env.CLAUDE_CODE;
+        // Lets Claude Code hooks report lifecycle events for this session
+        env.CLIT_SESSION_ID = session.id;
+        env.CLIT_HOOK_TOKEN = session.hookToken;
+        if (this._hookUrl) env.CLIT_HOOK_URL = this._hookUrl;
+        // The project's and profile's own variables (null unsets one)
+        for (const [key, value] of Object.entries(launch.env)) {
+          if (value === null) delete env[key];
+          else env[key] = value;
+        }
+        return env;
+      })(),
+    };
     try {
-      ptyProcess = pty.spawn(cmd, args, {
-        name: 'xterm-256color',
-        cols: 120,
-        rows: 40,
-        cwd,
-        env: (() => {
-          const env = { ...process.env, TERM: 'xterm-256color' };
-          // Remove CLAUDECODE env var to prevent "nested session" detection
-          delete env.CLAUDECODE;
-          delete env.CLAUDE_CODE;
-          return env;
-        })(),
-      });
+      session.pty = this._ptyHost
+        ? this._ptyHost.spawn(session.id, cmd, args, ptyOptions, this._serialize(session))
+        : pty.spawn(cmd, args, ptyOptions);
     } catch (err) {
       console.error('[SessionManager] Failed to spawn PTY:', err.message);
       throw err;
     }
+    this._wirePty(session);
+    return { cwd };
+  }
+
+  // Start a dead session's process again under the same id, label, queue and
+  // subscribers — for automatic restarts (see restart-policy.js); `note` goes
+  // in the separator line. Throws if the session is not dead or its project
+  // or session type is gone.
+  respawnSession(sessionId, note = 'restarted') {
+    const session = this.sessions.get(sessionId);
+    if (!session) throw new Error('Session not found');
+    if (session.state !== 'dead') throw new Error('Session is still running');
+    const { projectConfig, profile } = this._launchTarget(session, session.sessionType);
+    this._relaunch(session, projectConfig, profile, note);
+    return session;
+  }
+
+  // Restart a session in place, running or not: its process is stopped and
+  // started again — as `sessionType` if given, e.g. resume-claude to resume —
+  // keeping the id, label, queue, subscribers and scrollback, with a separator
+  // line in the output. Only one restart of a session runs at a time.
+  // Resolves to the session.
+  async restartSession(sessionId, { sessionType = null, username = null } = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) throw new Error('Session not found');
+    if (session._restarting) throw new Error('Session is already restarting');
+    if (session.state === 'detached') throw new Error('Session is detached from the session host');
+    const type = sessionType || session.sessionType;
+    const { projectConfig, profile } = this._launchTarget(session, type); // throws before anything is stopped
+
+    const restart = { cancelled: false }; // killSession cancels it
+    const wasDead = session.state === 'dead';
+    session._restarting = restart;
+    try {
+      if (session.pty) await this._stopPty(session);
+      // Killed or removed while the old process was stopping
+      if (restart.cancelled || this.sessions.get(sessionId) !== session || (!wasDead && session.state === 'dead')) {
+        throw new Error('Session was killed while restarting');
+      }
+      session.sessionType = type;
+      session.stateDetector = detectorForProfile(projectConfig, profile);
+      const note = sessionType === 'resume-claude' ? 'resumed' : 'restarted';
+      this._relaunch(session, projectConfig, profile, username ? `${note} by ${username}` : note);
+    } finally {
+      session._restarting = null;
+    }
+    session.restartCount = (session.restartCount || 0) + 1;
+    this._auditRecord('session.restart', session, username, { sessionType: type });
+    this.emit('restart', session, username);
+    return session;
+  }
+
+  _launchTarget(session, sessionType) {
+    const projectConfig = ((this._configGetter ? this._configGetter() : {}).projects || [])
+      .find(p => p.name === session.projectName);
+    if (!projectConfig) throw new Error(`Project "${session.projectName}" not found`);
+    const profile = findProfile(projectConfig, sessionType);
+    if (!profile) throw new Error(`Unknown session type: ${sessionType}`);
+    return { projectConfig, profile };
+  }
+
+  // Kill the session's process and wait for the exit to be confirmed: the
+  // session host refuses a spawn under an id whose PTY is still alive. One
+  // still running after PTY_EXIT_TIMEOUT gets SIGKILL; if even that doesn't
+  // end it, this throws and the session keeps the process rather than have a
+  // second one started beside it. Its exit isn't reported as one.
+  async _stopPty(session) {
+    const handle = session.pty;
+    session._replacing = handle;
+    session._detector.dispose();
+    if (this._audit) this._audit.flushInput(session.id, { project: session.projectName });
+    let exited = false;
+    const exit = new Promise((resolve) => {
+      handle.onExit(() => {
+        exited = true;
+        resolve();
+      });
+    });
+    const waitForExit = () => new Promise((resolve) => {
+      const timer = setTimeout(resolve, PTY_EXIT_TIMEOUT);
+      exit.then(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+    try {
+      handle.kill();
+    } catch (e) {
+      exited = true; // already gone
+    }
+    if (!exited) await waitForExit();
+    if (!exited) {
+      console.warn(`[SessionManager] Session ${session.id} did not exit in ${PTY_EXIT_TIMEOUT}ms, sending SIGKILL`);
+      try { handle.kill('SIGKILL'); } catch (e) { /* not supported (Windows) */ }
+      await waitForExit();
+    }
+    session._replacing = null;
+    if (!exited) {
+      if (session.pty === handle) session._detector = this._createDetector(session);
+      throw new Error('The session\'s process did not exit');
+    }
+    if (session.pty === handle) session.pty = null;
+  }
+
+  _relaunch(session, projectConfig, profile, note) {
+    const previousState = session.state;
+    const separator = `\r\n\x1b[2m──── ${note} · ${new Date().toLocaleString()} ────\x1b[0m\r\n`;
+    session.outputBuffer.push(separator);
+    if (this._scrollback) this._scrollback.append(session.id, separator);
+    this._broadcastToSession(session.id, { type: 'terminal_output', sessionId: session.id, data: separator });
+    Object.assign(session, { pendingPrompt: null, hookDriven: false, _idle: false, _awaitingWork: false });
+    session._detector.dispose();
+    session._detector = this._createDetector(session);
+    // Spawn first: if it fails the session is left dead, not 'ready' with no process
+    const settle = (state) => {
+      session.state = state;
+      if (previousState !== state) {
+        this._broadcast({ type: 'session_state_changed', sessionId: session.id, state, previousState, prompt: null });
+        this.emit('state', session, state, previousState);
+      }
+      this._scheduleSave();
+    };
+    try {
+      this._spawn(session, projectConfig, profile, session.dangerouslySkipPermissions);
+    } catch (err) {
+      session.pty = null;
+      settle('dead');
+      throw err;
+    }
+    settle('ready');
+    console.log(`[SessionManager] Session ${session.id} (${session.label}) ${note}: ${session.launchCommand}`);
+  }
 
+  // Adopt a PTY that is still running in the session host after a server
+  // restart, or after the connection to the host dropped. `saved` is the
+  // session's serialized form; `backlog` is the output the host buffered for
+  // it. A detached session is picked up in place, with whatever it printed
+  // while the connection was down.
+  reattachSession(saved, ptyHandle, backlog = '') {
+    const existing = this.sessions.get(saved.id);
+    if (existing && existing.state === 'detached') {
+      existing.pty = ptyHandle;
+      this._wirePty(existing);
+      this._setState(existing, existing._attachedState || 'ready');
+      const missed = missedOutput(existing.outputBuffer, backlog);
+      if (missed) this._handlePtyData(existing.id, missed);
+      console.log(`[SessionManager] Reattached detached session ${existing.id} (${existing.label})`);
+      return existing;
+    }
+    const state = saved.state === 'dead' || saved.state === 'detached' ? 'ready' : saved.state;
+    const session = this._newSession({ ...saved, state });
+    session.pty = ptyHandle;
+    if (backlog) session.outputBuffer.push(backlog);
+    this.sessions.set(session.id, session);
+    this._wirePty(session);
+    this._scheduleSave();
+    console.log(`[SessionManager] Reattached session ${session.id} (${session.label})`);
+    return session;
+  }
+
+  // The connection to the session host dropped. Its PTYs may well still be
+  // running, so their sessions wait as 'detached' — no input, output or
+  // exit — until reattachSession picks them up or endDetachedSession gives up.
+  detachSessions() {
+    for (const session of this.sessions.values()) {
+      if (!session.pty || session.state === 'dead' || session.state === 'detached') continue;
+      session._attachedState = session.state;
+      session.pty = null;
+      this._setState(session, 'detached');
+      console.log(`[SessionManager] Session ${session.id} (${session.label}) detached from the session host`);
+    }
+  }
+
+  // A detached session whose process is gone: it exited while the connection
+  // was down (exitCode from the host), or went with the host itself
+  endDetachedSession(sessionId, exitCode = null) {
+    const session = this.sessions.get(sessionId);
+    if (session && session.state === 'detached') this._onPtyExit(session, exitCode);
+  }
+
+  _newSession(fields) {
     const session = {
-      id,
-      projectName: projectConfig.name,
-      projectPath: projectConfig.path,
-      projectIcon: projectConfig.icon || '📁',
-      projectColor: projectConfig.color || '#3498DB',
-      label: projectConfig.name,
-      launchCommand,
-      sessionType,
-      dangerouslySkipPermissions,
-      state: 'ready',
-      pty: ptyProcess,
+      ...fields,
+      pty: null,
       outputBuffer: [],
-      createdAt: new Date().toISOString(),
       subscribers: new Set(),
-      _stateTimer: null,
-      _pendingState: null,
+      pendingPrompt: null, // Parsed options while waiting_input
+      lastInputBy: null, // Username that last typed into the session
+      hookDriven: false, // true once a Claude Code hook has reported
+      queue: fields.queue || [], // Prompts to send, one each time the session is ready
+      _idle: false, // The detector has reported ready (not just the initial state)
+      _awaitingWork: false, // A queued prompt was sent; wait for working before the next
+      _detector: null,
     };
+    session._detector = this._createDetector(session);
+    return session;
+  }
 
-    this.sessions.set(id, session);
+  _createDetector(session) {
+    return createDetector(session.stateDetector || detectorForSessionType(session.sessionType), {
+      label: session.id.substring(0, 6),
+      onState: (state) => {
+        if (session.state !== 'dead' && session.state !== 'detached') this._setState(session, state);
+      },
+    });
+  }
+
+  _wirePty(session) {
+    const id = session.id;
+    const handle = session.pty;
 
     // PTY data handler
-    ptyProcess.onData((data) => {
-      this._handlePtyData(id, data);
+    session.pty.onData((data) => {
+      if (session.pty === handle) this._handlePtyData(id, data);
     });
 
-    // PTY exit handler
-    ptyProcess.onExit(({ exitCode }) => {
+    // PTY exit handler — ignored once a restart has replaced this PTY
+    session.pty.onExit(({ exitCode }) => {
       const s = this.sessions.get(id);
-      if (!s) return;
-      clearTimeout(s._stateTimer);
-      s.state = 'dead';
-      s.pty = null;
-      this._broadcast({ type: 'session_state_changed', sessionId: id, state: 'dead' });
-      this._scheduleSave();
-      console.log(`[SessionManager] Session ${id} (${s.label}) exited with code ${exitCode}`);
+      if (!s || (s.pty && s.pty !== handle) || s._replacing === handle) return;
+      this._onPtyExit(s, exitCode);
     });
+  }
 
+  _onPtyExit(s, exitCode) {
+    const id = s.id;
+    s._detector.dispose();
+    const previousState = s.state;
+    s.state = 'dead';
+    s.exitCode = exitCode;
+    s.pty = null;
+    if (this._scrollback) this._scrollback.close(id);
+    this._broadcast({ type: 'session_state_changed', sessionId: id, state: 'dead', exitCode });
     this._scheduleSave();
-    console.log(`[SessionManager] Created session ${id}: ${launchCommand} in ${projectConfig.path}`);
-    return session;
+    if (previousState !== 'dead') { // not already reported by killSession
+      this.emit('state', s, 'dead', previousState);
+      this.emit('exit', s, exitCode);
+    }
+    console.log(`[SessionManager] Session ${id} (${s.label}) exited with code ${exitCode}`);
+    if (this._audit) this._audit.flushInput(id, { project: s.projectName });
+    this._auditRecord('session.exit', s, null, { exitCode });
   }
 
   _handlePtyData(sessionId, data) {
@@ -168,6 +405,8 @@ class SessionManager {
     if (session.outputBuffer.length > RING_BUFFER_SIZE) {
       session.outputBuffer.splice(0, session.outputBuffer.length - RING_BUFFER_SIZE);
     }
+    if (this._scrollback) this._scrollback.append(sessionId, data);
+    this.emit('output', session, data);
 
     // Broadcast to subscribers
     this._broadcastToSession(sessionId, {
@@ -176,110 +415,272 @@ class SessionManager {
       data,
     });
 
-    // State detection
-    this._detectState(session, data);
+    // State detection — heuristics only until a Claude Code hook has reported
+    if (!session.hookDriven) session._detector.feed(data, session.state);
+
+    // The prompt may finish rendering after the state flipped to waiting_input
+    if (session.state === 'waiting_input' && !session.pendingPrompt) {
+      session.pendingPrompt = this._parsePendingPrompt(session);
+      if (session.pendingPrompt) {
+        this._broadcast({ type: 'session_prompt', sessionId, prompt: this._promptForClient(session.pendingPrompt) });
+      }
+    }
   }
 
-  _detectState(session, data) {
-    if (session.state === 'dead') return;
+  _parsePendingPrompt(session) {
+    const prompt = parsePrompt(session.outputBuffer.slice(-200).join(''));
+    if (!prompt) return null;
+    // One-time token so a push notification action can answer this prompt
+    return { ...prompt, token: crypto.randomBytes(16).toString('hex') };
+  }
 
-    const stripped = stripAnsi(data);
-    const trimmed = stripped.trim();
+  // Prompt as sent to clients: no keystrokes, no token
+  _promptForClient(prompt) {
+    if (!prompt) return null;
+    return {
+      question: prompt.question,
+      options: prompt.options.map(({ id, label, kind }) => ({ id, label, kind })),
+    };
+  }
 
-    // STATE DEBUG — set STATE_DEBUG=1 env var to enable, then check debug.log
-    // To enable:  STATE_DEBUG=1 node server/index.js > debug.log 2>&1
-    // To test:    send "say hello" to a terminal, wait for response, then send "how are you"
-    // Look for:   READY match → Timer fired → working transition → READY match → Timer fired
-    const DBG = process.env.STATE_DEBUG === '1';
-    const preview = DBG ? trimmed.substring(0, 120).replace(/\n/g, '\\n').replace(/\r/g, '\\r') : '';
-    if (DBG && trimmed.length > 0) {
-      console.log(`[STATE-DBG] session=${session.id.substring(0,6)} state=${session.state} len=${trimmed.length} data="${preview}"`);
-    }
+  // Answer the pending prompt by writing the chosen option's keystroke
+  respondToPrompt(sessionId, optionId, username = null) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.state !== 'waiting_input' || !session.pendingPrompt) return false;
+    const option = session.pendingPrompt.options.find(o => o.id === String(optionId));
+    if (!option) return false;
+    const { question } = session.pendingPrompt;
+    session.pendingPrompt = null;
+    if (username) session.lastInputBy = username;
+    // Written directly so the option's keystroke isn't also logged as typed input
+    this._writePty(session, option.keys);
+    this._auditRecord('session.prompt_respond', session, username, { question, option: option.label });
+    return true;
+  }
 
-    // Skip noise (spinner animations, title updates) — don't let them affect state
-    const isNoise = NOISE_PATTERNS.some(p => p.test(trimmed));
-    if (isNoise) {
-      return;
-    }
+  // Push-notification action token for the session's pending prompt, made
+  // for one device (null in open mode) so it is only good for that device
+  promptTokenFor(sessionId, deviceId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.pendingPrompt) return null;
+    return `${deviceId || ''}.${promptTokenMac(session.pendingPrompt.token, deviceId)}`;
+  }
 
-    // Check for waiting_input patterns first
-    const isWaiting = WAITING_PATTERNS.some(p => p.test(stripped));
-    // Check for ready patterns
-    const isReady = READY_PATTERNS.some(p => p.test(stripped));
-
-    if (isWaiting) {
-      if (DBG) console.log(`[STATE-DBG] → WAITING match: ${WAITING_PATTERNS.find(p => p.test(stripped))}`);
-      clearTimeout(session._stateTimer);
-      session._stateTimer = setTimeout(() => {
-        if (DBG) console.log(`[STATE-DBG] → Timer fired: waiting_input for ${session.id.substring(0,6)}`);
-        this._setState(session, 'waiting_input');
-      }, STATE_SILENCE_THRESHOLD);
-      session._pendingState = 'waiting_input';
-    } else if (isReady) {
-      if (DBG) console.log(`[STATE-DBG] → READY match: ${READY_PATTERNS.find(p => p.test(stripped))}`);
-      clearTimeout(session._stateTimer);
-      session._pendingState = 'ready';
-      session._stateTimer = setTimeout(() => {
-        if (DBG) console.log(`[STATE-DBG] → Timer fired: ready for ${session.id.substring(0,6)}`);
-        this._setState(session, 'ready');
-      }, STATE_SILENCE_THRESHOLD);
-    } else {
-      if (trimmed.length > 0) {
-        // If already ready/waiting, any real output means working again
-        if (session.state === 'ready' || session.state === 'waiting_input') {
-          if (DBG) console.log(`[STATE-DBG] → Was ${session.state}, real output → working. data="${preview}"`);
-          clearTimeout(session._stateTimer);
-          session._stateTimer = null;
-          this._setState(session, 'working');
-        } else if (session._stateTimer && trimmed.length < 15) {
-          // While working with a pending ready timer, ignore short fragments (spinner debris)
-          if (DBG) console.log(`[STATE-DBG] → IGNORED short fragment (timer preserved): "${preview}"`);
-        } else {
-          // Substantial output while working — cancel any pending ready timer
-          if (DBG && session._stateTimer) console.log(`[STATE-DBG] → CANCELLED timer, back to working. data="${preview}"`);
-          clearTimeout(session._stateTimer);
-          session._stateTimer = null;
-        }
-      }
+  // Check a token from promptTokenFor() against the pending prompt. Returns
+  // { deviceId } for the device it was made for, or null.
+  redeemPromptToken(sessionId, token) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.pendingPrompt || typeof token !== 'string') return null;
+    const dot = token.indexOf('.');
+    if (dot < 0) return null;
+    const deviceId = token.slice(0, dot) || null;
+    const expected = Buffer.from(promptTokenMac(session.pendingPrompt.token, deviceId));
+    const given = Buffer.from(token.slice(dot + 1));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    return { deviceId };
+  }
+
+  // Apply a Claude Code hook event (POST /api/hooks). Returns false if the
+  // session doesn't exist or the token doesn't match. Dead and detached
+  // sessions keep their state; reattaching brings a detached one up to date.
+  applyHookEvent(sessionId, token, payload) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.hookToken || typeof token !== 'string') return false;
+    const expected = Buffer.from(session.hookToken);
+    const given = Buffer.from(token);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return false;
+    if (session.state === 'dead' || session.state === 'detached') return true;
+
+    if (!session.hookDriven) {
+      session.hookDriven = true;
+      session._detector.dispose();
     }
+    const state = stateFromHookEvent(payload);
+    if (state) this._setState(session, state);
+    return true;
   }
 
   _setState(session, newState) {
-    if (session.state === newState) return;
-    session.state = newState;
-    this._broadcast({
-      type: 'session_state_changed',
-      sessionId: session.id,
-      state: newState,
-    });
+    session._idle = newState === 'ready';
+    if (newState === 'working') session._awaitingWork = false;
+    if (session.state !== newState) {
+      const previousState = session.state;
+      session.state = newState;
+      session.pendingPrompt = newState === 'waiting_input' ? this._parsePendingPrompt(session) : null;
+      this._broadcast({
+        type: 'session_state_changed',
+        sessionId: session.id,
+        state: newState,
+        previousState,
+        prompt: this._promptForClient(session.pendingPrompt),
+      });
+      this.emit('state', session, newState, previousState);
+    }
+    // Checked even without a change: new sessions start out "ready", so the
+    // detector's first ready (the CLI's prompt has appeared) isn't one
+    if (newState === 'ready') this._sendNextQueued(session);
+  }
+
+  // ── Prompt Queue ─────────────────────────────────────────────────────────
+  // Prompts typed in ahead of time. The next one is sent when the session
+  // becomes ready — never while it is waiting on a permission prompt — and
+  // only after the previous one got it working, so each waits for the answer
+  // to the one before. Items are { id, text, addedBy, addedAt }; every change
+  // is broadcast as session_queue.
+
+  _queueItem(text, addedBy) {
+    return { id: crypto.randomUUID(), text, addedBy: addedBy || null, addedAt: new Date().toISOString() };
   }
 
-  killSession(sessionId) {
+  // Add a prompt to the end of the queue (sent at once if the session is
+  // idle). Returns the item, or null if the session is gone or the queue full.
+  enqueuePrompt(sessionId, text, username = null) {
     const session = this.sessions.get(sessionId);
-    if (!session) return;
-    clearTimeout(session._stateTimer);
-    if (session.pty) {
-      try { session.pty.kill(); } catch (e) { /* ignore */ }
+    if (!session || session.state === 'dead' || session.queue.length >= MAX_QUEUE_LENGTH) return null;
+    const item = this._queueItem(text, username);
+    session.queue.push(item);
+    this._queueChanged(session);
+    if (session._idle) this._sendNextQueued(session);
+    return item;
+  }
+
+  updateQueuedPrompt(sessionId, itemId, text) {
+    const item = this._findQueued(sessionId, itemId);
+    if (!item) return false;
+    item.text = text;
+    this._queueChanged(this.sessions.get(sessionId));
+    return true;
+  }
+
+  removeQueuedPrompt(sessionId, itemId) {
+    const item = this._findQueued(sessionId, itemId);
+    if (!item) return false;
+    const session = this.sessions.get(sessionId);
+    session.queue.splice(session.queue.indexOf(item), 1);
+    this._queueChanged(session);
+    return true;
+  }
+
+  // Move an item to position `index` (clamped to the queue)
+  moveQueuedPrompt(sessionId, itemId, index) {
+    const item = this._findQueued(sessionId, itemId);
+    if (!item || !Number.isInteger(index)) return false;
+    const session = this.sessions.get(sessionId);
+    session.queue.splice(session.queue.indexOf(item), 1);
+    session.queue.splice(Math.max(0, Math.min(index, session.queue.length)), 0, item);
+    this._queueChanged(session);
+    return true;
+  }
+
+  _findQueued(sessionId, itemId) {
+    const session = this.sessions.get(sessionId);
+    return session ? session.queue.find(q => q.id === itemId) || null : null;
+  }
+
+  _queueChanged(session) {
+    this._broadcast({ type: 'session_queue', sessionId: session.id, queue: session.queue });
+    this._scheduleSave();
+  }
+
+  // Type the next queued prompt and press Enter. Multi-line text goes in as a
+  // bracketed paste so its newlines don't submit early. Audited as input from
+  // whoever queued it.
+  _sendNextQueued(session) {
+    if (!session.queue.length || session._awaitingWork || !session.pty) return;
+    const { text, addedBy } = session.queue.shift();
+    session._awaitingWork = true;
+    this._queueChanged(session);
+    if (addedBy) {
+      session.lastInputBy = addedBy;
+      if (this._audit) {
+        this._audit.recordInput(session.id, addedBy, text + '\r', {
+          project: session.projectName,
+          dangerous: session.dangerouslySkipPermissions || undefined,
+          queued: true,
+        });
+      }
     }
+    this._writePty(session, text.includes('\n') ? `\x1b[200~${text}\x1b[201~` : text);
+    setTimeout(() => {
+      if (session.pty && session.state !== 'dead') this._writePty(session, '\r');
+    }, SUBMIT_DELAY);
+  }
+
+  // The session is dead straight away; the returned promise resolves once its
+  // process has actually exited (true), or to false if it is still running
+  // after PTY_EXIT_TIMEOUT — for callers that touch its files afterwards.
+  killSession(sessionId, username = null) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return Promise.resolve(true);
+    console.log(`[SessionManager] Killing session ${sessionId}${username ? ` (by ${username})` : ''}`);
+    if (this._audit) this._audit.flushInput(sessionId, { project: session.projectName });
+    this._auditRecord('session.kill', session, username);
+    this.emit('kill', session, username);
+    if (session._restarting) session._restarting.cancelled = true;
+    session._detector.dispose();
+    let exited = Promise.resolve(true);
+    const handle = session.pty;
+    if (handle) {
+      exited = new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(false), PTY_EXIT_TIMEOUT);
+        timer.unref();
+        handle.onExit(() => {
+          clearTimeout(timer);
+          resolve(true);
+        });
+      });
+      try { handle.kill(); } catch (e) { /* ignore */ }
+    }
+    const previousState = session.state;
     session.state = 'dead';
     session.pty = null;
+    if (this._scrollback) this._scrollback.close(sessionId);
     this._broadcast({ type: 'session_state_changed', sessionId, state: 'dead' });
     this._scheduleSave();
+    if (previousState !== 'dead') {
+      this.emit('state', session, 'dead', previousState);
+      this.emit('exit', session, null);
+    }
+    return exited;
+  }
+
+  // Drop a dead session from the list (its scrollback log stays until the
+  // next startup prunes it)
+  removeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.state !== 'dead') return false;
+    this.sessions.delete(sessionId);
+    this._scheduleSave();
+    return true;
   }
 
-  writeToSession(sessionId, data) {
+  writeToSession(sessionId, data, username = null) {
     const session = this.sessions.get(sessionId);
     if (!session || !session.pty || session.state === 'dead') return;
+    if (username) {
+      session.lastInputBy = username;
+      if (this._audit) {
+        this._audit.recordInput(sessionId, username, data, {
+          project: session.projectName,
+          dangerous: session.dangerouslySkipPermissions || undefined,
+        });
+      }
+    }
+    this._writePty(session, data);
+  }
+
+  _writePty(session, data) {
     try {
       session.pty.write(data);
     } catch (e) {
-      console.error(`[SessionManager] Write error for ${sessionId}:`, e.message);
+      console.error(`[SessionManager] Write error for ${session.id}:`, e.message);
     }
   }
 
-  renameSession(sessionId, newLabel) {
+  renameSession(sessionId, newLabel, username = null) {
     const session = this.sessions.get(sessionId);
     if (!session) return;
+    this._auditRecord('session.rename', session, username, { from: session.label, to: newLabel });
     session.label = newLabel;
     this._scheduleSave();
   }
@@ -307,6 +708,13 @@ class SessionManager {
     return session ? session.outputBuffer : [];
   }
 
+  // Scrollback for a session that is no longer in memory (e.g. from before a
+  // server restart), read back from the on-disk log
+  getPersistedScrollback(sessionId) {
+    if (!this._scrollback) return '';
+    return this._scrollback.read(sessionId);
+  }
+
   addSubscriber(sessionId, ws) {
     const session = this.sessions.get(sessionId);
     if (session) session.subscribers.add(ws);
@@ -320,7 +728,11 @@ class SessionManager {
 
   // Serialize sessions to JSON (no pty, no buffers, no subscribers)
   _toJSON() {
-    return Array.from(this.sessions.values()).map(s => ({
+    return Array.from(this.sessions.values()).map(s => this._serialize(s));
+  }
+
+  _serialize(s) {
+    return {
       id: s.id,
       projectName: s.projectName,
       projectPath: s.projectPath,
@@ -331,8 +743,14 @@ class SessionManager {
       sessionType: s.sessionType,
       dangerouslySkipPermissions: s.dangerouslySkipPermissions,
       createdAt: s.createdAt,
+      createdBy: s.createdBy || null,
       state: s.state,
-    }));
+      stateDetector: s.stateDetector,
+      hookToken: s.hookToken,
+      worktree: s.worktree || null,
+      queue: s.queue,
+      restartCount: s.restartCount || 0,
+    };
   }
 
   _scheduleSave() {
@@ -360,6 +778,19 @@ class SessionManager {
     }
   }
 
+  // Lifecycle entry for the audit log; dangerous-mode sessions are flagged on
+  // every entry so they are easy to filter for
+  _auditRecord(action, session, username, fields = {}) {
+    if (!this._audit) return;
+    this._audit.record(action, {
+      user: username,
+      sessionId: session.id,
+      project: session.projectName,
+      dangerous: session.dangerouslySkipPermissions || undefined,
+      ...fields,
+    });
+  }
+
   _broadcast(msg) {
     if (this._broadcastFn) this._broadcastFn(msg);
   }
@@ -376,7 +807,12 @@ class SessionManager {
   }
 
   getSessionsForClient() {
-    return this.getAllSessions().map(s => ({
+    return this.getAllSessions().map(s => this.toClient(s));
+  }
+
+  // Session as sent to browsers (no pty, buffers, subscribers or tokens)
+  toClient(s) {
+    return {
       id: s.id,
       projectName: s.projectName,
       projectPath: s.projectPath,
@@ -387,9 +823,35 @@ class SessionManager {
       sessionType: s.sessionType,
       dangerouslySkipPermissions: s.dangerouslySkipPermissions,
       state: s.state,
+      prompt: this._promptForClient(s.pendingPrompt),
       createdAt: s.createdAt,
-    }));
+      createdBy: s.createdBy || null,
+      lastInputBy: s.lastInputBy,
+      worktree: s.worktree ? { branch: s.worktree.branch, baseBranch: s.worktree.baseBranch } : null,
+      queue: s.queue,
+      exitCode: s.exitCode ?? null,
+      restartCount: s.restartCount || 0,
+      restartAt: s.restartAt || null,
+    };
   }
 }
 
+// What the session host buffered (`backlog`, its whole ring buffer) after the
+// last output we have: found by looking for the tail of ours in it. If that
+// has already scrolled out of the host's buffer, all of it is replayed after
+// a note that some output may be missing.
+function missedOutput(outputBuffer, backlog) {
+  const tail = outputBuffer.slice(-20).join('').slice(-2048);
+  if (!tail) return backlog;
+  const at = backlog.lastIndexOf(tail);
+  if (at >= 0) return backlog.slice(at + tail.length);
+  if (!backlog) return '';
+  return `\r\n\x1b[2m──── reconnected · output may be incomplete ────\x1b[0m\r\n${backlog}`;
+}
+
+// HMAC of a device id under a prompt's one-time secret
+function promptTokenMac(secret, deviceId) {
+  return crypto.createHmac('sha256', secret).update(deviceId || '').digest('hex');
+}
+
 module.exports = SessionManager;
@@ -0,0 +1,147 @@
+'use strict';
+// Housekeeping for sessions nobody is watching. Settings come from
+// "sessionPolicy" in config.json, overridden per project by the project's
+// "policy":
+//
+//   {
+//     "reapDeadAfter": "30m",     remove a dead session from the list after this
+//     "maxRuntime": "2h",         a session working this long without a break…
+//     "onMaxRuntime": "warn",     …gets a warning ("warn", the default) or is killed ("kill")
+//     "warnWaitingAfter": "15m"   warn when a permission prompt has been waiting this long
+//   }
+//
+// Durations are as in cron.js ("90s", "30m", "6h", or a number of minutes);
+// leaving one out turns that check off. Each action is reported through
+// onAction() so the server can tell every device why a session changed or
+// disappeared. The cap on live sessions ("maxLiveSessions") is enforced by
+// SessionManager.createSession itself.
+const { parseDuration } = require('./cron');
+
+const POLICY_USER = { username: 'policy', role: 'admin' };
+const CHECK_INTERVAL = 30 * 1000;
+
+class SessionPolicy {
+  // endSession(user, sessionId) is the server's (index.js), so a killed
+  // session is announced and audited like one killed from the app
+  constructor({ sessionManager, configGetter, endSession, auditLog = null }) {
+    this._sessions = sessionManager;
+    this._configGetter = configGetter;
+    this._end = endSession;
+    this._audit = auditLog;
+    this._since = new Map(); // sessionId -> { state, at, warned }
+    this._errors = new Map(); // project name -> last config error logged
+    this._timer = null;
+    this._actionFn = null;
+
+    this._sessions.on('state', (session, state) => {
+      this._since.set(session.id, { state, at: Date.now(), warned: false });
+    });
+  }
+
+  // fn({ action: 'warn'|'kill'|'reap', reason, sessionId, label, projectName, message })
+  onAction(fn) {
+    this._actionFn = fn;
+  }
+
+  start() {
+    clearInterval(this._timer);
+    this._timer = setInterval(() => this.check(), CHECK_INTERVAL);
+    this._timer.unref();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+  }
+
+  // Resolved settings for a project, in ms; null for checks that are off
+  policyFor(projectName) {
+    const config = this._configGetter();
+    const project = (config.projects || []).find(p => p.name === projectName) || {};
+    const merged = { ...(config.sessionPolicy || {}), ...(project.policy || {}) };
+    const ms = (key) => {
+      if (merged[key] === undefined || merged[key] === null || merged[key] === false) return null;
+      try {
+        return parseDuration(merged[key]);
+      } catch (err) {
+        const message = `${key}: ${err.message}`;
+        if (this._errors.get(projectName) !== message) {
+          this._errors.set(projectName, message);
+          console.warn(`[SessionPolicy] ${projectName}: ignoring ${message}`);
+        }
+        return null;
+      }
+    };
+    return {
+      reapDeadAfter: ms('reapDeadAfter'),
+      maxRuntime: ms('maxRuntime'),
+      onMaxRuntime: merged.onMaxRuntime === 'kill' ? 'kill' : 'warn',
+      warnWaitingAfter: ms('warnWaitingAfter'),
+    };
+  }
+
+  // Look at every session once; runs every 30 seconds
+  check() {
+    const now = Date.now();
+    for (const session of this._sessions.getAllSessions()) {
+      let since = this._since.get(session.id);
+      if (!since || since.state !== session.state) {
+        // Not seen change state yet (e.g. reattached after a restart)
+        since = { state: session.state, at: now, warned: false };
+        this._since.set(session.id, since);
+      }
+      const elapsed = now - since.at;
+      const policy = this.policyFor(session.projectName);
+
+      if (session.state === 'dead') {
+        if (policy.reapDeadAfter !== null && elapsed >= policy.reapDeadAfter) {
+          this._sessions.removeSession(session.id);
+          this._since.delete(session.id);
+          this._act('reap', 'dead', session, `Removed "${session.label}" — dead for ${formatDuration(elapsed)}`);
+        }
+      } else if (session.state === 'working') {
+        if (policy.maxRuntime !== null && elapsed >= policy.maxRuntime && !since.warned) {
+          since.warned = true;
+          if (policy.onMaxRuntime === 'kill') {
+            this._act('kill', 'maxRuntime', session, `Killed "${session.label}" — working for ${formatDuration(elapsed)}`);
+            this._end(POLICY_USER, session.id).catch((err) => {
+              console.error(`[SessionPolicy] Could not kill session ${session.id}:`, err.message);
+            });
+          } else {
+            this._act('warn', 'maxRuntime', session, `"${session.label}" has been working for ${formatDuration(elapsed)}`);
+          }
+        }
+      } else if (session.state === 'waiting_input') {
+        if (policy.warnWaitingAfter !== null && elapsed >= policy.warnWaitingAfter && !since.warned) {
+          since.warned = true;
+          this._act('warn', 'waiting', session, `"${session.label}" has been waiting for input for ${formatDuration(elapsed)}`);
+        }
+      }
+    }
+    // Forget sessions removed some other way
+    for (const id of this._since.keys()) {
+      if (!this._sessions.getSession(id)) this._since.delete(id);
+    }
+  }
+
+  _act(action, reason, session, message) {
+    console.log(`[SessionPolicy] ${message}`);
+    if (this._audit) {
+      this._audit.record('session.policy', {
+        user: POLICY_USER.username, sessionId: session.id, project: session.projectName, policy: action, reason,
+      });
+    }
+    if (this._actionFn) {
+      this._actionFn({ action, reason, sessionId: session.id, label: session.label, projectName: session.projectName, message });
+    }
+  }
+}
+
+// 5400000 → "1h 30m"
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ''}`;
+}
+
+module.exports = SessionPolicy;
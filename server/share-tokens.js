@@ -0,0 +1,64 @@
+'use strict';
+const crypto = require('crypto');
+
+const MIN_TTL_MINUTES = 5;
+const MAX_TTL_MINUTES = 7 * 24 * 60;
+const DEFAULT_TTL_MINUTES = 60;
+
+// Read-only share links: a token scoped to one session that only lets the
+// holder watch it (see the share branch of handleWsMessage). Kept in memory,
+// so links stop working when the server restarts.
+class ShareTokens {
+  constructor() {
+    this._tokens = new Map(); // sha256(token) -> { id, sessionId, createdBy, createdAt, expiresAt }
+  }
+
+  // Returns { token, id, sessionId, expiresAt }; ttlMinutes is clamped to 5 min – 7 days
+  create(sessionId, createdBy, ttlMinutes = DEFAULT_TTL_MINUTES) {
+    const minutes = Math.min(MAX_TTL_MINUTES, Math.max(MIN_TTL_MINUTES, Number(ttlMinutes) || DEFAULT_TTL_MINUTES));
+    const token = crypto.randomBytes(24).toString('base64url');
+    const hash = this._hash(token);
+    const entry = {
+      id: hash.slice(0, 16),
+      sessionId,
+      createdBy,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + minutes * 60 * 1000,
+    };
+    this._tokens.set(hash, entry);
+    return { token, ...entry };
+  }
+
+  // Entry for a live token, or null
+  lookup(token) {
+    if (!token) return null;
+    const hash = this._hash(token);
+    const entry = this._tokens.get(hash);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this._tokens.delete(hash);
+      return null;
+    }
+    return entry;
+  }
+
+  isValid(id) {
+    for (const entry of this._tokens.values()) {
+      if (entry.id === id) return entry.expiresAt > Date.now();
+    }
+    return false;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [hash, entry] of this._tokens) {
+      if (entry.expiresAt <= now) this._tokens.delete(hash);
+    }
+  }
+
+  _hash(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+}
+
+module.exports = ShareTokens;
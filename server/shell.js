@@ -0,0 +1,78 @@
+'use strict';
+// Which shell a session runs in, and how to hand it a command line.
+//
+// Windows: PowerShell (powershell.exe, or pwsh / cmd.exe when configured).
+// Linux and macOS: the user's login shell from $SHELL, falling back to zsh on
+// macOS and bash (or sh) elsewhere. POSIX shells are started as login shells
+// (-l) so ~/.profile, ~/.bash_profile or ~/.zprofile set up PATH the way a
+// terminal would; commands also run interactive (-i) in bash and zsh, because
+// that's the only way ~/.bashrc / ~/.zshrc are read — where nvm, asdf and
+// friends usually put `claude` on the PATH.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 'powershell' | 'cmd' | 'posix'
+function shellKind(shell) {
+  const name = path.basename(String(shell)).toLowerCase().replace(/\.exe$/, '');
+  if (name === 'pwsh' || name === 'powershell') return 'powershell';
+  if (name === 'cmd') return 'cmd';
+  return 'posix';
+}
+
+function isExecutable(file) {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The shell to use: `preferred` (a name or path from config) if given, else
+// the platform default described above
+function resolveShell(preferred = null, { platform = os.platform(), env = process.env } = {}) {
+  if (typeof preferred === 'string' && preferred.trim()) return preferred.trim();
+  if (platform === 'win32') return 'powershell.exe';
+  if (env.SHELL && path.isAbsolute(env.SHELL) && isExecutable(env.SHELL)) return env.SHELL;
+  const fallbacks = platform === 'darwin' ? ['/bin/zsh', '/bin/bash'] : ['/bin/bash', '/usr/bin/bash'];
+  return fallbacks.find(isExecutable) || '/bin/sh';
+}
+
+// Arguments that start `shell` — interactively when `command` is empty,
+// otherwise running that command line and exiting with it
+function shellArgs(shell, command = null, { login = true } = {}) {
+  const kind = shellKind(shell);
+  if (kind === 'cmd') return command ? ['/c', command] : [];
+  if (kind === 'powershell') return command ? ['-Command', command] : [];
+
+  const name = path.basename(String(shell));
+  if (!command) return login ? ['-l'] : [];
+  // csh/tcsh only accept -l on its own
+  if (name === 'csh' || name === 'tcsh') return ['-c', command];
+  const rcFiles = name === 'bash' || name === 'zsh';
+  return [`-${login ? 'l' : ''}${rcFiles ? 'i' : ''}c`, command];
+}
+
+// Quote one argument for the shell that will parse the command line
+function quoteArg(shell, arg) {
+  const s = String(arg);
+  if (/^[\w@%+=:,./-]+$/.test(s)) return s;
+  const kind = shellKind(shell);
+  if (kind === 'cmd') return `"${s.replace(/"/g, '""')}"`;
+  if (kind === 'powershell') return `'${s.replace(/'/g, "''")}'`;
+  return `'${s.replace(/'/g, "'\\''")}'`;
+}
+
+// Command line for `command` + `args`, quoted for `shell`
+function commandLine(shell, command, args = []) {
+  return [command, ...args.map(a => quoteArg(shell, a))].join(' ');
+}
+
+module.exports = {
+  resolveShell,
+  shellArgs,
+  shellKind,
+  quoteArg,
+  commandLine,
+};
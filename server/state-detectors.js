@@ -0,0 +1,306 @@
+'use strict';
+// Session state detectors — decide from raw PTY output whether a session is
+// ready, working or waiting for input. Each session gets its own detector,
+// chosen by session type and overridable per project with "stateDetector".
+//
+// A detector is any object with:
+//   feed(data, currentState)  — called for every PTY chunk
+//   dispose()                 — cancel pending timers (session killed/exited)
+// and reports transitions through the onState(newState) callback it was
+// created with. Register new kinds with registerDetector(name, factory).
+
+// ANSI escape sequence stripper
+function stripAnsi(str) {
+  return str.replace(/\x1B(?:[@-Z\\-_]|\[[0-?]*[ -/]*[@-~])/g, '');
+}
+
+// ── Presets ────────────────────────────────────────────────────────────────
+const PRESETS = {
+  // Claude Code: spinner-heavy TUI, needs a longer quiet period before "ready"
+  claude: {
+    silenceMs: 2000,
+    readyPatterns: [
+      /❯\s{2,}/,                         // Claude Code prompt "❯" followed by whitespace (idle)
+      /^\s*>\s*$/m,                      // Claude Code prompt ">" alone on a line
+      /\$\s*$/m,                         // Shell prompt "$"
+      /What would you like to do\?/,
+      /How can I help/,
+      /waiting for your/i,
+    ],
+    waitingPatterns: [
+      /Do you want to proceed/i,
+      /\(y\/n\)/i,
+      /\[Y\/n\]/i,
+      /\[y\/N\]/i,
+      /Press Enter to continue/i,
+      /Are you sure/i,
+      /Allow once/i,
+      /Allow always/i,
+    ],
+    // Spinner animations that should NOT reset state to working
+    noisePatterns: [
+      /^[✢✶✻✽·*]?\s?\w+…/,              // Any spinner word ending in … (✶ Hyperspacing…, Channeling…, etc.)
+      /^[✢✶✻✽·*]\s*$/,                   // Single spinner character (with optional trailing space)
+      /^0;[⠐⠂✳⠈⠠⠄⠁]\s/,                // Terminal title updates (spinner in title)
+      /running stop hook/i,              // Hook execution notice
+      /^\d+ MCP server/,                 // MCP server status
+      /You've used \d+% of/,            // Usage limit notice
+    ],
+  },
+
+  // Plain shells: a prompt at the end of the output means the command finished
+  shell: {
+    silenceMs: 500,
+    readyPatterns: [
+      /[$#%]\s*$/,                       // bash/zsh/sh prompt (user or root)
+      /PS [^\n>]*>\s*$/,                 // PowerShell "PS C:\path>"
+      /^[A-Z]:\\[^\n>]*>\s*$/m,          // cmd.exe "C:\path>"
+    ],
+    waitingPatterns: [
+      /\(y\/n\)/i,
+      /\[Y\/n\]/i,
+      /\[y\/N\]/i,
+      /\[Y\] Yes.*\[N\] No/,             // PowerShell confirmation
+      /Press Enter to continue/i,
+      /Are you sure/i,
+      /password[^\n]*:\s*$/i,
+    ],
+    noisePatterns: [],
+  },
+
+  // Other agent CLIs: Claude's prompt/confirmation vocabulary, more patience
+  generic: {
+    silenceMs: 3000,
+    readyPatterns: [
+      /^\s*[>❯›]\s*$/m,
+      /[$#%]\s*$/,
+      /waiting for your/i,
+    ],
+    waitingPatterns: [
+      /Do you want to proceed/i,
+      /\(y\/n\)/i,
+      /\[Y\/n\]/i,
+      /\[y\/N\]/i,
+      /Press Enter to continue/i,
+      /Are you sure/i,
+      /Allow once/i,
+      /Allow always/i,
+    ],
+    noisePatterns: [
+      /^[✢✶✻✽·*⠋⠙⠹⠸⠼⠴⠦⠧⠇⠏]\s*$/,
+    ],
+  },
+};
+
+// ── Regex detector ─────────────────────────────────────────────────────────
+// Output matching a ready/waiting pattern arms a timer; if the session stays
+// quiet for silenceMs the state flips. Any other real output while ready or
+// waiting means the session is working again.
+class RegexStateDetector {
+  constructor({ onState, label = '', timers = null, silenceMs, readyPatterns, waitingPatterns, noisePatterns }) {
+    this.onState = onState;
+    this.label = label;
+    this.silenceMs = silenceMs;
+    this.readyPatterns = readyPatterns;
+    this.waitingPatterns = waitingPatterns;
+    this.noisePatterns = noisePatterns;
+    this._timers = timers || { setTimeout, clearTimeout };
+    this._timer = null;
+    this._pendingState = null;
+  }
+
+  feed(data, currentState) {
+    if (currentState === 'dead') return;
+
+    const stripped = stripAnsi(data);
+    const trimmed = stripped.trim();
+
+    // STATE DEBUG — set STATE_DEBUG=1 env var to enable, then check debug.log
+    // To enable:  STATE_DEBUG=1 node server/index.js > debug.log 2>&1
+    // To test:    send "say hello" to a terminal, wait for response, then send "how are you"
+    // Look for:   READY match → Timer fired → working transition → READY match → Timer fired
+    const DBG = process.env.STATE_DEBUG === '1';
+    const preview = DBG ? trimmed.substring(0, 120).replace(/\n/g, '\\n').replace(/\r/g, '\\r') : '';
+    if (DBG && trimmed.length > 0) {
+      console.log(`[STATE-DBG] session=${this.label} state=${currentState} len=${trimmed.length} data="${preview}"`);
+    }
+
+    // Skip noise (spinner animations, title updates) — don't let them affect state
+    if (this.noisePatterns.some(p => p.test(trimmed))) return;
+
+    // Check for waiting_input patterns first
+    const isWaiting = this.waitingPatterns.some(p => p.test(stripped));
+    // Check for ready patterns
+    const isReady = !isWaiting && this.readyPatterns.some(p => p.test(stripped));
+
+    if (isWaiting || isReady) {
+      const next = isWaiting ? 'waiting_input' : 'ready';
+      if (DBG) {
+        const list = isWaiting ? this.waitingPatterns : this.readyPatterns;
+        console.log(`[STATE-DBG] → ${next} match: ${list.find(p => p.test(stripped))}`);
+      }
+      this._arm(next, DBG);
+    } else if (trimmed.length > 0) {
+      // If already ready/waiting, any real output means working again
+      if (currentState === 'ready' || currentState === 'waiting_input') {
+        if (DBG) console.log(`[STATE-DBG] → Was ${currentState}, real output → working. data="${preview}"`);
+        this._cancel();
+        this.onState('working');
+      } else if (this._timer && trimmed.length < 15) {
+        // While working with a pending ready timer, ignore short fragments (spinner debris)
+        if (DBG) console.log(`[STATE-DBG] → IGNORED short fragment (timer preserved): "${preview}"`);
+      } else {
+        // Substantial output while working — cancel any pending ready timer
+        if (DBG && this._timer) console.log(`[STATE-DBG] → CANCELLED timer, back to working. data="${preview}"`);
+        this._cancel();
+      }
+    }
+  }
+
+  dispose() {
+    this._cancel();
+  }
+
+  _arm(state, DBG) {
+    this._timers.clearTimeout(this._timer);
+    this._pendingState = state;
+    this._timer = this._timers.setTimeout(() => {
+      if (DBG) console.log(`[STATE-DBG] → Timer fired: ${state} for ${this.label}`);
+      this._timer = null;
+      this._pendingState = null;
+      this.onState(state);
+    }, this.silenceMs);
+  }
+
+  _cancel() {
+    this._timers.clearTimeout(this._timer);
+    this._timer = null;
+    this._pendingState = null;
+  }
+}
+
+// ── Registry ───────────────────────────────────────────────────────────────
+const registry = new Map();
+
+function registerDetector(name, factory) {
+  registry.set(name, factory);
+}
+
+for (const [name, preset] of Object.entries(PRESETS)) {
+  registerDetector(name, (opts) => new RegexStateDetector({ ...preset, ...opts }));
+}
+
+// Default detector for each built-in session type
+function detectorForSessionType(sessionType) {
+  return sessionType === 'plain-shell' ? 'shell' : 'claude';
+}
+
+// Patterns in config.json are strings; compile them multi-line
+function compilePatterns(list) {
+  if (!Array.isArray(list)) return undefined;
+  return list.map(p => (p instanceof RegExp ? p : new RegExp(p, 'm')));
+}
+
+// spec: a registered name ("claude") or { type, silenceMs, readyPatterns,
+// waitingPatterns, noisePatterns } where any given field replaces the preset's
+function createDetector(spec, { onState, label, timers } = {}) {
+  const { type, ...overrides } = typeof spec === 'string' ? { type: spec } : (spec || {});
+  const name = registry.has(type) ? type : 'claude';
+  if (type && !registry.has(type)) {
+    console.warn(`[StateDetectors] Unknown detector "${type}", falling back to "claude"`);
+  }
+  const opts = { onState, label, timers };
+  if (overrides.silenceMs != null) opts.silenceMs = Number(overrides.silenceMs);
+  for (const key of ['readyPatterns', 'waitingPatterns', 'noisePatterns']) {
+    const compiled = compilePatterns(overrides[key]);
+    if (compiled) opts[key] = compiled;
+  }
+  return registry.get(name)(opts);
+}
+
+// ── Claude Code hooks ──────────────────────────────────────────────────────
+// Map a Claude Code hook payload (see server/claude-hook.js) to a session
+// state, or null when the event says nothing about it. Hook events are
+// authoritative: once one arrives, SessionManager stops using the detector.
+function stateFromHookEvent(payload) {
+  const event = payload && payload.hook_event_name;
+  switch (event) {
+    case 'SessionStart':
+    case 'Stop':
+      return 'ready';
+    case 'UserPromptSubmit':
+    case 'PreToolUse':
+    case 'PostToolUse':
+      return 'working';
+    case 'Notification': {
+      const type = payload.notification_type || '';
+      const message = payload.message || '';
+      if (type === 'permission_prompt' || /permission/i.test(message)) return 'waiting_input';
+      if (type === 'idle_prompt' || /waiting for your input/i.test(message)) return 'ready';
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+// ── Transcript replay ──────────────────────────────────────────────────────
+// Feed a recorded PTY transcript through a detector on a virtual clock and
+// return the state changes it produced, e.g. to check a detector offline:
+//   replayTranscript('shell', [{ at: 0, data: 'ls\r\n' }, { at: 40, data: 'a b\r\n$ ' }])
+//   → [{ at: 540, state: 'ready' }]
+// `at` is milliseconds from the start of the recording.
+function replayTranscript(spec, transcript, { initialState = 'working', settleMs = 10000 } = {}) {
+  let now = 0;
+  let nextId = 1;
+  const pending = new Map(); // timer id -> { due, fn }
+  const timers = {
+    setTimeout: (fn, ms) => { const id = nextId++; pending.set(id, { due: now + ms, fn }); return id; },
+    clearTimeout: (id) => { pending.delete(id); },
+  };
+
+  const events = [];
+  let state = initialState;
+  const detector = createDetector(spec, {
+    label: 'replay',
+    timers,
+    onState: (s) => {
+      if (s === state) return;
+      state = s;
+      events.push({ at: now, state: s });
+    },
+  });
+
+  const runTimersUntil = (t) => {
+    for (;;) {
+      let nextTimer = null;
+      for (const [id, timer] of pending) {
+        if (timer.due <= t && (!nextTimer || timer.due < nextTimer[1].due)) nextTimer = [id, timer];
+      }
+      if (!nextTimer) break;
+      pending.delete(nextTimer[0]);
+      now = nextTimer[1].due;
+      nextTimer[1].fn();
+    }
+    now = t;
+  };
+
+  for (const { at, data } of transcript) {
+    runTimersUntil(at);
+    detector.feed(data, state);
+  }
+  runTimersUntil(now + settleMs);
+  detector.dispose();
+  return events;
+}
+
+module.exports = {
+  stripAnsi,
+  PRESETS,
+  RegexStateDetector,
+  registerDetector,
+  createDetector,
+  detectorForSessionType,
+  stateFromHookEvent,
+  replayTranscript,
+};
@@ -0,0 +1,234 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+const CA_VALID_YEARS = 10;
+const SERVER_VALID_DAYS = 825; // Longest lifetime iOS accepts for a server cert
+const RENEW_BEFORE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "https": true, or { cert, key, ca, hosts, httpPort } — see README. Returns
+// null when HTTPS is off.
+function normalizeHttpsConfig(value) {
+  if (!value) return null;
+  if (value === true) return { hosts: [], httpPort: null };
+  if (typeof value !== 'object' || value.enabled === false) return null;
+  return {
+    cert: value.cert || null,
+    key: value.key || null,
+    ca: value.ca || null,
+    hosts: Array.isArray(value.hosts) ? value.hosts.map(String) : [],
+    httpPort: Number(value.httpPort) || null,
+  };
+}
+
+// Certificates for HTTPS/WSS. Either loads the cert/key named in config, or
+// generates a local CA once (certs/ca.crt + ca.key) and uses it to sign a
+// server certificate for this machine's names and LAN addresses. Phones trust
+// the CA once (GET /ca.crt) and the server certificate can then be re-issued
+// — when the LAN address changes or it nears expiry — without reinstalling.
+class TlsManager {
+  constructor({ dir, root, config }) {
+    this.dir = dir;   // where generated certs are kept
+    this.root = root; // relative cert/key paths in config resolve from here
+    this.config = config;
+    this.mode = config.cert ? 'custom' : 'generated';
+    this._key = null;
+    this._cert = null;
+    this._ca = null;
+  }
+
+  // Loads or generates the certificates; throws if user-provided files are
+  // missing or unreadable
+  init() {
+    if (this.mode === 'custom') {
+      if (!this.config.key) throw new Error('"https.cert" needs a matching "https.key"');
+      this._cert = fs.readFileSync(this._resolve(this.config.cert), 'utf8');
+      this._key = fs.readFileSync(this._resolve(this.config.key), 'utf8');
+      this._ca = this.config.ca ? fs.readFileSync(this._resolve(this.config.ca), 'utf8') : null;
+      return this;
+    }
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const ca = this._loadOrCreateCa();
+    this._ca = ca.certPem;
+    const server = this._loadOrCreateServerCert(ca);
+    this._cert = server.certPem + this._ca; // Full chain, so clients see the CA too
+    this._key = server.keyPem;
+    return this;
+  }
+
+  // Options for https.createServer()
+  serverOptions() {
+    return { key: this._key, cert: this._cert };
+  }
+
+  // CA certificate (PEM) phones should install, or null if there isn't one
+  getCaCert() {
+    return this._ca;
+  }
+
+  // Public details for the setup page. Parsed with Node's X509Certificate,
+  // which (unlike forge) also reads user-provided EC certificates.
+  info() {
+    const leaf = new crypto.X509Certificate(this._cert);
+    return {
+      mode: this.mode,
+      hosts: (leaf.subjectAltName || '').split(', ').map(n => n.replace(/^(DNS|IP Address):/, '')).filter(Boolean),
+      expiresAt: new Date(leaf.validTo).toISOString(),
+      caAvailable: !!this._ca,
+      caFingerprint: this._ca ? new crypto.X509Certificate(this._ca).fingerprint256 : null,
+    };
+  }
+
+  _resolve(file) {
+    return path.isAbsolute(file) ? file : path.join(this.root, file);
+  }
+
+  _file(name) {
+    return path.join(this.dir, name);
+  }
+
+  // Names the server certificate has to cover: localhost, this machine's
+  // hostname (plain and .local), its IPv4 addresses, and any configured hosts
+  _wantedHosts() {
+    const hosts = new Set(['localhost', '127.0.0.1', '::1']);
+    const hostname = os.hostname();
+    if (hostname) {
+      hosts.add(hostname);
+      if (!hostname.includes('.')) hosts.add(`${hostname}.local`);
+    }
+    for (const addrs of Object.values(os.networkInterfaces())) {
+      for (const addr of addrs || []) {
+        if (addr.family === 'IPv4' || addr.family === 4) hosts.add(addr.address);
+      }
+    }
+    for (const host of this.config.hosts) hosts.add(host);
+    return Array.from(hosts);
+  }
+
+  _loadOrCreateCa() {
+    const savedCert = this._read('ca.crt');
+    const savedKey = this._read('ca.key');
+    if (savedCert && savedKey) {
+      const cert = this._parse(savedCert);
+      if (cert && cert.validity.notAfter.getTime() > Date.now() + RENEW_BEFORE_DAYS * DAY_MS) {
+        return { certPem: savedCert, keyPem: savedKey, cert, key: forge.pki.privateKeyFromPem(savedKey) };
+      }
+      console.warn('[TLS] Local CA is expiring — generating a new one (phones must install it again).');
+    }
+
+    const keyPem = generateKeyPem();
+    const key = forge.pki.privateKeyFromPem(keyPem);
+    const cert = forge.pki.createCertificate();
+    cert.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+    cert.serialNumber = randomSerial();
+    cert.validity.notBefore = new Date(Date.now() - DAY_MS);
+    cert.validity.notAfter = new Date(Date.now() + CA_VALID_YEARS * 365 * DAY_MS);
+    const subject = [{ name: 'commonName', value: `CLI Cockpit Local CA (${os.hostname()})` }];
+    cert.setSubject(subject);
+    cert.setIssuer(subject);
+    cert.setExtensions([
+      { name: 'basicConstraints', cA: true, critical: true },
+      { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+      { name: 'subjectKeyIdentifier' },
+    ]);
+    cert.sign(key, forge.md.sha256.create());
+
+    const certPem = forge.pki.certificateToPem(cert);
+    this._write('ca.key', keyPem, 0o600);
+    this._write('ca.crt', certPem, 0o644);
+    // The old server cert was signed by the old CA
+    try { fs.unlinkSync(this._file('server.crt')); } catch { /* ignore */ }
+    console.log(`[TLS] Generated local CA ${this._file('ca.crt')}`);
+    return { certPem, keyPem, cert, key };
+  }
+
+  _loadOrCreateServerCert(ca) {
+    const wanted = this._wantedHosts();
+    const savedCert = this._read('server.crt');
+    const savedKey = this._read('server.key');
+    if (savedCert && savedKey) {
+      const cert = this._parse(savedCert);
+      const covered = cert ? this._altNames(cert) : [];
+      const fresh = cert && cert.validity.notAfter.getTime() > Date.now() + RENEW_BEFORE_DAYS * DAY_MS;
+      const signedByCa = cert && cert.issuer.hash === ca.cert.subject.hash;
+      if (fresh && signedByCa && wanted.every(h => covered.includes(h))) {
+        return { certPem: savedCert, keyPem: savedKey };
+      }
+    }
+
+    const keyPem = generateKeyPem();
+    const key = forge.pki.privateKeyFromPem(keyPem);
+    const cert = forge.pki.createCertificate();
+    cert.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+    cert.serialNumber = randomSerial();
+    cert.validity.notBefore = new Date(Date.now() - DAY_MS);
+    cert.validity.notAfter = new Date(Date.now() + SERVER_VALID_DAYS * DAY_MS);
+    cert.setSubject([{ name: 'commonName', value: os.hostname() || 'localhost' }]);
+    cert.setIssuer(ca.cert.subject.attributes);
+    cert.setExtensions([
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      {
+        name: 'subjectAltName',
+        altNames: wanted.map(h => (net.isIP(h) ? { type: 7, ip: h } : { type: 2, value: h })),
+      },
+    ]);
+    cert.sign(ca.key, forge.md.sha256.create());
+
+    const certPem = forge.pki.certificateToPem(cert);
+    this._write('server.key', keyPem, 0o600);
+    this._write('server.crt', certPem, 0o644);
+    console.log(`[TLS] Issued server certificate for ${wanted.join(', ')}`);
+    return { certPem, keyPem };
+  }
+
+  _altNames(cert) {
+    const ext = cert.getExtension('subjectAltName');
+    if (!ext) return [];
+    return ext.altNames.map(n => n.ip || n.value).filter(Boolean);
+  }
+
+  _parse(pem) {
+    try {
+      return forge.pki.certificateFromPem(pem);
+    } catch {
+      return null;
+    }
+  }
+
+  _read(name) {
+    try {
+      return fs.readFileSync(this._file(name), 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  _write(name, data, mode) {
+    const tmp = this._file(name) + '.tmp';
+    fs.writeFileSync(tmp, data, { encoding: 'utf8', mode });
+    fs.renameSync(tmp, this._file(name));
+  }
+}
+
+// Node generates RSA keys far faster than forge's pure-JS implementation
+function generateKeyPem() {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return privateKey.export({ type: 'pkcs1', format: 'pem' });
+}
+
+// Positive 16-byte serial as hex (a leading 0 bit keeps it non-negative)
+function randomSerial() {
+  const bytes = crypto.randomBytes(16);
+  bytes[0] &= 0x7f;
+  return bytes.toString('hex');
+}
+
+module.exports = { TlsManager, normalizeHttpsConfig };
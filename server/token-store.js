@@ -0,0 +1,137 @@
+'use strict';
+const fs = require('fs');
+const crypto = require('crypto');
+
+const SAVE_DEBOUNCE = 1000;
+const LAST_SEEN_RESOLUTION = 60 * 1000; // Don't rewrite the file for every request
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Login tokens, one per signed-in device. Only SHA-256 hashes are kept (in
+// tokens.json), so the file can't be used to sign in. Each entry records who
+// it belongs to and where it was last used, for the devices screen.
+class TokenStore {
+  constructor(filePath = null) {
+    this.filePath = filePath; // null = memory only
+    this._entries = new Map(); // hash -> { id, username, issuedAt, lastSeenAt, expiresAt, ip, userAgent }
+    this._saveTimer = null;
+    this._load();
+  }
+
+  // Returns the new plaintext token — the only time it exists server-side
+  issue(username, { ttlMs, ip = '', userAgent = '' }) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const hash = hashToken(token);
+    const now = Date.now();
+    this._entries.set(hash, {
+      id: hash.slice(0, 16),
+      username,
+      issuedAt: now,
+      lastSeenAt: now,
+      expiresAt: now + ttlMs,
+      ip,
+      userAgent: String(userAgent).slice(0, 300),
+    });
+    this._scheduleSave();
+    return token;
+  }
+
+  // Entry for a token, or null if unknown or expired. `seen` updates the
+  // device's last-seen time and address.
+  lookup(token, seen = null) {
+    if (!token) return null;
+    const hash = hashToken(token);
+    const entry = this._entries.get(hash);
+    if (!entry) return null;
+    const now = Date.now();
+    if (entry.expiresAt <= now) {
+      this._entries.delete(hash);
+      this._scheduleSave();
+      return null;
+    }
+    if (seen && now - entry.lastSeenAt >= LAST_SEEN_RESOLUTION) {
+      entry.lastSeenAt = now;
+      if (seen.ip) entry.ip = seen.ip;
+      this._scheduleSave();
+    }
+    return entry;
+  }
+
+  // Devices (newest first), optionally only one user's
+  list(username = null) {
+    return Array.from(this._entries.values())
+      .filter(e => !username || e.username === username)
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+      .map(e => ({ ...e }));
+  }
+
+  getById(id) {
+    for (const entry of this._entries.values()) {
+      if (entry.id === id) return entry;
+    }
+    return null;
+  }
+
+  has(id) {
+    return !!this.getById(id);
+  }
+
+  revoke(id) {
+    for (const [hash, entry] of this._entries) {
+      if (entry.id === id) {
+        this._entries.delete(hash);
+        this._scheduleSave();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Remove tokens that expired or whose user no longer exists; returns the
+  // ids removed so their connections can be closed
+  prune(isValidUser = () => true) {
+    const now = Date.now();
+    const removed = [];
+    for (const [hash, entry] of this._entries) {
+      if (entry.expiresAt <= now || !isValidUser(entry.username)) {
+        this._entries.delete(hash);
+        removed.push(entry.id);
+      }
+    }
+    if (removed.length) this._scheduleSave();
+    return removed;
+  }
+
+  _load() {
+    if (!this.filePath) return;
+    try {
+      const list = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const { hash, ...entry } of Array.isArray(list) ? list : []) {
+        if (hash && entry.id) this._entries.set(hash, entry);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('[TokenStore] Failed to read tokens file:', err.message);
+    }
+  }
+
+  _scheduleSave() {
+    if (!this.filePath) return;
+    clearTimeout(this._saveTimer);
+    this._saveTimer = setTimeout(() => this._save(), SAVE_DEBOUNCE);
+  }
+
+  _save() {
+    const data = JSON.stringify(Array.from(this._entries, ([hash, entry]) => ({ hash, ...entry })), null, 2);
+    const tmp = this.filePath + '.tmp';
+    try {
+      fs.writeFileSync(tmp, data, { encoding: 'utf8', mode: 0o600 });
+      fs.renameSync(tmp, this.filePath);
+    } catch (err) {
+      console.error('[TokenStore] Failed to save tokens:', err.message);
+    }
+  }
+}
+
+module.exports = TokenStore;
@@ -0,0 +1,195 @@
+'use strict';
+const fs = require('fs');
+const crypto = require('crypto');
+
+// RFC 6238 defaults — what every authenticator app expects
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;           // Accept the previous/next code for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const ENROLL_TTL_MS = 10 * 60 * 1000;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of String(str).toUpperCase().replace(/[\s=]/g, '')) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) continue;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// HOTP (RFC 4226) for one time step
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const num = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(num).padStart(DIGITS, '0');
+}
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// xxxxx-xxxxx from an unambiguous alphabet
+function generateRecoveryCode() {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const chars = Array.from(crypto.randomBytes(10), b => alphabet[b % alphabet.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+}
+
+// TOTP second factor, per login identity (a username, or "owner" in PIN mode).
+// Secrets sit in a local JSON file (totp.json) — they have to be readable to
+// check codes, so keep the file private. Recovery codes are stored hashed and
+// each works once.
+class TotpStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._entries = this._load(); // username -> { secret, enabledAt, lastStep, recoveryCodes: [hash] }
+    this._pending = new Map();    // username -> { secret, expiresAt } while enrolling
+  }
+
+  isEnabled(username) {
+    return !!this._entries[username];
+  }
+
+  status(username) {
+    const entry = this._entries[username];
+    return entry
+      ? { enabled: true, enabledAt: entry.enabledAt, recoveryCodesLeft: entry.recoveryCodes.length }
+      : { enabled: false };
+  }
+
+  // Start enrolling: a new secret that only takes effect once confirmEnrollment()
+  // sees a valid code from it. Returns { secret, otpauthUrl }.
+  beginEnrollment(username, issuer) {
+    const secret = base32Encode(crypto.randomBytes(20));
+    this._pending.set(username, { secret, expiresAt: Date.now() + ENROLL_TTL_MS });
+    const label = encodeURIComponent(`${issuer}:${username}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+      `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+    return { secret, otpauthUrl };
+  }
+
+  // Returns the new plaintext recovery codes, or null if the code is wrong or
+  // enrollment expired
+  confirmEnrollment(username, code) {
+    const pending = this._pending.get(username);
+    if (!pending || pending.expiresAt < Date.now()) return null;
+    const step = this._matchStep(pending.secret, code, -1);
+    if (step === null) return null;
+    this._pending.delete(username);
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    this._entries[username] = {
+      secret: pending.secret,
+      enabledAt: new Date().toISOString(),
+      lastStep: step,
+      recoveryCodes: codes.map(hashRecoveryCode),
+    };
+    this._save();
+    return codes;
+  }
+
+  // Check a 6-digit code or a recovery code. Returns 'totp', 'recovery'
+  // or null. A TOTP code can't be replayed; a recovery code is used up.
+  verify(username, code) {
+    const entry = this._entries[username];
+    if (!entry || !code) return null;
+    const digits = String(code).replace(/\s/g, '');
+    if (/^\d+$/.test(digits)) {
+      const step = this._matchStep(entry.secret, digits, entry.lastStep);
+      if (step === null) return null;
+      entry.lastStep = step;
+      this._save();
+      return 'totp';
+    }
+    const idx = entry.recoveryCodes.indexOf(hashRecoveryCode(code));
+    if (idx === -1) return null;
+    entry.recoveryCodes.splice(idx, 1);
+    this._save();
+    return 'recovery';
+  }
+
+  // Replace the recovery codes; returns the new plaintext ones
+  regenerateRecoveryCodes(username) {
+    const entry = this._entries[username];
+    if (!entry) return null;
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    entry.recoveryCodes = codes.map(hashRecoveryCode);
+    this._save();
+    return codes;
+  }
+
+  disable(username) {
+    if (!this._entries[username]) return false;
+    delete this._entries[username];
+    this._save();
+    return true;
+  }
+
+  // Step the code belongs to (newer than afterStep), or null
+  _matchStep(secret, code, afterStep) {
+    const given = Buffer.from(String(code || '').replace(/\s/g, ''));
+    if (given.length !== DIGITS) return null;
+    const now = currentStep();
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+      if (step <= afterStep) continue;
+      if (crypto.timingSafeEqual(given, Buffer.from(codeForStep(secret, step)))) return step;
+    }
+    return null;
+  }
+
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      // Prototype-less, since usernames are the keys
+      return Object.assign(Object.create(null), data && typeof data === 'object' ? data : {});
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('[TotpStore] Failed to read TOTP file:', err.message);
+      return Object.create(null);
+    }
+  }
+
+  _save() {
+    const tmp = this.filePath + '.tmp';
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(this._entries, null, 2), { encoding: 'utf8', mode: 0o600 });
+      fs.renameSync(tmp, this.filePath);
+    } catch (err) {
+      console.error('[TotpStore] Failed to save TOTP file:', err.message);
+    }
+  }
+}
+
+module.exports = TotpStore;
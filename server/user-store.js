@@ -0,0 +1,237 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ROLES, DEFAULT_ROLE, isRole } = require('./permissions');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt parameters for new hashes; stored with each hash so they can change
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LEN = 64;
+const USERNAME_RE = /^[a-zA-Z0-9_.-]{1,32}$/;
+// The identities auth.js uses when there are no accounts (PIN_USER, OPEN_USER)
+const RESERVED_USERNAMES = new Set(['owner', 'anonymous']);
+
+function isAllowedUsername(username) {
+  return USERNAME_RE.test(username || '') && !RESERVED_USERNAMES.has(username);
+}
+
+// Throws if `username` can't be an account name
+function checkUsername(username) {
+  if (!USERNAME_RE.test(username || '')) {
+    throw new Error('Usernames are 1-32 letters, digits, "_", "." or "-"');
+  }
+  if (RESERVED_USERNAMES.has(username)) throw new Error(`"${username}" is reserved`);
+}
+
+// Hash format: scrypt$N$r$p$<salt b64>$<hash b64>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LEN, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p), maxmem: 256 * Number(N) * Number(r),
+  });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// Named user accounts with scrypt-hashed passwords and a role (see
+// permissions.js), kept in a local JSON file (users.json). While the file has
+// no users, auth falls back to config.pin.
+class UserStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._users = new Map(); // username -> { username, role, passwordHash, createdAt }
+    this._mtime = 0;
+  }
+
+  // Re-read the file if it changed on disk (e.g. edited with the CLI below
+  // while the server is running)
+  load() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch {
+      this._users.clear();
+      this._mtime = 0;
+      return this;
+    }
+    if (stat.mtimeMs === this._mtime) return this;
+    this._mtime = stat.mtimeMs;
+    this._users.clear();
+    try {
+      const list = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const user of Array.isArray(list) ? list : []) {
+        if (user && isAllowedUsername(user.username)) this._users.set(user.username, user);
+      }
+    } catch (err) {
+      console.error('[UserStore] Failed to read users file:', err.message);
+    }
+    return this;
+  }
+
+  hasUsers() {
+    return this.load()._users.size > 0;
+  }
+
+  get(username) {
+    return this.load()._users.get(username) || null;
+  }
+
+  list() {
+    return Array.from(this.load()._users.values()).map(({ passwordHash, ...safe }) => safe);
+  }
+
+  // Resolves to the user record, or null for an unknown user / wrong password
+  async verify(username, password) {
+    const user = this.get(username);
+    if (!user || typeof password !== 'string') {
+      // Spend the same time as a real check so usernames can't be probed
+      await hashPassword(String(password || ''));
+      return null;
+    }
+    return (await verifyPassword(password, user.passwordHash)) ? user : null;
+  }
+
+  // Creates the user if needed. The first account defaults to admin so
+  // someone can always edit the config.
+  async setPassword(username, password, role = null) {
+    checkUsername(username);
+    if (typeof password !== 'string' || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+    if (role && !isRole(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    const existing = this.get(username);
+    const defaultRole = this._users.size === 0 ? 'admin' : DEFAULT_ROLE;
+    this._users.set(username, {
+      ...(existing || { username, role: defaultRole, createdAt: new Date().toISOString() }),
+      ...(role ? { role } : {}),
+      passwordHash: await hashPassword(password),
+    });
+    this._save();
+  }
+
+  setRole(username, role) {
+    if (!isRole(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    const user = this.get(username);
+    if (!user) return false;
+    user.role = role;
+    this._save();
+    return true;
+  }
+
+  remove(username) {
+    if (!this.load()._users.delete(username)) return false;
+    this._save();
+    return true;
+  }
+
+  _save() {
+    const data = JSON.stringify(Array.from(this._users.values()), null, 2);
+    const tmp = this.filePath + '.tmp';
+    fs.writeFileSync(tmp, data, { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmp, this.filePath);
+    this._mtime = fs.statSync(this.filePath).mtimeMs;
+  }
+}
+
+// ── CLI ────────────────────────────────────────────────────────────────────
+// npm run users -- list | add <name> [role] | passwd <name> | role <name> <role> | remove <name>
+// Passwords are read from the terminal (hidden), or from stdin when piped.
+
+function readPassword(prompt) {
+  return new Promise((resolve) => {
+    const stdin = process.stdin;
+    if (!stdin.isTTY) {
+      let input = '';
+      stdin.setEncoding('utf8');
+      stdin.on('data', (chunk) => { input += chunk; });
+      stdin.on('end', () => resolve(input.split(/\r?\n/)[0]));
+      return;
+    }
+    process.stdout.write(prompt);
+    let input = '';
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+    const onData = (ch) => {
+      if (ch === '\r' || ch === '\n' || ch === '\u0004') {
+        stdin.setRawMode(false);
+        stdin.pause();
+        stdin.removeListener('data', onData);
+        process.stdout.write('\n');
+        resolve(input);
+      } else if (ch === '\u0003') {
+        process.stdout.write('\n');
+        process.exit(130);
+      } else if (ch === '\u007f' || ch === '\b') {
+        input = input.slice(0, -1);
+      } else {
+        input += ch;
+      }
+    };
+    stdin.on('data', onData);
+  });
+}
+
+async function main(argv) {
+  const store = new UserStore(path.join(__dirname, '..', 'users.json'));
+  const [command, username, role] = argv;
+
+  switch (command) {
+    case 'list': {
+      const users = store.list();
+      if (users.length === 0) console.log('No users (PIN mode).');
+      for (const u of users) console.log(`${u.username}\t${u.role || DEFAULT_ROLE}\t${u.createdAt}`);
+      break;
+    }
+    case 'add':
+    case 'passwd': {
+      if (!username) throw new Error(`Usage: ${command} <username>${command === 'add' ? ' [role]' : ''}`);
+      if (command === 'add') checkUsername(username);
+      if (command === 'add' && store.get(username)) throw new Error(`User "${username}" already exists`);
+      if (command === 'passwd' && !store.get(username)) throw new Error(`No user "${username}"`);
+      if (role && !isRole(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+      await store.setPassword(username, await readPassword(`Password for ${username}: `), command === 'add' ? role : null);
+      console.log(command === 'add'
+        ? `Added ${username} (${store.get(username).role}).`
+        : `Password changed for ${username}.`);
+      break;
+    }
+    case 'role': {
+      if (!username || !role) throw new Error(`Usage: role <username> <${ROLES.join('|')}>`);
+      if (!store.setRole(username, role)) throw new Error(`No user "${username}"`);
+      console.log(`${username} is now ${role}.`);
+      break;
+    }
+    case 'remove': {
+      if (!username) throw new Error('Usage: remove <username>');
+      if (!store.remove(username)) throw new Error(`No user "${username}"`);
+      console.log(`Removed ${username}.`);
+      break;
+    }
+    default:
+      console.log('Usage: npm run users -- list | add <name> [role] | passwd <name> | role <name> <role> | remove <name>');
+      console.log(`Roles: ${ROLES.join(', ')}`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = UserStore;
@@ -0,0 +1,107 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+const GIT_TIMEOUT = 60 * 1000;
+const BRANCH_PREFIX = 'clit/';
+
+function git(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, timeout: GIT_TIMEOUT, windowsHide: true }, (err, stdout, stderr) => {
+      if (err) {
+        err.message = (stderr || '').trim() || err.message;
+        return reject(err);
+      }
+      resolve(stdout.trim());
+    });
+  });
+}
+
+// "Fix login bug!" → "fix-login-bug"
+function slugify(label) {
+  return String(label || '').toLowerCase().normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'session';
+}
+
+// One git worktree per session, so parallel agents on the same repository
+// each get their own checkout. A worktree lives in <dir>/<repo>/<slug> on a
+// new branch "clit/<label>-<suffix>" started from the repository's current
+// branch; the session runs in the same subdirectory of it that the project
+// path is of the repository. Described by
+//   { repo, path, branch, baseBranch, cwd }
+// which the session keeps (and sessions.json saves).
+class WorktreeManager {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  // Create a worktree for a session of `projectConfig` labelled `label`.
+  // Rejects if the project isn't inside a git repository.
+  async create(projectConfig, label) {
+    const projectPath = projectConfig.path;
+    if (!projectPath || !fs.existsSync(projectPath)) throw new Error(`Project path "${projectPath}" not found`);
+    let repo;
+    try {
+      repo = await git(projectPath, ['rev-parse', '--show-toplevel']);
+    } catch {
+      throw new Error(`"${projectConfig.name}" is not in a git repository`);
+    }
+    repo = path.resolve(repo);
+    const baseBranch = await git(repo, ['rev-parse', '--abbrev-ref', 'HEAD']);
+
+    const slug = `${slugify(label)}-${crypto.randomBytes(3).toString('hex')}`;
+    const branch = BRANCH_PREFIX + slug;
+    const worktreePath = path.join(this.dir, slugify(path.basename(repo)), slug);
+    fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+    await git(repo, ['worktree', 'add', '-b', branch, worktreePath, 'HEAD']);
+
+    const sub = path.relative(repo, path.resolve(projectPath));
+    const cwd = sub && !sub.startsWith('..') ? path.join(worktreePath, sub) : worktreePath;
+    console.log(`[Worktrees] Created ${worktreePath} on ${branch} (from ${baseBranch})`);
+    return { repo, path: worktreePath, branch, baseBranch, cwd };
+  }
+
+  exists(worktree) {
+    return !!worktree && fs.existsSync(worktree.path);
+  }
+
+  // Remove the worktree and its branch (unmerged work is lost)
+  async remove(worktree) {
+    if (this.exists(worktree)) {
+      await git(worktree.repo, ['worktree', 'remove', '--force', worktree.path]);
+    } else {
+      await git(worktree.repo, ['worktree', 'prune']).catch(() => {});
+    }
+    await git(worktree.repo, ['branch', '-D', worktree.branch]).catch(() => {});
+    console.log(`[Worktrees] Removed ${worktree.path} and ${worktree.branch}`);
+  }
+
+  // Merge the session's branch into the branch it started from, then remove
+  // the worktree. Needs committed work in the worktree and a clean main
+  // checkout that is still on the base branch; on a conflict the merge is
+  // aborted and everything is left as it was.
+  async merge(worktree) {
+    if (this.exists(worktree) && await git(worktree.path, ['status', '--porcelain'])) {
+      throw new Error(`${worktree.branch} has uncommitted changes — commit them first`);
+    }
+    const current = await git(worktree.repo, ['rev-parse', '--abbrev-ref', 'HEAD']);
+    if (current !== worktree.baseBranch) {
+      throw new Error(`${worktree.repo} is on ${current}, not ${worktree.baseBranch}`);
+    }
+    if (await git(worktree.repo, ['status', '--porcelain', '--untracked-files=no'])) {
+      throw new Error(`${worktree.repo} has uncommitted changes`);
+    }
+    try {
+      await git(worktree.repo, ['merge', '--no-ff', '--no-edit', worktree.branch]);
+    } catch (err) {
+      await git(worktree.repo, ['merge', '--abort']).catch(() => {});
+      throw new Error(`Merging ${worktree.branch} failed: ${err.message.split('\n')[0]}`);
+    }
+    console.log(`[Worktrees] Merged ${worktree.branch} into ${worktree.baseBranch}`);
+    await this.remove(worktree);
+  }
+}
+
+module.exports = WorktreeManager;
@@ -0,0 +1,99 @@
+'use strict';
+// The session host only talks to a server that knows its secret, and the
+// server only trusts a host that does.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { SessionHost, socketPath, loadOrCreateSecret, attachLineReader, writeMessage } = require('../server/session-host');
+const SessionHostClient = require('../server/session-host-client');
+
+const posix = os.platform() !== 'win32';
+
+// Connect without the client and collect what the host sends until it closes
+function rawConnection(sockPath, onMessage) {
+  return new Promise((resolve) => {
+    const socket = net.connect(sockPath);
+    const messages = [];
+    attachLineReader(socket, (msg) => {
+      messages.push(msg);
+      if (onMessage) onMessage(socket, msg);
+    });
+    socket.on('close', () => resolve(messages));
+    socket.on('error', () => {});
+    setTimeout(() => socket.destroy(), 1000);
+  });
+}
+
+describe('session host handshake', { skip: !posix }, () => {
+  let root, host;
+
+  before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'clit-host-'));
+    host = new SessionHost(socketPath(root), { secret: loadOrCreateSecret(root) });
+    await host.listen();
+  });
+
+  after(() => {
+    host.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('keeps the socket and secret where only this user can get at them', () => {
+    const sockPath = socketPath(root);
+    assert.equal(fs.statSync(path.dirname(sockPath)).mode & 0o777, 0o700);
+    assert.equal(fs.statSync(sockPath).mode & 0o077, 0);
+    assert.equal(fs.statSync(path.join(root, 'session-host', 'secret')).mode & 0o777, 0o600);
+  });
+
+  it('lets a client that knows the secret in', async () => {
+    const client = new SessionHostClient({ root });
+    await client.connect();
+    assert.ok(client.connected);
+    assert.deepEqual(await client.list(), []);
+    client._socket.destroy();
+  });
+
+  it('ignores commands sent before the handshake and closes the connection', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const messages = await rawConnection(socketPath(root), (socket, msg) => {
+      if (msg.ev === 'challenge') {
+        writeMessage(socket, { op: 'spawn', id: 'x', file: '/bin/sh', args: ['-c', 'touch pwned'], options: {} });
+        writeMessage(socket, { op: 'list', reqId: 1 });
+      }
+    });
+    assert.deepEqual(messages.map(m => m.ev), ['challenge']);
+    assert.equal(host.ptys.size, 0);
+  });
+
+  it('closes the connection on a wrong proof', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const messages = await rawConnection(socketPath(root), (socket, msg) => {
+      if (msg.ev === 'challenge') writeMessage(socket, { op: 'hello', proof: 'f'.repeat(64), nonce: 'n' });
+    });
+    assert.deepEqual(messages.map(m => m.ev), ['challenge']);
+    assert.equal(host.clients.size, 0);
+  });
+
+  it('does not trust a host that does not know the secret', async () => {
+    // A squatter on the socket that plays along with the handshake
+    const fakeRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'clit-fake-host-'));
+    const sockPath = socketPath(fakeRoot);
+    fs.mkdirSync(path.dirname(sockPath), { recursive: true, mode: 0o700 });
+    const fake = net.createServer((socket) => {
+      writeMessage(socket, { ev: 'challenge', nonce: 'abc' });
+      attachLineReader(socket, () => writeMessage(socket, { ev: 'welcome', proof: 'f'.repeat(64) }));
+    });
+    await new Promise(resolve => fake.listen(sockPath, resolve));
+    try {
+      const client = new SessionHostClient({ root: fakeRoot });
+      await assert.rejects(client._connectOnce(), /failed the handshake/);
+    } finally {
+      fake.close();
+      fs.rmSync(fakeRoot, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,203 @@
+'use strict';
+// Launching sessions on Linux/macOS: shell resolution and arguments, and every
+// session type spawned for real against a stub `claude` script.
+//
+// The built-in types run `claude` by name through the session shell, so the
+// project uses a non-login /bin/sh with the stub directory first on PATH — a
+// login shell would read /etc/profile and could reset PATH past the stub.
+// Profiles with `"shell": false` or an absolute command path cover the rest.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SessionManager = require('../server/session-manager');
+const { resolveShell, shellArgs, commandLine } = require('../server/shell');
+const { findProfile, buildLaunch } = require('../server/launch-profiles');
+
+const posix = os.platform() !== 'win32';
+
+// Prints its arguments and the Claude Code prompt, then echoes one line back
+// and exits with the code given in STUB_EXIT_CODE (default 0)
+const STUB_CLAUDE = `#!/bin/sh
+echo "stub-claude args:[$*]"
+printf '\\342\\235\\257  '
+read line
+echo "stub-claude got:[$line]"
+exit "\${STUB_EXIT_CODE:-0}"
+`;
+
+describe('shell resolution', () => {
+  it('uses the configured shell when there is one', () => {
+    assert.equal(resolveShell(' /usr/bin/fish ', { platform: 'linux', env: {} }), '/usr/bin/fish');
+    assert.equal(resolveShell('pwsh', { platform: 'linux', env: {} }), 'pwsh');
+  });
+
+  it('uses $SHELL on Linux when it is an executable path', { skip: !posix }, () => {
+    assert.equal(resolveShell(null, { platform: 'linux', env: { SHELL: '/bin/sh' } }), '/bin/sh');
+    assert.notEqual(resolveShell(null, { platform: 'linux', env: { SHELL: 'bash' } }), 'bash');
+  });
+
+  it('defaults to PowerShell on Windows', () => {
+    assert.equal(resolveShell(null, { platform: 'win32', env: { SHELL: '/bin/sh' } }), 'powershell.exe');
+  });
+});
+
+describe('shell arguments', () => {
+  it('runs commands through POSIX shells with -c, not -Command', () => {
+    assert.deepEqual(shellArgs('/bin/bash', 'claude'), ['-lic', 'claude']);
+    assert.deepEqual(shellArgs('/bin/zsh', 'claude', { login: false }), ['-ic', 'claude']);
+    assert.deepEqual(shellArgs('/bin/sh', 'claude'), ['-lc', 'claude']);
+    assert.deepEqual(shellArgs('/bin/sh', 'claude', { login: false }), ['-c', 'claude']);
+    assert.deepEqual(shellArgs('/bin/tcsh', 'claude'), ['-c', 'claude']);
+  });
+
+  it('starts interactive shells as login shells', () => {
+    assert.deepEqual(shellArgs('/bin/bash'), ['-l']);
+    assert.deepEqual(shellArgs('/bin/bash', null, { login: false }), []);
+  });
+
+  it('keeps -Command and /c for PowerShell and cmd.exe', () => {
+    assert.deepEqual(shellArgs('pwsh', 'claude'), ['-Command', 'claude']);
+    assert.deepEqual(shellArgs('powershell.exe', 'claude'), ['-Command', 'claude']);
+    assert.deepEqual(shellArgs('cmd.exe', 'claude'), ['/c', 'claude']);
+  });
+
+  it('quotes arguments for the shell that parses them', () => {
+    assert.equal(commandLine('/bin/bash', 'claude', ['--resume', "it's"]), "claude --resume 'it'\\''s'");
+    assert.equal(commandLine('pwsh', 'claude', ["it's"]), "claude 'it''s'");
+  });
+
+  it('builds each built-in session type through the shell', () => {
+    const project = { name: 'P', path: '/tmp', shell: '/bin/bash' };
+    const launch = (type, dangerous = false) => buildLaunch(project, findProfile(project, type), dangerous);
+    assert.deepEqual(launch('new-claude').args, ['-lic', 'claude']);
+    assert.deepEqual(launch('resume-claude').args, ['-lic', 'claude --resume']);
+    assert.deepEqual(launch('new-claude', true).args, ['-lic', 'claude --dangerously-skip-permissions']);
+    assert.deepEqual(launch('plain-shell').args, ['-l']);
+  });
+});
+
+describe('spawning sessions against a stub claude', { skip: !posix }, () => {
+  let dir, stubDir, stubPath, manager, project;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clit-launch-'));
+    stubDir = path.join(dir, 'bin');
+    fs.mkdirSync(stubDir);
+    stubPath = path.join(stubDir, 'claude');
+    fs.writeFileSync(stubPath, STUB_CLAUDE, { mode: 0o755 });
+
+    project = {
+      name: 'Stub',
+      path: dir,
+      shell: '/bin/sh',
+      loginShell: false,
+      env: { PATH: `${stubDir}:${process.env.PATH}` },
+      profiles: [
+        { name: 'direct', command: stubPath, args: ['--print', 'two words'], shell: false, stateDetector: 'claude' },
+        { name: 'login-shell', command: stubPath, shell: '/bin/bash', loginShell: true, stateDetector: 'claude' },
+        { name: 'failing', command: stubPath, shell: false, env: { STUB_EXIT_CODE: '3' }, stateDetector: 'claude' },
+      ],
+    };
+    manager = new SessionManager(path.join(dir, 'sessions.json'), { configGetter: () => ({ projects: [project] }) });
+  });
+
+  after(async () => {
+    for (const session of manager.getAllSessions()) {
+      if (session.state !== 'dead') manager.killSession(session.id);
+    }
+    await new Promise(r => setTimeout(r, 1200)); // let the debounced sessions.json save land
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Resolves once the session's output matches `pattern`
+  function waitForOutput(session, pattern, timeout = 8000) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const output = session.outputBuffer.join('');
+        if (!pattern.test(output)) return false;
+        clearTimeout(timer);
+        manager.off('output', onOutput);
+        resolve(output);
+        return true;
+      };
+      const onOutput = (s) => { if (s === session) check(); };
+      const timer = setTimeout(() => {
+        manager.off('output', onOutput);
+        reject(new Error(`No ${pattern} in output: ${JSON.stringify(session.outputBuffer.join(''))}`));
+      }, timeout);
+      manager.on('output', onOutput);
+      check();
+    });
+  }
+
+  function waitForExit(session, timeout = 8000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Session did not exit')), timeout);
+      const onExit = (s, exitCode) => {
+        if (s !== session) return;
+        clearTimeout(timer);
+        manager.off('exit', onExit);
+        resolve(exitCode);
+      };
+      manager.on('exit', onExit);
+    });
+  }
+
+  // Start `type`, check the stub got `args`, answer its prompt and wait for it to exit
+  async function runStub(type, args, { dangerous = false } = {}) {
+    const session = manager.createSession(project, type, dangerous);
+    const output = await waitForOutput(session, /stub-claude args:\[.*\]/);
+    assert.ok(output.includes(`stub-claude args:[${args}]`), output);
+    const exited = waitForExit(session);
+    manager.writeToSession(session.id, 'hello\r');
+    await waitForOutput(session, /stub-claude got:\[hello\]/);
+    return { session, exitCode: await exited };
+  }
+
+  it('new-claude runs claude from PATH', async () => {
+    const { session, exitCode } = await runStub('new-claude', '');
+    assert.equal(exitCode, 0);
+    assert.equal(session.state, 'dead');
+    assert.equal(session.launchCommand, 'claude');
+  });
+
+  it('resume-claude passes --resume', async () => {
+    const { exitCode } = await runStub('resume-claude', '--resume');
+    assert.equal(exitCode, 0);
+  });
+
+  it('new-claude with dangerouslySkipPermissions passes the flag', async () => {
+    const { session } = await runStub('new-claude', '--dangerously-skip-permissions', { dangerous: true });
+    assert.equal(session.dangerouslySkipPermissions, true);
+  });
+
+  it('a "shell": false profile spawns the command directly with its args', async () => {
+    const { exitCode } = await runStub('direct', '--print two words');
+    assert.equal(exitCode, 0);
+  });
+
+  it('an absolute command runs through a bash login shell', { skip: !fs.existsSync('/bin/bash') }, async () => {
+    const { session, exitCode } = await runStub('login-shell', '');
+    assert.equal(exitCode, 0);
+    assert.equal(session.launchCommand, stubPath);
+  });
+
+  it('reports the exit code of a failing command', async () => {
+    const { exitCode } = await runStub('failing', '');
+    assert.equal(exitCode, 3);
+    assert.equal(manager.getAllSessions().find(s => s.sessionType === 'failing').exitCode, 3);
+  });
+
+  it('plain-shell starts an interactive shell in the project directory', async () => {
+    const session = manager.createSession(project, 'plain-shell');
+    manager.writeToSession(session.id, 'echo "cwd=$(pwd) $((6 * 7))"\r');
+    const output = await waitForOutput(session, /cwd=\S+ 42/);
+    assert.match(output, new RegExp(`cwd=${fs.realpathSync(dir)} 42`));
+    const exited = waitForExit(session);
+    manager.writeToSession(session.id, 'exit 5\r');
+    assert.equal(await exited, 5);
+  });
+});
@@ -0,0 +1,204 @@
+'use strict';
+// SessionManager with stand-in PTYs: what happens to sessions while the
+// session host connection is down and when it comes back, restarts and kills.
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SessionManager = require('../server/session-manager');
+
+// Just enough of a RemotePty for SessionManager; emitData() plays output and
+// emitExit() ends it. onKill(signal) is called for each kill().
+function fakePty({ onKill = () => {} } = {}) {
+  const dataHandlers = [];
+  const exitHandlers = [];
+  return {
+    written: [],
+    kills: [],
+    onData(fn) { dataHandlers.push(fn); return { dispose() {} }; },
+    onExit(fn) { exitHandlers.push(fn); return { dispose() {} }; },
+    write(data) { this.written.push(data); },
+    resize() {},
+    kill(signal) {
+      this.kills.push(signal);
+      onKill.call(this, signal);
+    },
+    emitData(data) { for (const fn of dataHandlers) fn(data); },
+    emitExit(exitCode) { for (const fn of exitHandlers) fn({ exitCode }); },
+  };
+}
+
+const SAVED = {
+  id: 'a1b2c3d4-0000-4000-8000-000000000001',
+  projectName: 'P',
+  projectPath: '/tmp',
+  projectIcon: 'x',
+  label: 'P',
+  sessionType: 'plain-shell',
+  state: 'ready',
+  createdAt: new Date().toISOString(),
+  hookToken: 'f00d'.repeat(8),
+};
+
+describe('detached sessions', () => {
+  let dir, manager;
+
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clit-sm-'));
+    manager = new SessionManager(path.join(dir, 'sessions.json'));
+  });
+
+  afterEach(() => {
+    for (const session of manager.getAllSessions()) manager.killSession(session.id);
+    clearTimeout(manager._saveTimer);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // A live session whose output so far is `lines`, then detached
+  function detachedSession(lines) {
+    const pty = fakePty();
+    const session = manager.reattachSession(SAVED, pty);
+    for (const line of lines) pty.emitData(line);
+    manager.detachSessions();
+    assert.equal(session.state, 'detached');
+    return session;
+  }
+
+  it('replays only what was printed while detached', () => {
+    const session = detachedSession(['one\r\n', 'two\r\n']);
+    manager.reattachSession(SAVED, fakePty(), 'one\r\ntwo\r\nthree\r\n');
+    assert.equal(session.state, 'working'); // back from ready, with fresh output
+    assert.equal(session.outputBuffer.join(''), 'one\r\ntwo\r\nthree\r\n');
+  });
+
+  it('replays the whole backlog, marked, when ours has scrolled out of it', () => {
+    const session = detachedSession(['old output\r\n']);
+    manager.reattachSession(SAVED, fakePty(), 'newer line 1\r\nnewer line 2\r\n');
+    const output = session.outputBuffer.join('');
+    assert.match(output, /^old output\r\n.*output may be incomplete.*\r\nnewer line 1\r\nnewer line 2\r\n$/s);
+  });
+
+  it('ignores hook events while detached', () => {
+    const session = detachedSession([]);
+    assert.equal(manager.applyHookEvent(session.id, session.hookToken, { hook_event_name: 'Stop' }), true);
+    assert.equal(session.state, 'detached');
+    assert.equal(session.hookDriven, false);
+  });
+
+  it('adds nothing when the host has nothing buffered', () => {
+    const session = detachedSession(['old output\r\n']);
+    manager.reattachSession(SAVED, fakePty(), '');
+    assert.equal(session.outputBuffer.join(''), 'old output\r\n');
+  });
+});
+
+describe('restarting a session', () => {
+  let dir, manager, spawned;
+
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clit-sm-'));
+    spawned = [];
+    // Stands in for the session host: records each spawn
+    const ptyHost = {
+      spawn(id) {
+        const pty = fakePty();
+        spawned.push({ id, pty });
+        return pty;
+      },
+    };
+    manager = new SessionManager(path.join(dir, 'sessions.json'), {
+      ptyHost,
+      configGetter: () => ({ projects: [{ name: 'P', path: dir }] }),
+    });
+  });
+
+  afterEach(() => {
+    for (const session of manager.getAllSessions()) manager.killSession(session.id);
+    clearTimeout(manager._saveTimer);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Let the restart's promise chain run up to its next wait
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  it('starts the new process only once the old one has exited', async () => {
+    const old = fakePty({ onKill() { setImmediate(() => this.emitExit(0)); } });
+    const session = manager.reattachSession(SAVED, old);
+    const restarted = manager.restartSession(session.id);
+    assert.equal(spawned.length, 0);
+    await restarted;
+    assert.deepEqual(old.kills, [undefined]);
+    assert.equal(spawned.length, 1);
+    assert.equal(session.pty, spawned[0].pty);
+    assert.equal(session.state, 'ready');
+  });
+
+  it('sends SIGKILL to a process still running after the timeout', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const old = fakePty({ onKill(signal) { if (signal === 'SIGKILL') this.emitExit(null); } });
+    const session = manager.reattachSession(SAVED, old);
+    const restarted = manager.restartSession(session.id);
+    await settle();
+    assert.equal(spawned.length, 0);
+    t.mock.timers.tick(3000);
+    await restarted;
+    assert.deepEqual(old.kills, [undefined, 'SIGKILL']);
+    assert.equal(spawned.length, 1);
+    assert.equal(session.state, 'ready');
+  });
+
+  it('keeps the old process, and fails, if even SIGKILL does not end it', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const old = fakePty();
+    const session = manager.reattachSession(SAVED, old);
+    const restarted = manager.restartSession(session.id);
+    await settle();
+    t.mock.timers.tick(3000);
+    await settle();
+    t.mock.timers.tick(3000);
+    await assert.rejects(restarted, /did not exit/);
+    assert.equal(spawned.length, 0);
+    assert.equal(session.pty, old);
+    assert.equal(session.state, 'ready');
+    // Its eventual exit is reported as usual
+    old.emitExit(1);
+    assert.equal(session.state, 'dead');
+    assert.equal(session.exitCode, 1);
+  });
+});
+
+describe('killing a session', () => {
+  let dir, manager;
+
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clit-sm-'));
+    manager = new SessionManager(path.join(dir, 'sessions.json'));
+  });
+
+  afterEach(() => {
+    clearTimeout(manager._saveTimer);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('is dead at once and resolves when the process has exited', async () => {
+    const pty = fakePty({ onKill() { setImmediate(() => this.emitExit(0)); } });
+    const session = manager.reattachSession(SAVED, pty);
+    const exited = manager.killSession(session.id);
+    assert.equal(session.state, 'dead');
+    assert.equal(await exited, true);
+  });
+
+  it('resolves to false for a process still running after the timeout', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const session = manager.reattachSession(SAVED, fakePty());
+    const exited = manager.killSession(session.id);
+    t.mock.timers.tick(3000);
+    assert.equal(await exited, false);
+  });
+});
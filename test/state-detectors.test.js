@@ -0,0 +1,166 @@
+'use strict';
+// State detectors checked against recorded PTY transcripts: each transcript
+// is replayed on a virtual clock and the state changes it produced compared
+// with what a person watching the terminal would have seen.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { replayTranscript, createDetector, detectorForSessionType, stripAnsi } = require('../server/state-detectors');
+
+// Recording helpers: chunks `gap` ms apart starting at `start`
+function chunks(start, gap, ...data) {
+  return data.map((d, i) => ({ at: start + i * gap, data: d }));
+}
+
+const states = events => events.map(e => e.state);
+
+describe('claude preset', () => {
+  const CLAUDE_PROMPT = '\x1b[2m────────\x1b[0m\r\n\x1b[1m❯\x1b[0m  \r\n\x1b[2m  ? for shortcuts\x1b[0m';
+
+  it('goes ready after the prompt stays quiet for 2s', () => {
+    const events = replayTranscript('claude', [
+      { at: 0, data: '\x1b[?25l● Reading 3 files and summarising the changes for you\r\n' },
+      { at: 300, data: '● The change adds a cron parser and a scheduler.\r\n' },
+      { at: 600, data: CLAUDE_PROMPT },
+    ]);
+    assert.deepEqual(events, [{ at: 2600, state: 'ready' }]);
+  });
+
+  it('follows a whole turn: prompt, work, permission prompt, answer, ready', () => {
+    const events = replayTranscript('claude', [
+      { at: 0, data: CLAUDE_PROMPT },
+      // user typed a prompt; Claude starts working
+      { at: 5000, data: '> fix the failing test\r\n● I will look at the test output first.\r\n' },
+      { at: 5500, data: '● Bash(npm test)\r\n' },
+      { at: 6000, data: '╭──────╮\r\n│ Bash command │\r\n│ npm test │\r\n│ Do you want to proceed?\r\n│ ❯ 1. Yes\r\n│   2. No\r\n╰──────╯' },
+      // answered: the command runs
+      { at: 9000, data: '● Bash(npm test) ⎿ 15 passing, 0 failing in the whole suite\r\n' },
+      { at: 9500, data: CLAUDE_PROMPT },
+    ], { initialState: 'ready' });
+    assert.deepEqual(states(events), ['working', 'waiting_input', 'working', 'ready']);
+    assert.deepEqual(events.map(e => e.at), [5000, 8000, 9000, 11500]);
+  });
+
+  it('ignores spinner frames and title updates while the ready timer runs', () => {
+    const events = replayTranscript('claude', [
+      { at: 0, data: CLAUDE_PROMPT },
+      ...chunks(400, 400, '✶ Hyperspacing…', '✻', '\x1b]0;⠐ Claude\x07', '· Channeling… (esc to interrupt)'),
+    ]);
+    assert.deepEqual(events, [{ at: 2000, state: 'ready' }]);
+  });
+
+  it('does not go ready on a prompt-like line followed by more output', () => {
+    // "> " quoted in a reply, then the reply goes on within the quiet period
+    const events = replayTranscript('claude', [
+      { at: 0, data: 'Use the quote syntax:\r\n>\r\n' },
+      { at: 800, data: 'and the rest of the explanation continues here at length.\r\n' },
+      ...chunks(1600, 800, '● Still writing the second paragraph of the answer…\r\n', '● And a third paragraph that keeps the session busy.\r\n'),
+    ]);
+    assert.deepEqual(events, []);
+  });
+
+  it('does not treat a "❯" with a single space as the idle prompt', () => {
+    const events = replayTranscript('claude', [{ at: 0, data: 'Options: ❯ 1. Keep going' }]);
+    assert.deepEqual(events, []);
+  });
+
+  it('leaves waiting_input for working on any real output', () => {
+    const events = replayTranscript('claude', [
+      { at: 0, data: 'Allow once   Allow always   Deny' },
+      { at: 3000, data: '1' }, // the keystroke echo
+    ]);
+    assert.deepEqual(states(events), ['waiting_input', 'working']);
+  });
+});
+
+describe('shell preset', () => {
+  it('goes ready when a command finishes at a $ prompt', () => {
+    const events = replayTranscript('shell', [
+      { at: 0, data: 'ls\r\n' },
+      { at: 40, data: 'README.md  package.json  server\r\n\x1b[01;32muser@host\x1b[00m:\x1b[01;34m~/clit\x1b[00m$ ' },
+    ]);
+    assert.deepEqual(events, [{ at: 540, state: 'ready' }]);
+  });
+
+  it('knows root (#), zsh (%), PowerShell and cmd.exe prompts', () => {
+    for (const prompt of ['root@host:/# ', 'host% ', 'PS C:\\Users\\me> ', 'C:\\Users\\me>']) {
+      const events = replayTranscript('shell', [{ at: 0, data: `done\r\n${prompt}` }]);
+      assert.deepEqual(events, [{ at: 500, state: 'ready' }], prompt);
+    }
+  });
+
+  it('goes working on typing at the prompt and ready again afterwards', () => {
+    const events = replayTranscript('shell', [
+      { at: 0, data: 'n' },
+      ...chunks(100, 100, 'p', 'm', ' ', 't', '\r\n'),
+      { at: 700, data: '> clit@1.0.0 test\r\n> node --test\r\n' },
+      { at: 3000, data: '# pass 15\r\n# fail 0\r\n$ ' },
+    ], { initialState: 'ready' });
+    assert.deepEqual(events, [{ at: 0, state: 'working' }, { at: 3500, state: 'ready' }]);
+  });
+
+  it('does not take a $ inside a line for a prompt', () => {
+    const events = replayTranscript('shell', [
+      { at: 0, data: 'echo "$HOME costs $5"\r\n' },
+      { at: 20, data: '/root costs 5\r\nstill running the rest of the build step\r\n' },
+    ]);
+    assert.deepEqual(events, []);
+  });
+
+  it('does not stop at a progress percentage that keeps going', () => {
+    const events = replayTranscript('shell', [
+      { at: 0, data: 'Downloading packages  45%' },
+      { at: 200, data: '\rDownloading packages  100%\r\nExtracting 1200 files into node_modules\r\n' },
+      { at: 900, data: 'added 1200 packages in 4s\r\n' },
+    ]);
+    assert.deepEqual(events, []);
+  });
+
+  it('waits for input at y/n and password prompts', () => {
+    assert.deepEqual(states(replayTranscript('shell', [{ at: 0, data: 'Remove 3 files? [y/N] ' }])), ['waiting_input']);
+    assert.deepEqual(states(replayTranscript('shell', [{ at: 0, data: '[sudo] password for me: ' }])), ['waiting_input']);
+  });
+});
+
+describe('generic preset', () => {
+  it('goes ready at a bare agent prompt after 3s of quiet', () => {
+    const events = replayTranscript('generic', [
+      { at: 0, data: 'Thinking about the question you asked me\r\n' },
+      { at: 500, data: 'Here is the answer to it.\r\n\r\n›\r\n' },
+    ]);
+    assert.deepEqual(events, [{ at: 3500, state: 'ready' }]);
+  });
+
+  it('waits for input at a confirmation', () => {
+    const events = replayTranscript('generic', [{ at: 0, data: 'Run `rm -rf build`? Do you want to proceed?' }]);
+    assert.deepEqual(events, [{ at: 3000, state: 'waiting_input' }]);
+  });
+});
+
+describe('detector selection and overrides', () => {
+  it('picks a preset per session type', () => {
+    assert.equal(detectorForSessionType('plain-shell'), 'shell');
+    assert.equal(detectorForSessionType('new-claude'), 'claude');
+    assert.equal(detectorForSessionType('resume-claude'), 'claude');
+  });
+
+  it('applies config.json overrides on top of a preset', () => {
+    const spec = { type: 'shell', silenceMs: 100, readyPatterns: ['^READY$'] };
+    assert.deepEqual(replayTranscript(spec, [{ at: 0, data: 'boot\r\nREADY\r\n' }]), [{ at: 100, state: 'ready' }]);
+    // the preset's own ready patterns are replaced
+    assert.deepEqual(replayTranscript(spec, [{ at: 0, data: 'done\r\n$ ' }]), []);
+  });
+
+  it('falls back to the claude preset for an unknown type', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const seen = [];
+    const detector = createDetector('no-such-detector', { onState: s => seen.push(s) });
+    assert.equal(detector.silenceMs, 2000);
+    detector.dispose();
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+
+  it('strips ANSI sequences before matching', () => {
+    assert.equal(stripAnsi('\x1b[01;32muser\x1b[00m$ \x1b[?25h'), 'user$ ');
+  });
+});
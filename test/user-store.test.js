@@ -0,0 +1,55 @@
+'use strict';
+// UserStore: account names, passwords and the users.json file.
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const UserStore = require('../server/user-store');
+
+describe('user accounts', () => {
+  let dir, store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clit-users-'));
+    store = new UserStore(path.join(dir, 'users.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates an account and checks its password', async () => {
+    await store.setPassword('alice', 'correct horse');
+    assert.equal(store.get('alice').role, 'admin'); // the first account
+    assert.equal((await store.verify('alice', 'correct horse')).username, 'alice');
+    assert.equal(await store.verify('alice', 'wrong password'), null);
+  });
+
+  it('refuses the names auth uses for the PIN and open-access identities', async () => {
+    for (const name of ['owner', 'anonymous']) {
+      await assert.rejects(store.setPassword(name, 'correct horse'), /reserved/);
+    }
+    assert.equal(store.hasUsers(), false);
+  });
+
+  it('ignores reserved names in a hand-edited users.json', async () => {
+    await store.setPassword('alice', 'correct horse');
+    const users = JSON.parse(fs.readFileSync(store.filePath, 'utf8'));
+    users.push({ ...users[0], username: 'owner' });
+    fs.writeFileSync(store.filePath, JSON.stringify(users));
+    const reloaded = new UserStore(store.filePath);
+    assert.deepEqual(reloaded.list().map(u => u.username), ['alice']);
+    assert.equal(await reloaded.verify('owner', 'correct horse'), null);
+  });
+
+  it('npm run users -- add refuses a reserved name before asking for a password', () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'server', 'user-store.js'), 'add', 'owner'], {
+      input: '', encoding: 'utf8', timeout: 10000,
+    });
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /"owner" is reserved/);
+  });
+});